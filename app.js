@@ -1,8 +1,26 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { animationParser } from './parser.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { animationParser, replaceFrames, formatIssue } from './parser.js';
+import { describeDocument } from './file-schema.js';
 import { gltfHandler } from './gltf-handler.js';
-import { SKELETON_DEFINITION, NAME_TO_ID } from './constants.js';
+import { History, FrameListCommand, BonePoseCommand, CompositeCommand, captureFrames } from './history.js';
+import { cropFrames, deleteFrames, reverseFrames, duplicateFrames, resampleFrames } from './frame-edit.js';
+import { mirrorDocument } from './mirror.js';
+import { quantizeFrame, precisionReport, formatPrecisionReport } from './precision.js';
+import { BLEND_MODES, boneSubtree, blendDocuments } from './blend.js';
+import { CURVE_MODES, readCurves, poseWithCurveValue, smoothBone } from './curves.js';
+import { CurveEditor } from './curve-editor.js';
+import { KEY_INTERPOLATIONS, createKeyLayer, boneKeys, toggleKey, addKey, clearKeys, setInterpolation, remapKeyLayer, bakeKeyLayer } from './keyframes.js';
+import { BUILTIN_PROFILES, findBuiltinProfile, parseProfile, serializeProfile } from './retarget.js';
+import { compareDocuments, formatComparison, formatFrameDeltas } from './compare.js';
+import { listSkeletons, findSkeleton, pickSkeleton, registerSkeleton, skeletonForBones, boneIdFromName, formatSkeletonDefinition, skeletonToJSON, buildBones } from './skeleton.js';
+import { extractSkeleton } from './skeleton-extract.js';
+import { bindCharacter } from './character.js';
+import { ROOT_MOTION_MODES, hasRootMotion, extractRootMotion, bakeRootMotion, rootMotionDocument, boneTrajectories, rootCurve } from './root-motion.js';
+import { CONTACT_SIDES, detectContacts, lockFeet } from './foot-contact.js';
+import { IK_EFFECTORS, ikEffector, PoseRig, createIkLayer, effectorKeys, setEffectorKey, removeEffectorKey, clearEffector, remapIkLayer, effectorGoal, effectorPose, bakeIkLayer } from './ik.js';
+import { PROP_SOCKETS, PROP_SHAPES, createProp, parsePropConfig, serializePropConfig, buildPropObject, disposePropObject } from './props.js';
 
 // --- Scene Logic ---
 class SceneController {
@@ -13,6 +31,29 @@ class SceneController {
         this.skeletonVisible = false;
         this.skeletonHelper = null;
         this.rootGroup = null;
+        this.boneList = [];
+        this.jointMarkers = [];
+        this.selectedBone = null;
+        this.skeletonNodes = skeletonForBones([]).nodes;
+        // Bones in node order, for binding the character mesh
+        this.nodeBones = [];
+        // Joint markers and bone lines; hidden they leave the character mesh on its own
+        this.sticksVisible = true;
+        // { gltf, options, binding } while a character mesh is loaded
+        this.character = null;
+        // Props on the weapon bones: { list, models: Map<file name, scene>, objects }
+        this.props = { list: [], models: new Map(), objects: [] };
+        // Lines and frame dots of the clip's trajectories
+        this.trajectoryObjects = [];
+        // Dots on the IK targets and poles of the shown frame
+        this.ikTargetObjects = [];
+
+        // Set by the app: onBoneSelected(name|null), onPoseEditStart/onPoseEdit/onPoseEditEnd(bone)
+        this.onBoneSelected = null;
+        this.onPoseEditStart = null;
+        this.onPoseEdit = null;
+        this.onPoseEditEnd = null;
+
         this.init();
     }
 
@@ -45,15 +86,90 @@ class SceneController {
         this.scene.add(dirLight);
         this.scene.add(new THREE.AmbientLight(0xffffff, 0.5));
 
-        window.addEventListener('resize', () => {
-            this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        });
+        this.initPicking();
+
+        window.addEventListener('resize', () => this.resize());
 
         this.animate();
     }
 
+    resize() {
+        this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    }
+
+    // --- Bone selection & gizmo ---
+    initPicking() {
+        this.raycaster = new THREE.Raycaster();
+        this.markerGeometry = new THREE.SphereGeometry(1.5, 8, 6);
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0x38bdf8, depthTest: false, transparent: true, opacity: 0.8 });
+        this.markerSelectedMaterial = new THREE.MeshBasicMaterial({ color: 0xf59e0b, depthTest: false });
+        this.markerPlaceholderMaterial = new THREE.MeshBasicMaterial({ color: 0x9ca3af, depthTest: false, transparent: true, opacity: 0.8 });
+
+        this.transform = new TransformControls(this.camera, this.renderer.domElement);
+        this.transform.setSize(0.6);
+        this.transform.setMode('rotate');
+        this.transform.setSpace('local');
+        this.transform.addEventListener('dragging-changed', (e) => { this.controls.enabled = !e.value; });
+        this.transform.addEventListener('mouseDown', () => {
+            this.gizmoClick = true;
+            if (this.onPoseEditStart) this.onPoseEditStart(this.selectedBone);
+        });
+        this.transform.addEventListener('objectChange', () => {
+            if (this.onPoseEdit) this.onPoseEdit(this.selectedBone);
+        });
+        this.transform.addEventListener('mouseUp', () => {
+            if (this.onPoseEditEnd) this.onPoseEditEnd(this.selectedBone);
+        });
+        this.scene.add(this.transform);
+
+        // A click is a press and release without dragging the camera or the gizmo
+        const dom = this.renderer.domElement;
+        let down = null;
+        dom.addEventListener('pointerdown', (e) => { down = { x: e.clientX, y: e.clientY }; });
+        dom.addEventListener('pointerup', (e) => {
+            const gizmo = this.gizmoClick;
+            this.gizmoClick = false;
+            if (!down || gizmo || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+            down = null;
+            this.pickBone(e);
+        });
+    }
+
+    pickBone(event) {
+        if (this.jointMarkers.length === 0 || !this.sticksVisible) return;
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hit = this.raycaster.intersectObjects(this.jointMarkers, false)[0];
+        const name = hit ? hit.object.parent.name : null;
+        this.selectBone(name);
+        if (this.onBoneSelected) this.onBoneSelected(name);
+    }
+
+    selectBone(name) {
+        const bone = name ? this.bones[name] || null : null;
+        this.selectedBone = bone;
+        this.jointMarkers.forEach(marker => {
+            marker.material = marker.parent === bone ? this.markerSelectedMaterial : marker.userData.baseMaterial;
+        });
+        if (bone) this.transform.attach(bone);
+        else this.transform.detach();
+    }
+
+    setTransformMode(mode) {
+        this.transform.setMode(mode);
+    }
+
+    toggleTransformSpace() {
+        this.transform.setSpace(this.transform.space === 'local' ? 'world' : 'local');
+        return this.transform.space;
+    }
+
     setSkeletonVisibility(visible) {
         if (visible && !this.skeletonVisible) {
             this.buildSkeleton();
@@ -65,6 +181,18 @@ class SceneController {
     }
 
     clearSkeleton() {
+        this.transform.detach();
+        this.selectedBone = null;
+        this.jointMarkers = [];
+        this.boneList = [];
+        this.nodeBones = [];
+
+        if (this.character && this.character.binding) {
+            this.scene.remove(this.character.binding.group);
+            this.character.binding = null;
+        }
+        this.detachProps();
+
         if (this.rootGroup) {
             this.scene.remove(this.rootGroup);
             this.rootGroup = null;
@@ -79,103 +207,145 @@ class SceneController {
         this.boneIdMap = {};
     }
 
+    // nodes: the skeleton from skeletonForBones() that the next build uses
+    setSkeletonNodes(nodes) {
+        this.skeletonNodes = nodes;
+        if (this.overlay) {
+            this.scene.remove(this.overlay.lines);
+            this.overlay.lines.geometry.dispose();
+            this.overlay = null;
+        }
+        if (this.skeletonVisible) this.buildSkeleton();
+    }
+
     buildSkeleton() {
         this.clearSkeleton();
-        
-        const lines = SKELETON_DEFINITION.split('\n').filter(l => l.trim().length > 0);
-        const boneNodes = [];
-        
-        // First pass: parse all bones
-        lines.forEach(line => {
-            if (!line.trim()) return;
-            
-            const depth = line.search(/\S|$/) / 2;
-            const nameMatch = line.match(/"([^"]+)"/);
-            const posMatch = line.match(/G\.Pos:\(([^)]+)\)/);
-            const rotMatch = line.match(/G\.Rot \(quat\):\(([^)]+)\)/);
-
-            if (!nameMatch) return;
-            const name = nameMatch[1];
-            
-            const pos = posMatch[1].split(',').map(parseFloat);
-            const rot = rotMatch[1].split(',').map(parseFloat);
-
-            if (pos.length === 3 && rot.length === 4) {
-                boneNodes.push({
-                    name: name,
-                    level: depth,
-                    globalPos: new THREE.Vector3(pos[0], pos[1], pos[2]),
-                    globalRot: new THREE.Quaternion(rot[0], rot[1], rot[2], rot[3])
-                });
-            }
-        });
+        const boneNodes = this.skeletonNodes;
 
         // Build hierarchy
         this.rootGroup = new THREE.Group();
         this.scene.add(this.rootGroup);
-        
-        const stack = [];
-        
-        boneNodes.forEach(node => {
-            const bone = new THREE.Bone();
-            bone.name = node.name;
+
+        const { roots, bones } = buildBones(boneNodes);
+        this.nodeBones = bones;
+        boneNodes.forEach((node, i) => {
+            const bone = bones[i];
             
             // Store original global transform
             bone.userData = {
                 originalGlobalPos: node.globalPos.clone(),
-                originalGlobalRot: node.globalRot.clone()
+                originalGlobalRot: node.globalRot.clone(),
+                placeholder: !!node.placeholder
             };
             
             this.bones[node.name] = bone;
-            const id = NAME_TO_ID[node.name];
-            if (id !== undefined) this.boneIdMap[id] = bone;
-            
-            // Find parent based on indentation level
-            while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
-                stack.pop();
-            }
-            
-            if (stack.length > 0) {
-                const parent = stack[stack.length - 1].bone;
-                parent.add(bone);
-                
-                // Calculate local transform from global positions
-                const parentMatrix = new THREE.Matrix4().compose(
-                    parent.userData.originalGlobalPos,
-                    parent.userData.originalGlobalRot,
-                    new THREE.Vector3(1, 1, 1)
-                ).invert();
-                
-                const globalMatrix = new THREE.Matrix4().compose(
-                    node.globalPos,
-                    node.globalRot,
-                    new THREE.Vector3(1, 1, 1)
-                );
-                
-                const localMatrix = parentMatrix.multiply(globalMatrix);
-                const localPos = new THREE.Vector3();
-                const localRot = new THREE.Quaternion();
-                const localScale = new THREE.Vector3();
-                localMatrix.decompose(localPos, localRot, localScale);
-                
-                bone.position.copy(localPos);
-                bone.quaternion.copy(localRot);
-            } else {
-                this.rootGroup.add(bone);
-                bone.position.copy(node.globalPos);
-                bone.quaternion.copy(node.globalRot);
-            }
-            
-            stack.push({ bone: bone, level: node.level });
+            this.boneList.push({ name: node.name, level: node.level, placeholder: !!node.placeholder });
+
+            // Placeholders (file bones the skeleton does not define) get their own marker colour
+            const marker = new THREE.Mesh(this.markerGeometry, node.placeholder ? this.markerPlaceholderMaterial : this.markerMaterial);
+            marker.userData.baseMaterial = marker.material;
+            marker.renderOrder = 1;
+            bone.add(marker);
+            this.jointMarkers.push(marker);
+
+            if (node.boneId !== undefined) this.boneIdMap[node.boneId] = bone;
         });
+        roots.forEach(root => this.rootGroup.add(root));
 
         // Update all matrices
         this.rootGroup.updateMatrixWorld(true);
         
         if (boneNodes.length > 0 && this.rootGroup.children.length > 0) {
-            this.skeletonHelper = new THREE.SkeletonHelper(this.rootGroup.children[0]);
+            this.skeletonHelper = new THREE.SkeletonHelper(this.rootGroup);
             this.scene.add(this.skeletonHelper);
         }
+        this.setSticksVisible(this.sticksVisible);
+        this.attachProps();
+
+        if (this.character) {
+            try {
+                this.bindCharacterMesh();
+            } catch (err) {
+                console.warn('Character mesh not bound:', err.message);
+            }
+        }
+    }
+
+    setSticksVisible(visible) {
+        this.sticksVisible = visible;
+        if (this.skeletonHelper) this.skeletonHelper.visible = visible;
+        this.jointMarkers.forEach(marker => { marker.visible = visible; });
+    }
+
+    // --- Character mesh ---
+
+    // gltf: a loaded rig with skinned meshes; options for bindCharacter (profile, scale). It is
+    // bound again whenever the bones are rebuilt. Returns the binding, or null until bones exist.
+    setCharacter(gltf, options = {}) {
+        if (this.character && this.character.gltf !== gltf) this.clearCharacter();
+        else if (this.character && this.character.binding) this.scene.remove(this.character.binding.group);
+        this.character = { gltf, options, binding: null };
+        if (this.rootGroup) {
+            try {
+                this.bindCharacterMesh();
+            } catch (err) {
+                this.clearCharacter();
+                throw err;
+            }
+        }
+        return this.character.binding;
+    }
+
+    bindCharacterMesh() {
+        const character = this.character;
+        character.binding = bindCharacter(character.gltf, { nodes: this.skeletonNodes, bones: this.nodeBones, ...character.options });
+        this.scene.add(character.binding.group);
+    }
+
+    // --- Props ---
+
+    // list: props from props.js; models: loaded glTF scenes by file name. Props hang from their
+    // socket bones, so they follow playback. Returns the props whose socket bone is missing.
+    setProps(list, models) {
+        this.detachProps();
+        this.props = { list, models, objects: [] };
+        return this.attachProps();
+    }
+
+    attachProps() {
+        const missing = [];
+        if (!this.rootGroup) return missing;
+        this.props.list.forEach(prop => {
+            const id = boneIdFromName(prop.socket);
+            const bone = (id !== undefined && this.boneIdMap[id]) || this.bones[prop.socket];
+            if (!bone) {
+                missing.push(prop);
+                return;
+            }
+            const holder = buildPropObject(prop, this.props.models.get(prop.model) || null);
+            bone.add(holder);
+            this.props.objects.push(holder);
+        });
+        return missing;
+    }
+
+    detachProps() {
+        this.props.objects.forEach(holder => {
+            holder.removeFromParent();
+            disposePropObject(holder);
+        });
+        this.props.objects = [];
+    }
+
+    clearCharacter() {
+        if (!this.character) return;
+        if (this.character.binding) this.scene.remove(this.character.binding.group);
+        this.character.gltf.scene.traverse(obj => {
+            if (!obj.isMesh) return;
+            obj.geometry.dispose();
+            (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach(m => m.dispose());
+        });
+        this.character = null;
     }
 
     applyFrame(frameData) {
@@ -185,7 +355,7 @@ class SceneController {
             const bone = this.boneIdMap[boneData.boneId];
             if (bone) {
                 bone.position.set(...boneData.position);
-                bone.quaternion.set(...boneData.rotation);
+                bone.quaternion.set(...boneData.rotation).normalize();
             }
         });
         
@@ -193,6 +363,120 @@ class SceneController {
         this.rootGroup.updateMatrixWorld(true);
     }
 
+    // --- Trajectories ---
+
+    // paths: [{ points: THREE.Vector3[], color }], drawn as a line with a dot on every frame so
+    // the spacing shows the speed. Replaces the paths shown before.
+    setTrajectories(paths) {
+        this.clearTrajectories();
+        paths.forEach(({ points, color }) => {
+            if (points.length < 2) return;
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }));
+            const dots = new THREE.Points(geometry, new THREE.PointsMaterial({ color, size: 2.5 }));
+            [line, dots].forEach(obj => {
+                obj.frustumCulled = false;
+                this.scene.add(obj);
+                this.trajectoryObjects.push(obj);
+            });
+        });
+    }
+
+    clearTrajectories() {
+        const geometries = new Set();
+        this.trajectoryObjects.forEach(obj => {
+            this.scene.remove(obj);
+            obj.material.dispose();
+            geometries.add(obj.geometry);
+        });
+        geometries.forEach(geometry => geometry.dispose());
+        this.trajectoryObjects = [];
+    }
+
+    // --- IK targets ---
+
+    // targets and poles: THREE.Vector3[]; replaces the dots shown before
+    setIkTargets(targets, poles) {
+        this.clearIkTargets();
+        [[targets, 0xfb923c, 7], [poles, 0xc084fc, 5]].forEach(([points, color, size]) => {
+            if (points.length === 0) return;
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const dots = new THREE.Points(geometry, new THREE.PointsMaterial({ color, size, depthTest: false }));
+            dots.frustumCulled = false;
+            dots.renderOrder = 1;
+            this.scene.add(dots);
+            this.ikTargetObjects.push(dots);
+        });
+    }
+
+    clearIkTargets() {
+        this.ikTargetObjects.forEach(obj => {
+            this.scene.remove(obj);
+            obj.geometry.dispose();
+            obj.material.dispose();
+        });
+        this.ikTargetObjects = [];
+    }
+
+    // --- Comparison overlay ---
+
+    // A second skeleton drawn as plain lines in its own colour, posed from another file's frame.
+    // null hides it.
+    setOverlayFrame(frameData) {
+        if (!frameData || !this.rootGroup) {
+            if (this.overlay) this.overlay.lines.visible = false;
+            return;
+        }
+        if (!this.overlay) this.buildOverlay();
+        const { nodes, objects, lines } = this.overlay;
+
+        nodes.forEach((node, i) => {
+            objects[i].position.copy(node.localPos);
+            objects[i].quaternion.copy(node.localRot);
+        });
+        frameData.bones.forEach(boneData => {
+            const i = this.overlay.indexById.get(boneData.boneId);
+            if (i === undefined) return;
+            objects[i].position.set(...boneData.position);
+            objects[i].quaternion.set(...boneData.rotation).normalize();
+        });
+        this.overlay.root.updateMatrixWorld(true);
+
+        const position = lines.geometry.attributes.position;
+        const world = new THREE.Vector3();
+        this.overlay.segments.forEach(([child, parent], s) => {
+            objects[parent].getWorldPosition(world);
+            position.setXYZ(s * 2, world.x, world.y, world.z);
+            objects[child].getWorldPosition(world);
+            position.setXYZ(s * 2 + 1, world.x, world.y, world.z);
+        });
+        position.needsUpdate = true;
+        lines.geometry.computeBoundingSphere();
+        lines.visible = true;
+    }
+
+    buildOverlay() {
+        const nodes = this.skeletonNodes;
+        const root = new THREE.Group();
+        const { roots, bones: objects } = buildBones(nodes);
+        roots.forEach(bone => root.add(bone));
+        const indexById = new Map();
+        const segments = [];
+        nodes.forEach((node, i) => {
+            if (node.parent !== -1) segments.push([i, node.parent]);
+            if (node.boneId !== undefined) indexById.set(node.boneId, i);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(segments.length * 6), 3));
+        const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xff4fd8, depthTest: false, transparent: true }));
+        lines.renderOrder = 2;
+        lines.frustumCulled = false;
+        this.scene.add(lines);
+
+        this.overlay = { nodes, root, objects, indexById, segments, lines };
+    }
+
     animate() {
         requestAnimationFrame(this.animate.bind(this));
         this.controls.update();
@@ -204,50 +488,372 @@ class SceneController {
 class App {
     constructor() {
         this.sceneController = null;
-        this.animationData = null;
+        this.documents = [];
+        this.activeIndex = -1;
         this.isPlaying = false;
         this.currentFrame = 0;
         this.fps = 30;
         this.lastTime = 0;
+        this.selection = { start: 0, end: 0 };
+        this.selectedBone = null;
+        this.poseEdit = null;
+        // { other: document B, result } while a comparison is shown
+        this.comparison = null;
+        // 'auto' or a definition id from listSkeletons()
+        this.skeletonChoice = 'auto';
+        this.skeleton = skeletonForBones([]);
+        // File name of the character mesh in the viewport
+        this.characterName = null;
+        // Props on the weapon bones, saved and loaded as a project's prop config
+        this.propConfig = { name: 'Props', props: [] };
+        this.propIndex = -1;
+        // Loaded prop models by file name, as the config refers to them
+        this.propModels = new Map();
+        // Foot contacts detected on the active clip (foot-contact.js), null while detection is off
+        this.contacts = null;
         
         this.els = {
             dropZone: document.getElementById('dropZone'),
             fileInput: document.getElementById('mainFileInput'),
             fileName: document.getElementById('fileName'),
+            docTabs: document.getElementById('docTabs'),
             gltfInput: document.getElementById('gltfInput'),
             playBtn: document.getElementById('playBtn'),
             timeline: document.getElementById('timeline'),
             speed: document.getElementById('speed'),
             infoFrames: document.getElementById('infoFrames'),
             infoBones: document.getElementById('infoBones'),
+            structureDump: document.getElementById('structureDump'),
             btnImport: document.getElementById('btnImportGltf'),
             btnExport: document.getElementById('btnExportGltf'),
+            exportFormat: document.getElementById('exportFormat'),
+            mappingPreset: document.getElementById('mappingPreset'),
+            mappingJson: document.getElementById('mappingJson'),
+            mappingInput: document.getElementById('mappingInput'),
+            btnMappingLoad: document.getElementById('btnMappingLoad'),
+            btnMappingSave: document.getElementById('btnMappingSave'),
+            importStart: document.getElementById('importStart'),
+            importEnd: document.getElementById('importEnd'),
+            importTiming: document.getElementById('importTiming'),
+            importRate: document.getElementById('importRate'),
+            importRateLabel: document.getElementById('importRateLabel'),
+            importInterp: document.getElementById('importInterp'),
+            importIncludeEnd: document.getElementById('importIncludeEnd'),
+            clipDialog: document.getElementById('clipDialog'),
+            clipList: document.getElementById('clipList'),
+            clipError: document.getElementById('clipError'),
+            clipImportBtn: document.getElementById('clipImportBtn'),
+            clipCancelBtn: document.getElementById('clipCancelBtn'),
             btnCompile: document.getElementById('btnCompile'),
             loader: document.getElementById('loader'),
             statusText: document.getElementById('statusText'),
+            diagnostics: document.getElementById('diagnostics'),
+            lenientParse: document.getElementById('lenientParse'),
             frameDisplay: document.getElementById('frameDisplay'),
-            speedDisplay: document.getElementById('speedDisplay')
+            speedDisplay: document.getElementById('speedDisplay'),
+            rangeBar: document.getElementById('rangeBar'),
+            rangeStart: document.getElementById('rangeStart'),
+            rangeEnd: document.getElementById('rangeEnd'),
+            btnRangeIn: document.getElementById('btnRangeIn'),
+            btnRangeOut: document.getElementById('btnRangeOut'),
+            btnRangeAll: document.getElementById('btnRangeAll'),
+            btnCrop: document.getElementById('btnCrop'),
+            btnDeleteRange: document.getElementById('btnDeleteRange'),
+            btnReverse: document.getElementById('btnReverse'),
+            btnDuplicate: document.getElementById('btnDuplicate'),
+            duplicateCount: document.getElementById('duplicateCount'),
+            btnResample: document.getElementById('btnResample'),
+            btnMirror: document.getElementById('btnMirror'),
+            resampleCount: document.getElementById('resampleCount'),
+            historyList: document.getElementById('historyList'),
+            btnUndo: document.getElementById('btnUndo'),
+            btnRedo: document.getElementById('btnRedo'),
+            boneOutliner: document.getElementById('boneOutliner'),
+            selectedBoneInfo: document.getElementById('selectedBoneInfo'),
+            btnGizmoRotate: document.getElementById('btnGizmoRotate'),
+            btnGizmoTranslate: document.getElementById('btnGizmoTranslate'),
+            btnGizmoSpace: document.getElementById('btnGizmoSpace'),
+            keyTrack: document.getElementById('keyTrack'),
+            keyInterp: document.getElementById('keyInterp'),
+            btnKeyBone: document.getElementById('btnKeyBone'),
+            btnKeyAll: document.getElementById('btnKeyAll'),
+            btnClearKeys: document.getElementById('btnClearKeys'),
+            keyInfo: document.getElementById('keyInfo'),
+            ikEffector: document.getElementById('ikEffector'),
+            ikTargetX: document.getElementById('ikTargetX'),
+            ikTargetY: document.getElementById('ikTargetY'),
+            ikTargetZ: document.getElementById('ikTargetZ'),
+            ikPoleX: document.getElementById('ikPoleX'),
+            ikPoleY: document.getElementById('ikPoleY'),
+            ikPoleZ: document.getElementById('ikPoleZ'),
+            ikUsePole: document.getElementById('ikUsePole'),
+            btnIkFromPose: document.getElementById('btnIkFromPose'),
+            btnIkKey: document.getElementById('btnIkKey'),
+            btnIkDeleteKey: document.getElementById('btnIkDeleteKey'),
+            btnIkClear: document.getElementById('btnIkClear'),
+            showIkTargets: document.getElementById('showIkTargets'),
+            ikInfo: document.getElementById('ikInfo'),
+            btnCurves: document.getElementById('btnCurves'),
+            curvePanel: document.getElementById('curvePanel'),
+            curveCanvas: document.getElementById('curveCanvas'),
+            curveBoneName: document.getElementById('curveBoneName'),
+            curveMode: document.getElementById('curveMode'),
+            curveChannels: document.getElementById('curveChannels'),
+            smoothKind: document.getElementById('smoothKind'),
+            smoothRadius: document.getElementById('smoothRadius'),
+            btnSmooth: document.getElementById('btnSmooth'),
+            blendSource: document.getElementById('blendSource'),
+            blendMode: document.getElementById('blendMode'),
+            blendMask: document.getElementById('blendMask'),
+            blendFade: document.getElementById('blendFade'),
+            blendWeight: document.getElementById('blendWeight'),
+            blendStart: document.getElementById('blendStart'),
+            btnBlend: document.getElementById('btnBlend'),
+            previewQuantized: document.getElementById('previewQuantized'),
+            btnPrecision: document.getElementById('btnPrecision'),
+            precisionReport: document.getElementById('precisionReport'),
+            compareSource: document.getElementById('compareSource'),
+            compareOverlay: document.getElementById('compareOverlay'),
+            btnCompare: document.getElementById('btnCompare'),
+            btnCompareClear: document.getElementById('btnCompareClear'),
+            compareFrame: document.getElementById('compareFrame'),
+            compareReport: document.getElementById('compareReport'),
+            skeletonSelect: document.getElementById('skeletonSelect'),
+            skeletonInput: document.getElementById('skeletonInput'),
+            btnSkeletonLoad: document.getElementById('btnSkeletonLoad'),
+            skeletonInfo: document.getElementById('skeletonInfo'),
+            rigInput: document.getElementById('rigInput'),
+            btnSkeletonExtract: document.getElementById('btnSkeletonExtract'),
+            rigAllBones: document.getElementById('rigAllBones'),
+            rigScale: document.getElementById('rigScale'),
+            skeletonFormat: document.getElementById('skeletonFormat'),
+            btnSkeletonSave: document.getElementById('btnSkeletonSave'),
+            characterInput: document.getElementById('characterInput'),
+            btnCharacterLoad: document.getElementById('btnCharacterLoad'),
+            btnCharacterClear: document.getElementById('btnCharacterClear'),
+            characterScale: document.getElementById('characterScale'),
+            showSticks: document.getElementById('showSticks'),
+            characterInfo: document.getElementById('characterInfo'),
+            propSelect: document.getElementById('propSelect'),
+            propConfigInput: document.getElementById('propConfigInput'),
+            propModelInput: document.getElementById('propModelInput'),
+            btnPropAdd: document.getElementById('btnPropAdd'),
+            btnPropRemove: document.getElementById('btnPropRemove'),
+            btnPropModel: document.getElementById('btnPropModel'),
+            btnPropLoad: document.getElementById('btnPropLoad'),
+            btnPropSave: document.getElementById('btnPropSave'),
+            propInfo: document.getElementById('propInfo'),
+            propName: document.getElementById('propName'),
+            propSocket: document.getElementById('propSocket'),
+            propShape: document.getElementById('propShape'),
+            propLength: document.getElementById('propLength'),
+            propWidth: document.getElementById('propWidth'),
+            propColor: document.getElementById('propColor'),
+            propPosX: document.getElementById('propPosX'),
+            propPosY: document.getElementById('propPosY'),
+            propPosZ: document.getElementById('propPosZ'),
+            propRotX: document.getElementById('propRotX'),
+            propRotY: document.getElementById('propRotY'),
+            propRotZ: document.getElementById('propRotZ'),
+            propScale: document.getElementById('propScale'),
+            showTrajectories: document.getElementById('showTrajectories'),
+            btnRootExtract: document.getElementById('btnRootExtract'),
+            btnRootBake: document.getElementById('btnRootBake'),
+            rootMotionMode: document.getElementById('rootMotionMode'),
+            rootMotionInfo: document.getElementById('rootMotionInfo'),
+            contactTrack: document.getElementById('contactTrack'),
+            showContacts: document.getElementById('showContacts'),
+            contactHeight: document.getElementById('contactHeight'),
+            contactSpeed: document.getElementById('contactSpeed'),
+            btnLockFeet: document.getElementById('btnLockFeet'),
+            contactInfo: document.getElementById('contactInfo')
         };
 
         this.init();
     }
 
+    // The active tab's animation document, or null when nothing is open
+    get animationData() {
+        const doc = this.documents[this.activeIndex];
+        return doc ? doc.data : null;
+    }
+
     init() {
         this.sceneController = new SceneController('canvasContainer');
+        this.sceneController.onBoneSelected = (name) => this.selectBone(name);
+        this.sceneController.onPoseEditStart = (bone) => this.beginPoseEdit(bone);
+        this.sceneController.onPoseEdit = (bone) => this.updatePoseEdit(bone);
+        this.sceneController.onPoseEditEnd = () => this.endPoseEdit();
+        this.curveEditor = new CurveEditor(this.els.curveCanvas);
+        this.curveEditor.onScrub = (frame) => this.seek(frame);
+        this.curveEditor.onDragStart = (frame) => this.beginCurveDrag(frame);
+        this.curveEditor.onDrag = (frame, channel, value) => this.updateCurveDrag(frame, channel, value);
+        this.curveEditor.onDragEnd = () => this.endCurveDrag();
         this.setupEvents();
         requestAnimationFrame(this.loop.bind(this));
     }
 
     setupEvents() {
+        // Bone mapping profiles
+        BUILTIN_PROFILES.forEach(p => this.els.mappingPreset.add(new Option(p.name, p.id)));
+        this.els.mappingPreset.add(new Option('Custom', 'custom'));
+        this.els.mappingPreset.onchange = () => {
+            const preset = findBuiltinProfile(this.els.mappingPreset.value);
+            if (preset) this.els.mappingJson.value = serializeProfile(preset);
+        };
+        this.els.mappingJson.oninput = () => { this.els.mappingPreset.value = 'custom'; };
+        this.els.mappingPreset.onchange();
+
+        this.els.btnMappingLoad.onclick = () => this.els.mappingInput.click();
+        this.els.mappingInput.onchange = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const profile = parseProfile(await file.text());
+                this.els.mappingJson.value = serializeProfile(profile);
+                this.els.mappingPreset.value = 'custom';
+                this.setStatus(`Loaded mapping profile "${profile.name}"`, 'success');
+            } catch (err) {
+                this.setStatus('Mapping Error: ' + err.message, 'error');
+            }
+        };
+        this.els.btnMappingSave.onclick = () => {
+            try {
+                const profile = parseProfile(this.els.mappingJson.value);
+                const blob = new Blob([serializeProfile(profile)], { type: 'application/json' });
+                this.download(blob, `${profile.name.replace(/[^\w.-]+/g, '_')}.mapping.json`);
+            } catch (err) {
+                this.setStatus('Mapping Error: ' + err.message, 'error');
+            }
+        };
+
+        // Skeleton definitions; automatic picks the one covering most of the file's bone IDs
+        this.renderSkeletonChoices();
+        this.els.skeletonSelect.onchange = () => {
+            this.skeletonChoice = this.els.skeletonSelect.value;
+            this.changeSkeleton();
+        };
+        this.els.btnSkeletonLoad.onclick = () => this.els.skeletonInput.click();
+        this.els.skeletonInput.onchange = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const definition = registerSkeleton(file.name.replace(/\.[^.]+$/, ''), await file.text());
+                this.skeletonChoice = definition.id;
+                this.renderSkeletonChoices();
+                this.changeSkeleton();
+                this.setStatus(`Loaded skeleton "${definition.name}" (${definition.nodes.length} bones)`, 'success');
+            } catch (err) {
+                this.setStatus('Skeleton Error: ' + err.message, 'error');
+            }
+        };
+
+        this.els.btnSkeletonExtract.onclick = () => this.els.rigInput.click();
+        this.els.rigInput.onchange = async (e) => {
+            await this.extractRigSkeleton(Array.from(e.target.files));
+            e.target.value = '';
+        };
+        this.els.btnSkeletonSave.onclick = () => {
+            const { definition } = this.skeleton;
+            const stem = definition.name.replace(/[^\w.-]+/g, '_');
+            if (this.els.skeletonFormat.value === 'json') {
+                const text = JSON.stringify(skeletonToJSON(definition.nodes, definition.name), null, 2);
+                this.download(new Blob([text], { type: 'application/json' }), `${stem}.skeleton.json`);
+            } else {
+                this.download(new Blob([formatSkeletonDefinition(definition.nodes)], { type: 'text/plain' }), `${stem}.skeleton.txt`);
+            }
+        };
+
+        // Character mesh, bound to the bones by name; the bone sticks become an overlay
+        this.els.btnCharacterLoad.onclick = () => this.els.characterInput.click();
+        this.els.characterInput.onchange = async (e) => {
+            await this.loadCharacter(Array.from(e.target.files));
+            e.target.value = '';
+        };
+        this.els.btnCharacterClear.onclick = () => {
+            this.sceneController.clearCharacter();
+            this.characterName = null;
+            this.renderCharacterInfo();
+        };
+        this.els.characterScale.onchange = () => {
+            const character = this.sceneController.character;
+            if (character) this.bindCharacter(character.gltf);
+        };
+        this.els.showSticks.onchange = () => {
+            this.sceneController.setSticksVisible(this.els.showSticks.checked);
+        };
+
+        // Props on the weapon bones; every field edit rebuilds them in place
+        PROP_SOCKETS.forEach(socket => this.els.propSocket.add(new Option(socket, socket)));
+        PROP_SHAPES.forEach(shape => this.els.propShape.add(new Option(shape[0].toUpperCase() + shape.slice(1), shape)));
+        this.els.propSelect.onchange = () => {
+            this.propIndex = parseInt(this.els.propSelect.value);
+            this.renderProps();
+        };
+        this.els.btnPropAdd.onclick = () => {
+            const props = this.propConfig.props;
+            props.push(createProp({ name: `Prop ${props.length + 1}` }));
+            this.propIndex = props.length - 1;
+            this.applyProps();
+        };
+        this.els.btnPropRemove.onclick = () => {
+            this.propConfig.props.splice(this.propIndex, 1);
+            this.propIndex = Math.min(this.propIndex, this.propConfig.props.length - 1);
+            this.applyProps();
+        };
+        document.querySelectorAll('.prop-field').forEach(input => {
+            input.onchange = () => this.readPropFields();
+        });
+        this.els.btnPropModel.onclick = () => this.els.propModelInput.click();
+        this.els.propModelInput.onchange = async (e) => {
+            await this.loadPropModel(Array.from(e.target.files));
+            e.target.value = '';
+        };
+        this.els.btnPropLoad.onclick = () => this.els.propConfigInput.click();
+        this.els.propConfigInput.onchange = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                this.propConfig = parsePropConfig(await file.text());
+                this.propIndex = this.propConfig.props.length > 0 ? 0 : -1;
+                this.applyProps();
+                this.setStatus(`Loaded ${this.propConfig.props.length} prop(s) from ${file.name}`, 'success');
+            } catch (err) {
+                this.setStatus('Prop Error: ' + err.message, 'error');
+            }
+        };
+        this.els.btnPropSave.onclick = () => {
+            const { name, props } = this.propConfig;
+            const blob = new Blob([serializePropConfig(name, props)], { type: 'application/json' });
+            this.download(blob, `${name.replace(/[^\w.-]+/g, '_')}.props.json`);
+        };
+        this.renderProps();
+
+        // Import sampling: the rate field means FPS or a frame count depending on the timing mode
+        this.els.importTiming.onchange = () => {
+            const timing = this.els.importTiming.value;
+            this.els.importRateLabel.textContent = timing === 'frames' ? 'Frames' : 'FPS';
+            this.els.importRate.disabled = timing === 'keys';
+        };
+
         // Base File Input
         this.els.dropZone.onclick = (e) => {
             if(e.target !== this.els.fileInput) this.els.fileInput.click();
         };
-        this.els.fileInput.onchange = (e) => this.handleBaseFile(e.target.files[0]);
+        this.els.fileInput.onchange = async (e) => {
+            for (const file of Array.from(e.target.files)) await this.handleBaseFile(file);
+            e.target.value = '';
+        };
 
         // GLTF Import
         this.els.btnImport.onclick = () => this.els.gltfInput.click();
-        this.els.gltfInput.onchange = (e) => this.handleGltfImport(e.target.files[0]);
+        this.els.gltfInput.onchange = async (e) => {
+            await this.handleGltfImport(Array.from(e.target.files));
+            e.target.value = '';
+        };
 
         // GLTF Export
         this.els.btnExport.onclick = async () => {
@@ -257,8 +863,11 @@ class App {
             }
             this.setLoading(true);
             try {
-                const blob = await gltfHandler.exportGLTF(this.animationData, this.fps);
-                this.download(blob, 'sf3_animation_export.gltf');
+                const binary = this.els.exportFormat.value === 'glb';
+                const { doc, trajectory } = rootMotionDocument(this.bakedDocument(), this.els.rootMotionMode.value, 'gltf');
+                const bytes = await gltfHandler.exportGLTF(doc, this.fps, { binary, skeleton: this.skeleton.nodes, rootMotion: trajectory });
+                const blob = new Blob([bytes], { type: binary ? 'model/gltf-binary' : 'model/gltf+json' });
+                this.download(blob, binary ? 'sf3_animation_export.glb' : 'sf3_animation_export.gltf');
                 this.setStatus('Export Successful', 'success');
             } catch(e) {
                 this.setStatus('Export Failed: ' + e.message, 'error');
@@ -273,126 +882,1417 @@ class App {
                 return;
             }
             try {
-                const buffer = animationParser.repack(this.animationData);
+                const doc = this.compiledDocument();
+                const report = this.showPrecisionReport(doc);
+                const buffer = animationParser.repack(doc);
                 const blob = new Blob([buffer], { type: 'application/octet-stream' });
-                this.download(blob, 'compiled_animation.bytes');
-                this.setStatus('Binary Compiled Successfully', 'success');
+                const stem = this.documents[this.activeIndex].name.replace(/\.[^.]+$/, '');
+                this.download(blob, `${stem}_compiled.bytes`);
+                if (report.issues.length > 0) {
+                    this.setStatus(`Compiled with ${report.issues.length} precision problem(s), see File Precision`, 'error');
+                } else {
+                    this.setStatus('Binary Compiled Successfully', 'success');
+                }
             } catch(e) {
                 this.setStatus('Compile Error: ' + e.message, 'error');
             }
         };
 
+        // Quantization preview and report
+        this.els.previewQuantized.onchange = () => this.renderFrame();
+        this.els.btnPrecision.onclick = () => {
+            if (!this.animationData) return;
+            const report = this.showPrecisionReport(this.compiledDocument());
+            this.setStatus(`Precision check: ${report.issues.length} problem(s)`, report.issues.length > 0 ? 'error' : 'success');
+        };
+
+        // Comparison with a second file
+        this.els.btnCompare.onclick = () => this.compareWith();
+        this.els.btnCompareClear.onclick = () => {
+            this.comparison = null;
+            this.refreshComparison();
+        };
+        this.els.compareOverlay.onchange = () => this.renderFrame();
+
         // Playback
         this.els.playBtn.onclick = () => this.togglePlay();
-        this.els.timeline.oninput = (e) => {
-            this.isPlaying = false;
-            this.currentFrame = parseInt(e.target.value);
-            this.updateUI();
-            this.renderFrame();
-        };
+        this.els.timeline.oninput = (e) => this.seek(parseInt(e.target.value));
         this.els.speed.oninput = (e) => {
             this.fps = parseInt(e.target.value);
             this.els.speedDisplay.textContent = `${this.fps} FPS`;
         };
+
+        // History: Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes, except while typing in a field
+        this.els.btnUndo.onclick = () => this.undo();
+        this.els.btnRedo.onclick = () => this.redo();
+        window.addEventListener('keydown', (e) => {
+            if (e.target.matches('textarea, input[type=text], input[type=number]')) return;
+            const key = e.key.toLowerCase();
+            if (!(e.ctrlKey || e.metaKey)) {
+                // Gizmo shortcuts: R rotate, T translate, Escape deselects
+                if (key === 'r') this.setGizmoMode('rotate');
+                else if (key === 't') this.setGizmoMode('translate');
+                else if (key === 'escape') this.selectBone(null, true);
+                return;
+            }
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Pose editing
+        this.els.btnGizmoRotate.onclick = () => this.setGizmoMode('rotate');
+        this.els.btnGizmoTranslate.onclick = () => this.setGizmoMode('translate');
+        this.els.btnGizmoSpace.onclick = () => {
+            const space = this.sceneController.toggleTransformSpace();
+            this.els.btnGizmoSpace.textContent = space === 'local' ? 'Local' : 'World';
+        };
+
+        // Key layer
+        KEY_INTERPOLATIONS.forEach(m => this.els.keyInterp.add(new Option(m.name, m.id)));
+        this.els.keyInterp.value = 'slerp';
+        this.els.keyInterp.onchange = () => {
+            const mode = this.els.keyInterp.value;
+            if (this.animationData && this.animationData.keyLayer) {
+                this.changeKeyLayer(`Key interpolation: ${mode}`, layer => setInterpolation(layer, mode));
+            }
+        };
+        this.els.btnKeyBone.onclick = () => {
+            const id = boneIdFromName(this.selectedBone);
+            if (id === undefined) {
+                this.setStatus('Select a bone to key first', 'error');
+                return;
+            }
+            this.changeKeyLayer(`Key ${this.selectedBone} @ ${this.currentFrame}`, layer => toggleKey(layer, [id], this.currentFrame));
+        };
+        this.els.btnKeyAll.onclick = () => {
+            this.changeKeyLayer(`Key all bones @ ${this.currentFrame}`, layer => toggleKey(layer, this.animationData.boneIds, this.currentFrame));
+        };
+        this.els.btnClearKeys.onclick = () => {
+            const id = boneIdFromName(this.selectedBone);
+            const ids = id === undefined ? this.animationData.boneIds : [id];
+            this.changeKeyLayer(`Clear keys (${id === undefined ? 'all bones' : this.selectedBone})`, layer => clearKeys(layer, ids));
+        };
+
+        // IK layer: keyed effector targets, baked into the chains' rotations
+        IK_EFFECTORS.forEach(e => this.els.ikEffector.add(new Option(e.name, e.id)));
+        this.els.ikEffector.onchange = () => {
+            this.fillIkFields();
+            this.renderIk();
+        };
+        this.els.btnIkFromPose.onclick = () => this.fillIkFields(true);
+        this.els.btnIkKey.onclick = () => {
+            const effector = ikEffector(this.els.ikEffector.value);
+            const key = { frame: this.currentFrame, ...this.readIkFields() };
+            this.changeIkLayer(`IK ${effector.name} @ ${key.frame}`, layer => setEffectorKey(layer, effector.id, key));
+        };
+        this.els.btnIkDeleteKey.onclick = () => {
+            const effector = ikEffector(this.els.ikEffector.value);
+            const frame = this.currentFrame;
+            if (!effectorKeys(this.animationData.ikLayer, effector.id).some(k => k.frame === frame)) {
+                this.setStatus(`${effector.name} has no IK key on frame ${frame}`, 'error');
+                return;
+            }
+            this.changeIkLayer(`Delete IK key ${effector.name} @ ${frame}`, layer => removeEffectorKey(layer, effector.id, frame));
+        };
+        this.els.btnIkClear.onclick = () => {
+            const effector = ikEffector(this.els.ikEffector.value);
+            this.changeIkLayer(`Clear IK ${effector.name}`, layer => clearEffector(layer, effector.id));
+        };
+        this.els.showIkTargets.onchange = () => this.renderIkTargets();
+
+        // Graph editor
+        this.els.btnCurves.onclick = () => {
+            this.els.curvePanel.classList.toggle('hidden');
+            this.sceneController.resize();
+            this.curveEditor.resize();
+            this.refreshCurves();
+        };
+        window.addEventListener('resize', () => this.curveEditor.resize());
+        this.els.curveMode.onchange = () => this.refreshCurves();
+        this.els.btnSmooth.onclick = () => this.smoothSelection();
+
+        // Blending
+        BLEND_MODES.forEach(m => this.els.blendMode.add(new Option(m.name, m.id)));
+        this.els.blendMask.add(new Option('All bones', ''));
+        this.els.btnBlend.onclick = () => this.blendWith();
+
+        // Frame range selection and edits
+        this.els.rangeStart.onchange = () => this.setSelection(parseInt(this.els.rangeStart.value), this.selection.end);
+        this.els.rangeEnd.onchange = () => this.setSelection(this.selection.start, parseInt(this.els.rangeEnd.value));
+        this.els.btnRangeIn.onclick = () => this.setSelection(this.currentFrame, Math.max(this.currentFrame, this.selection.end));
+        this.els.btnRangeOut.onclick = () => this.setSelection(Math.min(this.currentFrame, this.selection.start), this.currentFrame);
+        this.els.btnRangeAll.onclick = () => this.setSelection(0, Infinity);
+        this.els.btnCrop.onclick = () => this.editFrames('Cropped', (doc, s, e) => cropFrames(doc, s, e));
+        this.els.btnDeleteRange.onclick = () => this.editFrames('Deleted', (doc, s, e) => deleteFrames(doc, s, e));
+        this.els.btnReverse.onclick = () => this.editFrames('Reversed', (doc, s, e) => reverseFrames(doc, s, e));
+        this.els.btnDuplicate.onclick = () => {
+            const times = parseInt(this.els.duplicateCount.value);
+            this.editFrames('Repeated', (doc, s, e) => duplicateFrames(doc, s, e, times));
+        };
+        this.els.btnMirror.onclick = () => this.mirrorAnimation();
+
+        // Root motion: extracted travel rides along as a per-frame root curve
+        ROOT_MOTION_MODES.forEach(m => this.els.rootMotionMode.add(new Option(m.name, m.id)));
+        this.els.showTrajectories.onchange = () => this.renderRootMotion();
+        this.els.btnRootExtract.onclick = () => this.changeRootMotion('Extract root motion', frames => extractRootMotion(frames).frames);
+        this.els.btnRootBake.onclick = () => this.changeRootMotion('Bake root motion', bakeRootMotion);
+
+        // Foot contacts: detected on the active clip while enabled, locked through leg IK
+        [this.els.showContacts, this.els.contactHeight, this.els.contactSpeed]
+            .forEach(el => { el.onchange = () => this.renderContacts(); });
+        this.els.btnLockFeet.onclick = () => this.lockFeet();
+        this.els.btnResample.onclick = () => {
+            const count = parseInt(this.els.resampleCount.value);
+            this.editFrames('Resampled', (doc, s, e) => resampleFrames(doc, s, e, count));
+        };
     }
 
-    async handleBaseFile(file) {
-        if (!file) return;
-        this.setLoading(true);
-        this.els.fileName.textContent = file.name;
-        this.setStatus('Parsing Base File...', 'normal');
+    // Inclusive frame range the edit buttons act on, clamped to the active clip
+    setSelection(start, end) {
+        const last = this.animationData ? this.animationData.framesCount - 1 : 0;
+        const clamp = (v) => Math.min(Math.max(Number.isFinite(v) ? v : 0, 0), last);
+        start = clamp(start);
+        end = Math.max(start, Math.min(Number.isNaN(end) ? last : end, last));
+        this.selection = { start, end };
 
-        try {
-            const buffer = await file.arrayBuffer();
-            this.animationData = await animationParser.parse(buffer);
-            
-            // Show skeleton only when file is successfully loaded
-            this.sceneController.setSkeletonVisibility(true);
-            
-            this.resetPlaybackState();
-            this.setStatus('Base File Loaded', 'success');
-            this.enableControls(true);
+        this.els.rangeStart.value = start;
+        this.els.rangeEnd.value = end;
+        const span = Math.max(1, last + 1);
+        this.els.rangeBar.style.left = `${start / span * 100}%`;
+        this.els.rangeBar.style.width = `${(end - start + 1) / span * 100}%`;
+        this.curveEditor.setPlayhead(this.currentFrame, this.selection);
+    }
 
+    // edit(doc, start, end) changes the frame list and returns the range it left behind
+    editFrames(label, edit) {
+        if (!this.animationData) return;
+        try {
+            const doc = this.documents[this.activeIndex];
+            const snapshot = captureFrames(doc.data);
+            const before = this.animationData.framesCount;
+            const range = edit(this.animationData, this.selection.start, this.selection.end);
+            if (doc.data.keyLayer) doc.data.keyLayer = remapKeyLayer(doc.data.keyLayer, range.order);
+            if (doc.data.ikLayer) doc.data.ikLayer = remapIkLayer(doc.data.ikLayer, range.order);
+            doc.history.record(new FrameListCommand(`${label} ${this.selection.start}-${this.selection.end}`, doc.data, snapshot));
+            this.refreshDocumentInfo();
+            this.setSelection(range.start, range.end);
+            this.currentFrame = Math.min(range.start, this.animationData.framesCount - 1);
+            this.isPlaying = false;
+            this.updateUI();
+            this.renderFrame();
+            this.setStatus(`${label} frames ${range.start}-${range.end} (${before} → ${this.animationData.framesCount} frames)`, 'success');
         } catch (err) {
-            console.error(err);
-            this.setStatus('Error: ' + err.message, 'error');
-            this.els.fileName.textContent = 'Load Failed';
-            this.enableControls(false);
-            // Hide skeleton if load failed
-            this.sceneController.setSkeletonVisibility(false);
+            this.setStatus('Edit Error: ' + err.message, 'error');
         }
-        this.setLoading(false);
     }
 
-    async handleGltfImport(file) {
-        if (!file) return;
-        
-        if (!this.animationData || !animationParser.originalFileBuffer) {
-            this.setStatus('Error: Load a Base File first!', 'error');
-            return;
-        }
+    // --- Pose editing ---
 
-        this.setLoading(true);
-        this.setStatus('Importing GLTF...', 'normal');
+    // fromUI: selection came from the outliner or a shortcut, so the viewport must follow
+    selectBone(name, fromUI = false) {
+        this.selectedBone = name;
+        if (fromUI) this.sceneController.selectBone(name);
 
-        try {
-            // Pass original animation data to handle trailing data multiplication
-            const newData = await gltfHandler.importGLTF(file, this.fps, this.animationData);
-            
-            // Update animation data with new frames
-            this.animationData.frames = newData.frames;
-            this.animationData.framesCount = newData.framesCount;
-            
-            // Store trailing data if it exists
-            if (newData.trailingData) {
-                this.animationData.trailingData = newData.trailingData;
-                if (newData.trailingDataMultiplied) {
-                    this.setStatus(`Imported ${newData.framesCount} frames from GLTF (trailing data ×${newData.trailingDataMultiplied})`, 'success');
-                } else {
-                    this.setStatus(`Imported ${newData.framesCount} frames from GLTF`, 'success');
-                }
-            } else {
-                this.setStatus(`Imported ${newData.framesCount} frames from GLTF`, 'success');
-            }
-            
-            this.resetPlaybackState();
+        this.els.boneOutliner.querySelectorAll('li').forEach(item => {
+            item.classList.toggle('selected', item.dataset.name === name);
+        });
+        this.renderKeyTrack();
+        this.refreshCurves();
+        const selected = this.els.boneOutliner.querySelector('li.selected');
+        if (selected && !fromUI) selected.scrollIntoView({ block: 'nearest' });
 
-        } catch (err) {
-            console.error(err);
-            this.setStatus('Import Error: ' + err.message, 'error');
+        if (!name) {
+            this.els.selectedBoneInfo.textContent = 'Click a joint or pick a bone below';
+        } else {
+            const id = boneIdFromName(name);
+            const inFile = this.animationData && id !== undefined && this.animationData.boneIds.includes(id);
+            this.els.selectedBoneInfo.textContent = id === undefined
+                ? `${name} (no bone ID, not editable)`
+                : `${name} (ID ${id})${inFile ? '' : ' — not in this file'}`;
         }
-        this.setLoading(false);
     }
 
-    resetPlaybackState() {
-        this.currentFrame = 0;
-        this.isPlaying = true;
-        if (this.animationData) {
-            this.els.timeline.max = this.animationData.framesCount - 1;
-            this.els.infoBones.textContent = this.animationData.bonesCount;
-            this.els.infoFrames.textContent = this.animationData.framesCount;
-        }
-        this.updateUI();
-        this.renderFrame();
+    setGizmoMode(mode) {
+        this.sceneController.setTransformMode(mode);
+        this.els.btnGizmoRotate.classList.toggle('active', mode === 'rotate');
+        this.els.btnGizmoTranslate.classList.toggle('active', mode === 'translate');
     }
 
-    enableControls(enabled) {
-        this.els.btnExport.disabled = !enabled;
-        this.els.btnCompile.disabled = !enabled;
-        this.els.btnImport.disabled = !enabled;
+    // Bone entry of the current frame that the gizmo writes into, if the file has one
+    poseEntry(bone) {
+        const id = bone ? boneIdFromName(bone.name) : undefined;
+        if (!this.animationData || id === undefined) return null;
+        const frame = this.animationData.frames[this.currentFrame];
+        return frame ? frame.bones.find(b => b.boneId === id) || null : null;
     }
 
-    togglePlay() {
-        this.isPlaying = !this.isPlaying;
+    beginPoseEdit(bone) {
+        this.isPlaying = false;
         this.updateUI();
+        const entry = this.poseEntry(bone);
+        if (!entry) {
+            this.poseEdit = null;
+            this.setStatus(`${bone ? bone.name : 'Bone'} is not in this file's bone table`, 'error');
+            return;
+        }
+        this.poseEdit = {
+            entry,
+            frame: this.currentFrame,
+            name: bone.name,
+            before: { position: entry.position.slice(), rotation: entry.rotation.slice() }
+        };
     }
 
-    updateUI() {
-        if (this.animationData) {
-            this.els.playBtn.innerHTML = this.isPlaying ? '<i class="fas fa-pause"></i> Pause' : '<i class="fas fa-play"></i> Play';
-            this.els.playBtn.className = `btn-play ${this.isPlaying ? 'paused' : ''}`;
-            this.els.timeline.value = this.currentFrame;
-            this.els.frameDisplay.textContent = `${this.currentFrame} / ${this.animationData.framesCount}`;
+    updatePoseEdit(bone) {
+        if (!this.poseEdit) return;
+        this.poseEdit.entry.position = [bone.position.x, bone.position.y, bone.position.z];
+        this.poseEdit.entry.rotation = [bone.quaternion.x, bone.quaternion.y, bone.quaternion.z, bone.quaternion.w];
+    }
+
+    endPoseEdit() {
+        const edit = this.poseEdit;
+        this.poseEdit = null;
+        if (edit) {
+            const after = { position: edit.entry.position.slice(), rotation: edit.entry.rotation.slice() };
+            const changed = after.position.some((v, i) => v !== edit.before.position[i])
+                || after.rotation.some((v, i) => v !== edit.before.rotation[i]);
+            if (changed) {
+                this.commitPoseChanges(new BonePoseCommand(`Pose ${edit.name} @ ${edit.frame}`, this.animationData, [
+                    { frame: edit.frame, boneId: edit.entry.boneId, before: edit.before, after }
+                ]));
+            }
+        }
+        // Snaps back bones that could not be written
+        this.renderFrame();
+    }
+
+    // Records a BonePoseCommand whose changes are already in the frames. Keyed bones get a key
+    // on every changed frame and their in-betweens re-blended, in the same undo step.
+    commitPoseChanges(pose) {
+        const doc = this.animationData;
+        const keyed = pose.changes.filter(c => boneKeys(doc.keyLayer, c.boneId).length > 0);
+
+        // Keyed bones re-bake their in-betweens, and IK chains re-solve against the new pose
+        if (keyed.length > 0 || doc.ikLayer) {
+            const before = captureFrames(doc);
+            keyed.forEach(c => { doc.keyLayer = addKey(doc.keyLayer, c.boneId, c.frame); });
+            this.bakeLayers(doc);
+            this.history.record(new CompositeCommand(pose.label, [pose, new FrameListCommand(pose.label, doc, before)]));
+        } else {
+            this.history.record(pose);
+        }
+        this.renderHistory();
+        this.renderKeyTrack();
+        this.refreshCurves();
+        this.renderRootMotion();
+        this.renderContacts();
+        this.renderFrame();
+    }
+
+    // --- Graph editor ---
+
+    // Re-reads the selected bone's channels; also called after anything that changes frames
+    refreshCurves() {
+        const id = boneIdFromName(this.selectedBone);
+        const mode = this.els.curveMode.value;
+        const labels = CURVE_MODES[mode];
+
+        if (this.els.curveChannels.dataset.mode !== mode) {
+            this.els.curveChannels.dataset.mode = mode;
+            this.els.curveChannels.innerHTML = '';
+            this.curveEditor.setChannels(labels);
+            labels.forEach((label, c) => {
+                const toggle = document.createElement('label');
+                toggle.className = `curve-channel channel-${c}`;
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.checked = true;
+                box.onchange = () => this.curveEditor.setChannelVisible(c, box.checked);
+                toggle.appendChild(box);
+                toggle.appendChild(document.createTextNode(label));
+                this.els.curveChannels.appendChild(toggle);
+            });
+        }
+
+        if (!this.animationData || id === undefined) {
+            this.curveData = null;
+            this.els.curveBoneName.textContent = 'Select a bone';
+            this.curveEditor.setCurves([]);
+            return;
+        }
+        this.els.curveBoneName.textContent = `${this.selectedBone} (ID ${id})`;
+        this.curveData = readCurves(this.animationData.frames, id, mode);
+        this.curveEditor.setCurves(this.curveData);
+        this.curveEditor.setPlayhead(this.currentFrame, this.selection);
+    }
+
+    beginCurveDrag(frame) {
+        this.isPlaying = false;
+        this.seek(frame);
+        const entry = this.poseEntry(this.sceneController.bones[this.selectedBone]);
+        this.curveDrag = entry
+            ? { entry, frame, before: { position: entry.position.slice(), rotation: entry.rotation.slice() } }
+            : null;
+    }
+
+    updateCurveDrag(frame, channel, value) {
+        if (!this.curveDrag) return;
+        const id = boneIdFromName(this.selectedBone);
+        const pose = poseWithCurveValue(this.animationData.frames, id, this.els.curveMode.value, frame, channel, value, this.curveData);
+        if (!pose) return;
+        this.curveDrag.entry.position = pose.position;
+        this.curveDrag.entry.rotation = pose.rotation;
+        this.curveData = readCurves(this.animationData.frames, id, this.els.curveMode.value);
+        this.curveEditor.setCurves(this.curveData);
+        this.renderFrame();
+    }
+
+    endCurveDrag() {
+        const drag = this.curveDrag;
+        this.curveDrag = null;
+        if (!drag) return;
+        const after = { position: drag.entry.position.slice(), rotation: drag.entry.rotation.slice() };
+        this.commitPoseChanges(new BonePoseCommand(`Curve ${this.selectedBone} @ ${drag.frame}`, this.animationData, [
+            { frame: drag.frame, boneId: drag.entry.boneId, before: drag.before, after }
+        ]));
+    }
+
+    smoothSelection() {
+        const id = boneIdFromName(this.selectedBone);
+        if (!this.animationData || id === undefined) {
+            this.setStatus('Select a bone to smooth first', 'error');
+            return;
+        }
+        const radius = parseInt(this.els.smoothRadius.value);
+        if (!(radius > 0)) {
+            this.setStatus('Smoothing radius must be a positive integer', 'error');
+            return;
+        }
+        const rotation = this.els.curveMode.value !== 'position';
+        const changes = smoothBone(this.animationData.frames, id, this.selection.start, this.selection.end, {
+            kind: this.els.smoothKind.value,
+            radius,
+            position: !rotation,
+            rotation
+        });
+        if (changes.length === 0) {
+            this.setStatus(`${this.selectedBone} is not in this file's bone table`, 'error');
+            return;
+        }
+        const label = `Smooth ${this.selectedBone} ${rotation ? 'rotation' : 'position'} ${this.selection.start}-${this.selection.end}`;
+        const command = new BonePoseCommand(label, this.animationData, changes);
+        command.redo();
+        this.commitPoseChanges(command);
+        this.setStatus(label, 'success');
+    }
+
+    renderOutliner() {
+        const list = this.els.boneOutliner;
+        list.innerHTML = '';
+        const inFile = new Set(this.animationData ? this.animationData.boneIds : []);
+
+        this.sceneController.boneList.forEach(({ name, level, placeholder }) => {
+            const item = document.createElement('li');
+            item.dataset.name = name;
+            item.textContent = name;
+            item.style.paddingLeft = `${6 + level * 10}px`;
+            if (!inFile.has(boneIdFromName(name))) item.classList.add('missing');
+            if (placeholder) {
+                item.classList.add('placeholder');
+                item.title = 'Not in the skeleton definition; placeholder under its nearest bone';
+            }
+            if (name === this.selectedBone) item.classList.add('selected');
+            item.onclick = () => this.selectBone(name, true);
+            list.appendChild(item);
+        });
+    }
+
+    seek(frame) {
+        this.isPlaying = false;
+        this.currentFrame = frame;
+        this.updateUI();
+        this.renderFrame();
+    }
+
+    // --- Root motion ---
+
+    changeRootMotion(label, change) {
+        const doc = this.animationData;
+        if (!doc) return;
+        try {
+            const before = captureFrames(doc);
+            doc.frames = change(doc.frames);
+            // Keyed bones keep their keys over the moved pelvis
+            this.bakeLayers(doc);
+            this.history.record(new FrameListCommand(label, doc, before));
+            this.afterHistoryChange();
+            this.setStatus(label, 'success');
+        } catch (err) {
+            this.setStatus('Root Motion Error: ' + err.message, 'error');
+        }
+    }
+
+    // Info line, bake button and the trajectory lines for the active document
+    renderRootMotion() {
+        const doc = this.animationData;
+        const stored = !!doc && hasRootMotion(doc.frames);
+        this.els.btnRootBake.disabled = !stored;
+        if (!doc) {
+            this.els.rootMotionInfo.textContent = '';
+            this.sceneController.clearTrajectories();
+            return;
+        }
+
+        let distance = null;
+        try {
+            distance = extractRootMotion(doc.frames).distance;
+        } catch (err) {
+            // No pelvis, so no travel to measure
+        }
+        const travel = distance === null ? 'no pelvis bone' : `${distance.toFixed(1)} units travelled`;
+        this.els.rootMotionInfo.textContent = stored ? `Extracted to the root curve, ${travel}` : `In the pelvis, ${travel}`;
+
+        if (!this.els.showTrajectories.checked) {
+            this.sceneController.clearTrajectories();
+            return;
+        }
+        const paths = boneTrajectories(doc.frames, ['pelvis', 'foot_l', 'foot_r'], this.skeleton.nodes);
+        const colors = { pelvis: 0xfacc15, foot_l: 0x38bdf8, foot_r: 0xf87171 };
+        const lines = [...paths].map(([name, points]) => ({ points, color: colors[name] }));
+        lines.push({ points: rootCurve(doc.frames), color: 0x34d399 });
+        this.sceneController.setTrajectories(lines);
+    }
+
+    // --- Foot contacts ---
+
+    contactOptions() {
+        return {
+            heightTolerance: parseFloat(this.els.contactHeight.value) || 0,
+            speedTolerance: parseFloat(this.els.contactSpeed.value) || 0
+        };
+    }
+
+    // Contact bars under the timeline (left above right) and the info line; clears both when
+    // detection is off
+    renderContacts() {
+        const track = this.els.contactTrack;
+        track.innerHTML = '';
+        const doc = this.animationData;
+        this.contacts = null;
+        this.els.btnLockFeet.disabled = true;
+        if (!doc || !this.els.showContacts.checked) {
+            this.els.contactInfo.textContent = '';
+            return;
+        }
+
+        this.contacts = detectContacts(doc.frames, this.skeleton.nodes, this.contactOptions());
+        const span = Math.max(1, doc.framesCount);
+        const summary = [];
+        CONTACT_SIDES.forEach(side => {
+            // Toe bars first so the foot bars cover them where both are down
+            [`toe_${side}`, `foot_${side}`].forEach(name => {
+                this.contacts[name].forEach(({ start, end }) => {
+                    const bar = document.createElement('div');
+                    bar.className = `contact-bar side-${side}${name.startsWith('toe_') ? ' toe' : ''}`;
+                    bar.style.left = `${start / span * 100}%`;
+                    bar.style.width = `${(end - start + 1) / span * 100}%`;
+                    bar.title = `${name} ${start}-${end}`;
+                    track.appendChild(bar);
+                });
+            });
+            summary.push(`${side.toUpperCase()}: ${this.contacts[`foot_${side}`].length} foot, ${this.contacts[`toe_${side}`].length} toe`);
+        });
+        const any = Object.values(this.contacts).some(ranges => ranges.length > 0);
+        this.els.btnLockFeet.disabled = !any;
+        this.els.contactInfo.textContent = any ? `Contacts ${summary.join(' · ')}` : 'No contacts within the tolerances';
+    }
+
+    lockFeet() {
+        const doc = this.animationData;
+        if (!doc || !this.contacts) return;
+        try {
+            const before = captureFrames(doc);
+            const { frames, locked } = lockFeet(doc.frames, this.contacts, this.skeleton.nodes);
+            doc.frames = frames;
+            this.bakeLayers(doc);
+            this.history.record(new FrameListCommand('Lock feet', doc, before));
+            this.afterHistoryChange();
+            this.setStatus(`Locked feet (left on ${locked.l} frame(s), right on ${locked.r})`, 'success');
+        } catch (err) {
+            this.setStatus('Foot Lock Error: ' + err.message, 'error');
+        }
+    }
+
+    // Whole clip, left/right swapped; undo restores the original
+    mirrorAnimation() {
+        const doc = this.documents[this.activeIndex];
+        if (!doc) return;
+        try {
+            const before = captureFrames(doc.data);
+            mirrorDocument(doc.data, this.skeleton.nodes);
+            doc.history.record(new FrameListCommand('Mirror left/right', doc.data, before));
+            this.afterHistoryChange();
+            this.setStatus('Mirrored left/right (Ctrl+Z to undo)', 'success');
+        } catch (err) {
+            this.setStatus('Mirror Error: ' + err.message, 'error');
+        }
+    }
+
+    // Fills the precision panel and lists storage problems under the status line
+    showPrecisionReport(doc) {
+        const report = precisionReport(doc);
+        this.els.precisionReport.textContent = formatPrecisionReport(report).join('\n');
+        this.showDiagnostics(report.issues);
+        return report;
+    }
+
+    // --- Skeleton ---
+
+    renderSkeletonChoices() {
+        const select = this.els.skeletonSelect;
+        select.innerHTML = '';
+        select.add(new Option('Automatic (best match)', 'auto'));
+        listSkeletons().forEach(d => select.add(new Option(d.name, d.id)));
+        select.value = this.skeletonChoice;
+    }
+
+    // Skeleton for a document's bones under the current choice
+    skeletonFor(boneIds) {
+        const definition = findSkeleton(this.skeletonChoice) || pickSkeleton(boneIds);
+        return { definition, ...skeletonForBones(boneIds, definition) };
+    }
+
+    // Skeleton for the active document: the chosen definition or the best match for its bone
+    // IDs, with placeholders for the bones the definition lacks
+    applySkeleton() {
+        const boneIds = this.animationData ? this.animationData.boneIds : [];
+        const { definition, ...skeleton } = this.skeletonFor(boneIds);
+        this.skeleton = skeleton;
+        this.sceneController.setSkeletonNodes(this.skeleton.nodes);
+        // Mask roots are listed again from the new bones
+        while (this.els.blendMask.options.length > 1) this.els.blendMask.remove(1);
+
+        const { nodes, placeholders } = this.skeleton;
+        const lines = [`${definition.name}${this.skeletonChoice === 'auto' ? ' (automatic)' : ''}: ${nodes.length - placeholders.length} bones`];
+        if (placeholders.length > 0) {
+            lines.push(`${placeholders.length} file bone(s) not in the definition, shown as placeholders:`);
+            placeholders.forEach(p => lines.push(`  ${String(p.boneId).padEnd(4)}${p.name} (under ${p.parent})`));
+        }
+        this.els.skeletonInfo.textContent = lines.join('\n');
+    }
+
+    // Rest skeleton of a skinned rig (plus any external .bin buffers it needs), named through the
+    // current bone mapping profile. It becomes a definition like a loaded one.
+    async extractRigSkeleton(files) {
+        const file = files.find(f => /\.(gltf|glb)$/i.test(f.name));
+        if (!file) {
+            if (files.length > 0) this.setStatus('Error: Select a .gltf or .glb rig', 'error');
+            return;
+        }
+        this.setLoading(true);
+        try {
+            const gltf = await this.loadGltfFile(file, files, { requireAnimations: false });
+            const name = file.name.replace(/\.[^.]+$/, '');
+            const json = extractSkeleton(gltf, {
+                profile: parseProfile(this.els.mappingJson.value),
+                allBones: this.els.rigAllBones.checked,
+                scale: parseFloat(this.els.rigScale.value) || 1,
+                name
+            });
+            const definition = registerSkeleton(name, JSON.stringify(json));
+            this.skeletonChoice = definition.id;
+            this.renderSkeletonChoices();
+            this.changeSkeleton();
+            this.setStatus(`Extracted skeleton "${name}" (${definition.nodes.length} bones)`, 'success');
+        } catch (err) {
+            console.error(err);
+            this.setStatus('Skeleton Error: ' + err.message, 'error');
+        }
+        this.setLoading(false);
+    }
+
+    // --- Character mesh ---
+
+    // A skinned character (plus any external .bin buffers it needs) to show in place of the bone
+    // sticks. Joints bind by name, through the current bone mapping profile.
+    async loadCharacter(files) {
+        const file = files.find(f => /\.(gltf|glb)$/i.test(f.name));
+        if (!file) {
+            if (files.length > 0) this.setStatus('Error: Select a .gltf or .glb character', 'error');
+            return;
+        }
+        this.setLoading(true);
+        try {
+            const gltf = await this.loadGltfFile(file, files, { requireAnimations: false });
+            this.characterName = file.name;
+            this.bindCharacter(gltf);
+        } catch (err) {
+            console.error(err);
+            this.setStatus('Character Error: ' + err.message, 'error');
+        }
+        this.setLoading(false);
+    }
+
+    bindCharacter(gltf) {
+        const scale = parseFloat(this.els.characterScale.value);
+        try {
+            const binding = this.sceneController.setCharacter(gltf, {
+                profile: parseProfile(this.els.mappingJson.value),
+                scale: scale > 0 ? scale : null
+            });
+            this.renderFrame();
+            this.setStatus(binding ? `Bound ${this.characterName}: ${binding.matched.length} of ${binding.joints} joints by name` : `Loaded ${this.characterName}; it binds when a file is open`, 'success');
+        } catch (err) {
+            this.characterName = null;
+            this.setStatus('Character Error: ' + err.message, 'error');
+        }
+        this.renderCharacterInfo();
+    }
+
+    renderCharacterInfo() {
+        const character = this.sceneController.character;
+        this.els.btnCharacterClear.disabled = !character;
+        if (!character) {
+            this.els.characterInfo.textContent = '';
+            return;
+        }
+        const binding = character.binding;
+        if (!binding) {
+            this.els.characterInfo.textContent = `${this.characterName}: not bound (open a file, or check the bone mapping)`;
+            return;
+        }
+        const lines = [
+            `${this.characterName}: ${binding.meshes} mesh(es), scale ${binding.scale.toPrecision(4)}`,
+            `${binding.matched.length} of ${binding.joints} joints bound by name`
+        ];
+        if (binding.followers.length > 0) {
+            lines.push('Following a parent bone:');
+            binding.followers.forEach(f => lines.push(`  ${f.joint} → ${f.bone}`));
+        }
+        this.els.characterInfo.textContent = lines.join('\n');
+    }
+
+    // --- Props ---
+
+    renderProps() {
+        const { props } = this.propConfig;
+        const select = this.els.propSelect;
+        select.innerHTML = '';
+        if (props.length === 0) select.add(new Option('No props', '-1'));
+        props.forEach((prop, i) => select.add(new Option(`${prop.name} (${prop.socket})`, String(i))));
+        select.value = String(this.propIndex);
+
+        const prop = props[this.propIndex];
+        this.els.btnPropRemove.disabled = !prop;
+        this.els.btnPropModel.disabled = !prop;
+        document.querySelectorAll('.prop-field').forEach(input => { input.disabled = !prop; });
+        if (!prop) return;
+
+        const { position, rotation, scale } = prop.offset;
+        this.els.propName.value = prop.name;
+        this.els.propSocket.value = prop.socket;
+        this.els.propShape.value = prop.shape;
+        this.els.propLength.value = prop.length;
+        this.els.propWidth.value = prop.width;
+        this.els.propColor.value = prop.color;
+        [this.els.propPosX, this.els.propPosY, this.els.propPosZ].forEach((input, k) => { input.value = position[k]; });
+        [this.els.propRotX, this.els.propRotY, this.els.propRotZ].forEach((input, k) => { input.value = rotation[k]; });
+        this.els.propScale.value = scale;
+    }
+
+    // Selected prop from the fields; sizes that are not positive keep their old value
+    readPropFields() {
+        const prop = this.propConfig.props[this.propIndex];
+        if (!prop) return;
+        const number = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const positive = (input, fallback) => {
+            const value = number(input, fallback);
+            return value > 0 ? value : fallback;
+        };
+
+        prop.name = this.els.propName.value.trim() || prop.name;
+        prop.socket = this.els.propSocket.value;
+        prop.shape = this.els.propShape.value;
+        prop.length = positive(this.els.propLength, prop.length);
+        prop.width = positive(this.els.propWidth, prop.width);
+        prop.color = this.els.propColor.value;
+        const { position, rotation } = prop.offset;
+        prop.offset.position = [this.els.propPosX, this.els.propPosY, this.els.propPosZ].map((input, k) => number(input, position[k]));
+        prop.offset.rotation = [this.els.propRotX, this.els.propRotY, this.els.propRotZ].map((input, k) => number(input, rotation[k]));
+        prop.offset.scale = positive(this.els.propScale, prop.offset.scale);
+        this.applyProps();
+    }
+
+    applyProps() {
+        const missing = this.sceneController.setProps(this.propConfig.props, this.propModels);
+        this.renderProps();
+        this.renderFrame();
+
+        const lines = [];
+        this.propConfig.props.forEach(prop => {
+            const model = prop.shape === 'model' ? ` ${prop.model || '(no model)'}${this.propModels.has(prop.model) ? '' : ' not loaded, shown as a box'}` : '';
+            lines.push(`${prop.name} on ${prop.socket}: ${prop.shape}${model}`);
+        });
+        if (missing.length > 0 && this.animationData) {
+            lines.push(`Not shown, socket bone missing: ${missing.map(p => p.name).join(', ')}`);
+        }
+        this.els.propInfo.textContent = lines.join('\n');
+    }
+
+    // A glTF model for the selected prop, remembered by file name so a loaded config finds it
+    async loadPropModel(files) {
+        const prop = this.propConfig.props[this.propIndex];
+        const file = files.find(f => /\.(gltf|glb)$/i.test(f.name));
+        if (!prop || !file) {
+            if (files.length > 0) this.setStatus('Error: Select a .gltf or .glb model', 'error');
+            return;
+        }
+        this.setLoading(true);
+        try {
+            const gltf = await this.loadGltfFile(file, files, { requireAnimations: false });
+            this.propModels.set(file.name, gltf.scene);
+            prop.shape = 'model';
+            prop.model = file.name;
+            this.applyProps();
+            this.setStatus(`Loaded model ${file.name} for ${prop.name}`, 'success');
+        } catch (err) {
+            console.error(err);
+            this.setStatus('Prop Error: ' + err.message, 'error');
+        }
+        this.setLoading(false);
+    }
+
+    changeSkeleton() {
+        this.applySkeleton();
+        this.refreshDocumentInfo();
+        this.selectBone(this.animationData ? this.selectedBone : null, true);
+        this.renderFrame();
+    }
+
+    // --- Comparison ---
+
+    renderCompareSources() {
+        const select = this.els.compareSource;
+        const previous = select.value;
+        select.innerHTML = '';
+        this.documents.forEach((doc, i) => {
+            if (i !== this.activeIndex) select.add(new Option(`${doc.name} (${doc.data.framesCount})`, String(i)));
+        });
+        if ([...select.options].some(o => o.value === previous)) select.value = previous;
+        this.els.btnCompare.disabled = select.options.length === 0;
+    }
+
+    compareWith() {
+        const other = this.documents[parseInt(this.els.compareSource.value)];
+        if (!this.animationData || !other) {
+            this.setStatus('Open a second file to compare with', 'error');
+            return;
+        }
+        this.comparison = { other, result: null };
+        this.refreshComparison();
+        this.setStatus(`Comparing with ${other.name}`, 'success');
+    }
+
+    // Re-runs the comparison against the active document as it is now. It ends when B is closed
+    // or becomes the active tab.
+    refreshComparison() {
+        const cmp = this.comparison;
+        if (cmp && (!this.documents.includes(cmp.other) || cmp.other === this.documents[this.activeIndex])) {
+            this.comparison = null;
+        }
+        if (!this.comparison) {
+            this.els.compareReport.textContent = '';
+            this.els.compareFrame.textContent = '';
+            this.els.btnCompareClear.disabled = true;
+            this.sceneController.setOverlayFrame(null);
+            return;
+        }
+        cmp.result = compareDocuments(this.bakedDocument(), cmp.other.data);
+        this.els.compareReport.textContent = [`B: ${cmp.other.name}`, '', ...formatComparison(cmp.result)].join('\n');
+        this.els.btnCompareClear.disabled = false;
+    }
+
+    // --- Blending ---
+
+    // Other open documents are the candidates for clip B
+    renderBlendSources() {
+        const select = this.els.blendSource;
+        const previous = select.value;
+        select.innerHTML = '';
+        this.documents.forEach((doc, i) => {
+            if (i !== this.activeIndex) select.add(new Option(`${doc.name} (${doc.data.framesCount})`, String(i)));
+        });
+        if ([...select.options].some(o => o.value === previous)) select.value = previous;
+        this.els.btnBlend.disabled = select.options.length === 0;
+
+        // Mask roots come from the skeleton the viewer shows
+        if (this.els.blendMask.options.length === 1) {
+            this.sceneController.boneList.forEach(({ name, level }) => {
+                if (boneIdFromName(name) !== undefined) this.els.blendMask.add(new Option(`${'  '.repeat(level)}${name}`, name));
+            });
+        }
+    }
+
+    blendWith() {
+        const doc = this.documents[this.activeIndex];
+        const other = this.documents[parseInt(this.els.blendSource.value)];
+        if (!doc || !other) {
+            this.setStatus('Open a second file to blend with', 'error');
+            return;
+        }
+        try {
+            const mode = this.els.blendMode.value;
+            const maskRoot = this.els.blendMask.value;
+            const before = captureFrames(doc.data);
+            blendDocuments(doc.data, other.data, {
+                mode,
+                fade: parseInt(this.els.blendFade.value) || 0,
+                weight: Math.min(Math.max(parseFloat(this.els.blendWeight.value), 0), 1) || 0,
+                start: parseInt(this.els.blendStart.value) || 0,
+                mask: maskRoot ? boneSubtree(maskRoot, this.skeleton.nodes) : null
+            });
+            // Blended frames no longer follow the old keys
+            doc.data.keyLayer = null;
+            doc.data.ikLayer = null;
+            const label = `Blend ${other.name} (${mode}${maskRoot ? `, ${maskRoot}` : ''})`;
+            doc.history.record(new FrameListCommand(label, doc.data, before));
+            this.afterHistoryChange();
+            this.setStatus(label, 'success');
+        } catch (err) {
+            this.setStatus('Blend Error: ' + err.message, 'error');
+        }
+    }
+
+    // --- Key layer ---
+
+    // update(layer) returns the new layer; in-betweens are re-baked straight away so the dense
+    // frames always match the keys
+    changeKeyLayer(label, update) {
+        const doc = this.animationData;
+        if (!doc) return;
+        try {
+            const before = captureFrames(doc);
+            doc.keyLayer = update(doc.keyLayer || createKeyLayer(this.els.keyInterp.value));
+            this.bakeLayers(doc);
+            this.history.record(new FrameListCommand(label, doc, before));
+            this.refreshDocumentInfo();
+            this.renderFrame();
+            this.setStatus(label, 'success');
+        } catch (err) {
+            this.setStatus('Key Error: ' + err.message, 'error');
+        }
+    }
+
+    // Regenerates what the layers own: key in-betweens first, then the IK chains on top
+    bakeLayers(doc) {
+        if (doc.keyLayer) doc.frames = bakeKeyLayer(doc.frames, doc.keyLayer);
+        if (doc.ikLayer) doc.frames = bakeIkLayer(doc.frames, doc.ikLayer, this.skeleton.nodes);
+    }
+
+    // Compile and export see the keys and IK baked in, even if the frames were edited behind the
+    // layers
+    bakedDocument() {
+        const doc = this.animationData;
+        if (!doc.keyLayer && !doc.ikLayer) return doc;
+        const baked = { ...doc };
+        this.bakeLayers(baked);
+        return baked;
+    }
+
+    // --- IK ---
+
+    // update(layer) returns the new layer; the chains are re-solved straight away
+    changeIkLayer(label, update) {
+        const doc = this.animationData;
+        if (!doc) return;
+        try {
+            const before = captureFrames(doc);
+            doc.ikLayer = update(doc.ikLayer || createIkLayer());
+            this.bakeLayers(doc);
+            this.history.record(new FrameListCommand(label, doc, before));
+            this.refreshDocumentInfo();
+            this.renderFrame();
+            this.setStatus(label, 'success');
+        } catch (err) {
+            this.setStatus('IK Error: ' + err.message, 'error');
+        }
+    }
+
+    // { target, pole } from the fields; pole is null unless enabled
+    readIkFields() {
+        const read = (els) => els.map(el => {
+            const value = parseFloat(el.value);
+            if (!Number.isFinite(value)) throw new Error('IK target and pole need numbers in every field');
+            return value;
+        });
+        const effector = ikEffector(this.els.ikEffector.value);
+        const usePole = this.els.ikUsePole.checked && !effector.lookAt;
+        return {
+            target: read([this.els.ikTargetX, this.els.ikTargetY, this.els.ikTargetZ]),
+            pole: usePole ? read([this.els.ikPoleX, this.els.ikPoleY, this.els.ikPoleZ]) : null
+        };
+    }
+
+    // Fields from the effector's key on this frame, or from the pose (always with fromPose)
+    fillIkFields(fromPose = false) {
+        const doc = this.animationData;
+        if (!doc) return;
+        const effector = ikEffector(this.els.ikEffector.value);
+        let values = fromPose ? null : effectorKeys(doc.ikLayer, effector.id).find(k => k.frame === this.currentFrame);
+        if (!values) {
+            const rig = new PoseRig(this.skeleton.nodes);
+            rig.setFrame(doc.frames[this.currentFrame]);
+            values = effectorPose(rig, effector);
+        }
+        if (!values) {
+            this.setStatus(`The skeleton has no ${effector.chain.join(' / ')} chain`, 'error');
+            return;
+        }
+        const round = (v) => Math.round(v * 1000) / 1000;
+        [this.els.ikTargetX, this.els.ikTargetY, this.els.ikTargetZ].forEach((el, k) => { el.value = round(values.target[k]); });
+        if (values.pole) {
+            [this.els.ikPoleX, this.els.ikPoleY, this.els.ikPoleZ].forEach((el, k) => { el.value = round(values.pole[k]); });
+        }
+    }
+
+    renderIk() {
+        const doc = this.animationData;
+        const effector = ikEffector(this.els.ikEffector.value);
+        const keys = doc ? effectorKeys(doc.ikLayer, effector.id) : [];
+        [this.els.ikPoleX, this.els.ikPoleY, this.els.ikPoleZ, this.els.ikUsePole].forEach(el => { el.disabled = !!effector.lookAt; });
+        this.els.btnIkDeleteKey.disabled = keys.length === 0;
+        this.els.btnIkClear.disabled = keys.length === 0;
+
+        const keyed = doc && doc.ikLayer ? IK_EFFECTORS.filter(e => effectorKeys(doc.ikLayer, e.id).length > 0) : [];
+        this.els.ikInfo.textContent = keyed.length === 0
+            ? 'No IK keys'
+            : `${effector.name}: ${keys.length ? keys.map(k => k.frame).join(', ') : 'no keys'} · keyed: ${keyed.map(e => e.name).join(', ')}`;
+        this.renderIkTargets();
+    }
+
+    // Dots on the shown frame's targets and poles
+    renderIkTargets() {
+        const doc = this.animationData;
+        if (!doc || !doc.ikLayer || !this.els.showIkTargets.checked) {
+            this.sceneController.clearIkTargets();
+            return;
+        }
+        const targets = [];
+        const poles = [];
+        IK_EFFECTORS.forEach(e => {
+            const goal = effectorGoal(effectorKeys(doc.ikLayer, e.id), this.currentFrame);
+            if (!goal) return;
+            targets.push(new THREE.Vector3().fromArray(goal.target));
+            if (goal.pole) poles.push(new THREE.Vector3().fromArray(goal.pole));
+        });
+        this.sceneController.setIkTargets(targets, poles);
+    }
+
+    // What compile writes: the keys baked in and root motion as the export mode asks
+    compiledDocument() {
+        return rootMotionDocument(this.bakedDocument(), this.els.rootMotionMode.value, 'bytes').doc;
+    }
+
+    // Ticks under the timeline for the selected bone's keys, or every key when nothing is selected
+    renderKeyTrack() {
+        const track = this.els.keyTrack;
+        track.innerHTML = '';
+        const doc = this.animationData;
+        const layer = doc ? doc.keyLayer : null;
+        if (!layer) {
+            this.els.keyInfo.textContent = 'No keys';
+            return;
+        }
+
+        const id = boneIdFromName(this.selectedBone);
+        const frames = id !== undefined
+            ? boneKeys(layer, id)
+            : [...new Set(Object.values(layer.keys).flat())].sort((a, b) => a - b);
+        const span = Math.max(1, doc.framesCount);
+        frames.forEach(frame => {
+            const tick = document.createElement('div');
+            tick.className = 'key-tick';
+            tick.style.left = `${(frame + 0.5) / span * 100}%`;
+            tick.title = `Key @ ${frame}`;
+            track.appendChild(tick);
+        });
+
+        const keyedBones = Object.keys(layer.keys).length;
+        this.els.keyInfo.textContent = id !== undefined
+            ? `${this.selectedBone}: ${frames.length ? frames.join(', ') : 'no keys'}`
+            : `${keyedBones} keyed bone(s), ${frames.length} key frame(s)`;
+        this.els.keyInterp.value = layer.interpolation;
+    }
+
+    // --- Undo / redo ---
+
+    get history() {
+        const doc = this.documents[this.activeIndex];
+        return doc ? doc.history : null;
+    }
+
+    undo() {
+        const command = this.history && this.history.undo();
+        if (!command) return;
+        this.afterHistoryChange();
+        this.setStatus(`Undid: ${command.label}`, 'normal');
+    }
+
+    redo() {
+        const command = this.history && this.history.redo();
+        if (!command) return;
+        this.afterHistoryChange();
+        this.setStatus(`Redid: ${command.label}`, 'normal');
+    }
+
+    jumpHistory(cursor) {
+        if (!this.history) return;
+        this.history.jumpTo(cursor);
+        this.afterHistoryChange();
+    }
+
+    // Frame counts may have changed under the playhead and the selection
+    afterHistoryChange() {
+        this.refreshDocumentInfo();
+        this.currentFrame = Math.min(this.currentFrame, this.animationData.framesCount - 1);
+        this.setSelection(this.selection.start, this.selection.end);
+        this.updateUI();
+        this.renderFrame();
+    }
+
+    renderHistory() {
+        const list = this.els.historyList;
+        const history = this.history;
+        list.innerHTML = '';
+        this.els.btnUndo.disabled = !history || !history.canUndo();
+        this.els.btnRedo.disabled = !history || !history.canRedo();
+        if (!history) return;
+
+        const entries = ['Opened file', ...history.commands.map(c => c.label)];
+        entries.forEach((label, cursor) => {
+            const item = document.createElement('li');
+            item.textContent = label;
+            if (cursor === history.cursor) item.className = 'current';
+            else if (cursor > history.cursor) item.className = 'undone';
+            item.onclick = () => this.jumpHistory(cursor);
+            list.appendChild(item);
+        });
+    }
+
+    async handleBaseFile(file) {
+        if (!file) return;
+        this.setLoading(true);
+        this.setStatus(`Parsing ${file.name}...`, 'normal');
+
+        try {
+            const buffer = await file.arrayBuffer();
+            const data = await animationParser.parse(buffer, { lenient: this.els.lenientParse.checked });
+            this.documents.push({ name: file.name, data, history: new History() });
+            this.switchDocument(this.documents.length - 1);
+
+            const errors = data.diagnostics.filter(i => i.severity === 'error').length;
+            if (errors > 0) {
+                this.setStatus(`Loaded ${file.name} with ${errors} error(s), ${data.framesCount} frame(s) readable`, 'error');
+            } else if (data.diagnostics.length > 0) {
+                this.setStatus(`Loaded ${file.name} with ${data.diagnostics.length} warning(s)`, 'normal');
+            } else {
+                this.setStatus(`Loaded ${file.name}`, 'success');
+            }
+
+        } catch (err) {
+            console.error(err);
+            this.setStatus(`Error (${file.name}): ` + err.message, 'error');
+            this.showDiagnostics(err.issues || []);
+        }
+        this.setLoading(false);
+    }
+
+    switchDocument(index) {
+        this.activeIndex = index;
+        const doc = this.documents[index];
+
+        if (doc) {
+            this.els.fileName.textContent = doc.name;
+            // Show skeleton only while a file is open
+            this.applySkeleton();
+            this.sceneController.setSkeletonVisibility(true);
+            this.enableControls(true);
+        } else {
+            this.els.fileName.textContent = 'Drag .bytes file here';
+            this.sceneController.setSkeletonVisibility(false);
+            this.enableControls(false);
+        }
+
+        this.renderTabs();
+        this.showDiagnostics(doc ? doc.data.diagnostics : []);
+        this.resetPlaybackState();
+        this.selectBone(doc ? this.selectedBone : null, true);
+    }
+
+    showDiagnostics(issues) {
+        const list = this.els.diagnostics;
+        list.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = issue.severity;
+            item.textContent = formatIssue(issue);
+            list.appendChild(item);
+        });
+    }
+
+    closeDocument(index) {
+        this.documents.splice(index, 1);
+        let next = this.activeIndex;
+        if (index < next || next >= this.documents.length) next--;
+        this.switchDocument(Math.max(next, this.documents.length > 0 ? 0 : -1));
+    }
+
+    renderTabs() {
+        const list = this.els.docTabs;
+        list.innerHTML = '';
+
+        this.documents.forEach((doc, i) => {
+            const tab = document.createElement('div');
+            tab.className = 'doc-tab' + (i === this.activeIndex ? ' active' : '');
+            tab.title = doc.name;
+            tab.onclick = () => this.switchDocument(i);
+
+            const label = document.createElement('span');
+            label.className = 'doc-tab-name';
+            label.textContent = `${doc.name} (${doc.data.framesCount})`;
+
+            const close = document.createElement('button');
+            close.className = 'doc-tab-close';
+            close.innerHTML = '<i class="fas fa-times"></i>';
+            close.onclick = (e) => {
+                e.stopPropagation();
+                this.closeDocument(i);
+            };
+
+            tab.appendChild(label);
+            tab.appendChild(close);
+            list.appendChild(tab);
+        });
+    }
+
+    // Import sampling options from the sidebar, independent of the preview speed slider
+    readSamplingOptions() {
+        const number = (input) => input.value.trim() === '' ? null : parseFloat(input.value);
+        const timing = this.els.importTiming.value;
+        const rate = parseInt(this.els.importRate.value);
+        if (timing !== 'keys' && !(rate > 0)) {
+            throw new Error(timing === 'frames' ? 'Frame count must be a positive integer' : 'Import FPS must be a positive integer');
+        }
+        return {
+            start: number(this.els.importStart) || 0,
+            end: number(this.els.importEnd),
+            timing,
+            fps: timing === 'fps' ? rate : 30,
+            frameCount: timing === 'frames' ? rate : null,
+            interpolation: this.els.importInterp.value,
+            includeEnd: this.els.importIncludeEnd.checked
+        };
+    }
+
+    // A picked .gltf/.glb; external resources it references (.bin buffers, textures) are looked
+    // up by file name among the other picked files
+    async loadGltfFile(file, files, options = {}) {
+        const resolveResource = async (uri) => {
+            const name = uri.split('/').pop();
+            const match = files.find(f => f !== file && f.name === name);
+            return match ? match.arrayBuffer() : null;
+        };
+        return gltfHandler.loadGLTF(await file.arrayBuffer(), { ...options, resolveResource });
+    }
+
+    // files: the .gltf/.glb plus any external .bin buffers it references, picked together
+    async handleGltfImport(files) {
+        if (files.length === 0) return;
+        const file = files.find(f => /\.(gltf|glb)$/i.test(f.name));
+        if (!file) {
+            this.setStatus('Error: Select a .gltf or .glb file', 'error');
+            return;
+        }
+        
+        if (!this.animationData) {
+            this.setStatus('Error: Load a Base File first!', 'error');
+            return;
+        }
+
+        this.setLoading(true);
+        this.setStatus('Importing GLTF...', 'normal');
+
+        try {
+            const profile = parseProfile(this.els.mappingJson.value);
+            const gltf = await this.loadGltfFile(file, files);
+            const sampling = this.readSamplingOptions();
+            const clips = gltfHandler.describeClips(gltf, sampling);
+
+            // A single clip goes straight onto the active tab; several open the clip picker
+            let assignments = [{ clip: 0, docIndex: this.activeIndex }];
+            if (clips.length > 1) {
+                this.setLoading(false);
+                assignments = await this.pickClips(clips);
+                this.setLoading(true);
+            }
+
+            if (assignments.length === 0) {
+                this.setStatus('Import cancelled', 'normal');
+            } else {
+                const summary = [];
+                assignments.forEach(({ clip, docIndex }) => {
+                    const doc = this.documents[docIndex];
+                    const skeleton = this.skeletonFor(doc.data.boneIds).nodes;
+                    const newData = gltfHandler.sampleClip(gltf, gltf.animations[clip], sampling, { profile, skeleton });
+                    const before = captureFrames(doc.data);
+                    // Footer records follow the new frame count
+                    replaceFrames(doc.data, newData.frames);
+                    doc.data.keyLayer = null;
+                    doc.data.ikLayer = null;
+                    doc.history.record(new FrameListCommand(`Import ${clips[clip].name}`, doc.data, before));
+                    summary.push(`${clips[clip].name} → ${doc.name} (${newData.framesCount})`);
+                });
+                this.setStatus('Imported ' + summary.join(', '), 'success');
+            }
+            
+            this.renderTabs();
+            this.resetPlaybackState();
+
+        } catch (err) {
+            console.error(err);
+            this.setStatus('Import Error: ' + err.message, 'error');
+        }
+        this.setLoading(false);
+    }
+
+    // Shows every clip with its duration and frame count and lets the user send each one to an
+    // open base file. Resolves with [{ clip, docIndex }], empty when cancelled.
+    pickClips(clips) {
+        const { clipDialog, clipList, clipError, clipImportBtn, clipCancelBtn } = this.els;
+        clipList.innerHTML = '';
+        clipError.textContent = '';
+
+        const selects = clips.map(info => {
+            const row = document.createElement('tr');
+
+            const name = document.createElement('td');
+            name.textContent = info.name;
+            const duration = document.createElement('td');
+            duration.textContent = `${info.duration.toFixed(2)}s`;
+            const frames = document.createElement('td');
+            frames.textContent = info.framesCount;
+
+            const target = document.createElement('td');
+            const select = document.createElement('select');
+            select.add(new Option('— skip —', ''));
+            this.documents.forEach((doc, i) => select.add(new Option(doc.name, String(i))));
+            select.value = info.index === 0 ? String(this.activeIndex) : '';
+            target.appendChild(select);
+
+            row.append(name, duration, frames, target);
+            clipList.appendChild(row);
+            return select;
+        });
+
+        clipDialog.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const close = (result) => {
+                clipDialog.classList.add('hidden');
+                clipImportBtn.onclick = null;
+                clipCancelBtn.onclick = null;
+                resolve(result);
+            };
+
+            clipCancelBtn.onclick = () => close([]);
+            clipImportBtn.onclick = () => {
+                const assignments = [];
+                selects.forEach((select, clip) => {
+                    if (select.value !== '') assignments.push({ clip, docIndex: parseInt(select.value) });
+                });
+
+                const targets = assignments.map(a => a.docIndex);
+                if (new Set(targets).size !== targets.length) {
+                    clipError.textContent = 'Each base file can only receive one clip';
+                    return;
+                }
+                if (assignments.length === 0) {
+                    clipError.textContent = 'Choose a base file for at least one clip';
+                    return;
+                }
+                close(assignments);
+            };
+        });
+    }
+
+    resetPlaybackState() {
+        this.currentFrame = 0;
+        this.isPlaying = true;
+        this.refreshDocumentInfo();
+        this.setSelection(0, Infinity);
+        this.updateUI();
+        this.renderFrame();
+    }
+
+    // Timeline length, metadata and structure dump for the active document
+    refreshDocumentInfo() {
+        this.renderTabs();
+        this.renderCharacterInfo();
+        this.renderRootMotion();
+        this.renderContacts();
+        this.renderBlendSources();
+        this.renderCompareSources();
+        this.refreshComparison();
+        this.renderHistory();
+        this.renderOutliner();
+        this.renderKeyTrack();
+        this.renderIk();
+        this.refreshCurves();
+        if (this.animationData) {
+            this.els.timeline.max = this.animationData.framesCount - 1;
+            this.els.infoBones.textContent = this.animationData.bonesCount;
+            this.els.infoFrames.textContent = this.animationData.framesCount;
+            this.els.structureDump.textContent = describeDocument(this.animationData).join('\n');
+        } else {
+            this.els.timeline.max = 0;
+            this.els.infoBones.textContent = 0;
+            this.els.infoFrames.textContent = 0;
+            this.els.structureDump.textContent = '';
+        }
+    }
+
+    enableControls(enabled) {
+        this.els.btnExport.disabled = !enabled;
+        this.els.exportFormat.disabled = !enabled;
+        this.els.btnCompile.disabled = !enabled;
+        this.els.btnPrecision.disabled = !enabled;
+        this.els.btnImport.disabled = !enabled;
+        [this.els.btnCrop, this.els.btnDeleteRange, this.els.btnReverse, this.els.btnDuplicate, this.els.btnResample, this.els.btnMirror,
+            this.els.btnKeyBone, this.els.btnKeyAll, this.els.btnClearKeys, this.els.btnRootExtract,
+            this.els.btnIkFromPose, this.els.btnIkKey]
+            .forEach(btn => { btn.disabled = !enabled; });
+    }
+
+    togglePlay() {
+        this.isPlaying = !this.isPlaying;
+        this.updateUI();
+    }
+
+    updateUI() {
+        if (this.animationData) {
+            this.els.playBtn.innerHTML = this.isPlaying ? '<i class="fas fa-pause"></i> Pause' : '<i class="fas fa-play"></i> Play';
+            this.els.playBtn.className = `btn-play ${this.isPlaying ? 'paused' : ''}`;
+            this.els.timeline.value = this.currentFrame;
+            this.els.frameDisplay.textContent = `${this.currentFrame} / ${this.animationData.framesCount}`;
+            this.curveEditor.setPlayhead(this.currentFrame, this.selection);
         } else {
             this.els.frameDisplay.textContent = '0 / 0';
         }
@@ -401,7 +2301,17 @@ class App {
     renderFrame() {
         if (!this.animationData || !this.animationData.frames) return;
         const frame = this.animationData.frames[this.currentFrame];
-        this.sceneController.applyFrame(frame);
+        // Quantized preview shows exactly what the compiled file will hold
+        this.sceneController.applyFrame(frame && this.els.previewQuantized.checked ? quantizeFrame(frame) : frame);
+
+        // B's pose on the same frame number, drawn over A
+        const cmp = this.comparison;
+        if (cmp && cmp.result) {
+            const frameB = cmp.other.data.frames[this.currentFrame];
+            this.sceneController.setOverlayFrame(this.els.compareOverlay.checked && frameB ? frameB : null);
+            this.els.compareFrame.textContent = formatFrameDeltas(cmp.result, this.currentFrame).join('\n');
+        }
+        this.renderIkTargets();
     }
 
     loop(timestamp) {
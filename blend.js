@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+import { replaceFrames } from './parser.js';
+import { cloneFrame } from './frame-edit.js';
+import { skeletonForBones } from './skeleton.js';
+
+// blend.js
+// Combines a second clip (B) into the open document (A). The result always keeps A's bone table
+// so it repacks against A's header: bones B lacks keep A's pose, bones only B has are dropped.
+//
+//   crossfade  A plays, then hands over to B across `fade` frames
+//   override   masked bones take B's pose (per-bone layering, e.g. upper body from B)
+//   additive   masked bones get B's motion relative to B's first frame added on top of A
+
+export const BLEND_MODES = [
+    { id: 'crossfade', name: 'Crossfade A → B' },
+    { id: 'override', name: 'Layer (replace masked bones)' },
+    { id: 'additive', name: 'Additive (B delta from its first frame)' }
+];
+
+// Bone IDs of `rootName` and everything below it in the skeleton hierarchy
+export function boneSubtree(rootName, nodes = skeletonForBones([]).nodes) {
+    const root = nodes.findIndex(n => n.name === rootName);
+    if (root === -1) throw new Error(`Unknown bone: ${rootName}`);
+
+    const inside = new Set([root]);
+    const ids = new Set();
+    nodes.forEach((node, i) => {
+        if (i !== root && !inside.has(node.parent)) return;
+        inside.add(i);
+        if (node.boneId !== undefined) ids.add(node.boneId);
+    });
+    return ids;
+}
+
+const _qa = new THREE.Quaternion();
+const _qb = new THREE.Quaternion();
+const _q0 = new THREE.Quaternion();
+
+function ease(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function copyBone(bone) {
+    return { boneId: bone.boneId, position: bone.position.slice(), rotation: bone.rotation.slice() };
+}
+
+function bonesById(frame) {
+    return new Map(frame.bones.map(b => [b.boneId, b]));
+}
+
+function mix(a, b, w) {
+    _qa.fromArray(a.rotation);
+    _qb.fromArray(b.rotation);
+    _qa.slerp(_qb, w);
+    return {
+        boneId: a.boneId,
+        position: a.position.map((v, k) => v + (b.position[k] - v) * w),
+        rotation: [_qa.x, _qa.y, _qa.z, _qa.w]
+    };
+}
+
+// A's frame with every bone blended towards B's frame by w(boneId)
+function blendFrame(frameA, frameB, weightOf) {
+    const byId = bonesById(frameB);
+    return {
+        ...frameA,
+        bones: frameA.bones.map(boneA => {
+            const boneB = byId.get(boneA.boneId);
+            const w = boneB ? weightOf(boneA.boneId) : 0;
+            return w > 0 ? mix(boneA, boneB, w) : copyBone(boneA);
+        })
+    };
+}
+
+// --- Modes ---
+
+// A's frames up to the fade, `fade` frames where A's tail blends into B's head, then the rest of
+// B. order[i] is the A frame each output frame stands in for, null for B's own tail frames so
+// none of A's footer events are copied onto them.
+export function crossfadeFrames(framesA, framesB, fade) {
+    const n = Math.max(0, Math.min(fade, framesA.length, framesB.length));
+    const lastA = framesA[framesA.length - 1];
+    const frames = [];
+    const order = [];
+
+    for (let i = 0; i < framesA.length - n; i++) {
+        frames.push(cloneFrame(framesA[i]));
+        order.push(i);
+    }
+    for (let i = 0; i < n; i++) {
+        const w = ease((i + 1) / (n + 1));
+        const a = framesA.length - n + i;
+        frames.push(blendFrame(framesA[a], framesB[i], () => w));
+        order.push(a);
+    }
+    for (let i = n; i < framesB.length; i++) {
+        frames.push(blendFrame(lastA, framesB[i], () => 1));
+        order.push(null);
+    }
+
+    return { frames, order };
+}
+
+// B laid over A from frame `start` on. The layer's weight ramps in and out over `fade` frames
+// so A takes over again smoothly once B runs out.
+export function layerFrames(framesA, framesB, { mode = 'override', mask = null, weight = 1, start = 0, fade = 0 } = {}) {
+    const inMask = (id) => !mask || mask.has(id);
+    const base = bonesById(framesB[0]);
+
+    return framesA.map((frameA, f) => {
+        const i = f - start;
+        if (i < 0 || i >= framesB.length) return cloneFrame(frameA);
+
+        let w = weight;
+        if (fade > 0) w *= Math.min(1, ease(Math.min(i + 1, framesB.length - i) / (fade + 1)));
+
+        if (mode === 'override') {
+            return blendFrame(frameA, framesB[i], id => (inMask(id) ? w : 0));
+        }
+
+        // Additive: A · slerp(identity, B0⁻¹ · Bi, w) and A + w · (Bi - B0)
+        const current = bonesById(framesB[i]);
+        return {
+            ...frameA,
+            bones: frameA.bones.map(boneA => {
+                const bi = current.get(boneA.boneId);
+                const b0 = base.get(boneA.boneId);
+                if (!bi || !b0 || !inMask(boneA.boneId)) return copyBone(boneA);
+                _q0.fromArray(b0.rotation).invert();
+                _qb.fromArray(bi.rotation).premultiply(_q0);
+                _qb.slerp(_qa.identity(), 1 - w);
+                _qa.fromArray(boneA.rotation).multiply(_qb);
+                return {
+                    boneId: boneA.boneId,
+                    position: boneA.position.map((v, k) => v + (bi.position[k] - b0.position[k]) * w),
+                    rotation: [_qa.x, _qa.y, _qa.z, _qa.w]
+                };
+            })
+        };
+    });
+}
+
+// Applies a blend to `doc` in place through replaceFrames so framesCount and the footer follow.
+// options: { mode, fade, mask (Set of bone IDs or null), weight, start }
+export function blendDocuments(doc, other, options = {}) {
+    const framesB = other.frames;
+    if (!framesB || framesB.length === 0) throw new Error('Clip B has no frames');
+
+    if (options.mode === 'crossfade') {
+        const { frames, order } = crossfadeFrames(doc.frames, framesB, options.fade || 0);
+        replaceFrames(doc, frames, i => order[i]);
+    } else {
+        if (!BLEND_MODES.some(m => m.id === options.mode)) throw new Error(`Unknown blend mode: ${options.mode}`);
+        replaceFrames(doc, layerFrames(doc.frames, framesB, options), i => i);
+    }
+    return doc;
+}
@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { NAME_TO_ID } from './constants.js';
+import { resolveMapping } from './retarget.js';
+import { restInverseBindMatrices } from './skeleton.js';
+import { bindMatrices } from './skeleton-extract.js';
+
+// character.js
+// Skins the meshes of a character glTF onto the viewer's bones so playback deforms them. Rig
+// joints are matched to bones by name through NAME_TO_ID, or through a mapping profile for
+// foreign rigs; joints without a match follow their nearest matched ancestor. The character's
+// bind pose is taken as the skeleton's rest pose: a mesh skinned to an exported SF3 rig deforms
+// exactly, one bound in another pose carries the difference along as an offset.
+
+function jointPosition(joint, bind) {
+    return new THREE.Vector3().setFromMatrixPosition(bind.get(joint) || joint.matrixWorld);
+}
+
+// Node index of a mapped bone name: by file bone ID, then by skeleton name
+function nodeIndex(nodes, target) {
+    const id = NAME_TO_ID[target];
+    const byId = id === undefined ? -1 : nodes.findIndex(node => node.boneId === id);
+    return byId !== -1 ? byId : nodes.findIndex(node => node.name === target);
+}
+
+// Returns { group, meshes, joints, matched: [{ joint, bone }], followers: [{ joint, bone }], scale }
+// with the bound copies of the character's skinned meshes in group. options:
+//   nodes, bones  skeleton nodes and their THREE.Bone objects, in buildBones() order
+//   profile       mapping profile (retarget.js); without one joints must carry BONE_MAP names
+//   scale         multiplies the character; null fits it to the skeleton by its joint spans
+export function bindCharacter(gltf, { nodes, bones, profile = null, scale = null }) {
+    const scene = gltf.scene;
+    scene.updateMatrixWorld(true);
+    const skinned = [];
+    scene.traverse(obj => { if (obj.isSkinnedMesh) skinned.push(obj); });
+    if (skinned.length === 0) throw new Error('No skinned mesh found in the character file');
+
+    // Joint object -> node index, in scene order so the first is the highest matched joint
+    const matched = new Map();
+    const targets = new Map();
+    resolveMapping(scene, profile || { map: null }).forEach((joint, target) => targets.set(joint, target));
+    scene.traverse(obj => {
+        const index = targets.has(obj) ? nodeIndex(nodes, targets.get(obj)) : -1;
+        if (index !== -1) matched.set(obj, index);
+    });
+    if (matched.size === 0) {
+        throw new Error(profile && profile.map ? `No joints match the skeleton through profile "${profile.name}"` : 'No joints carry skeleton bone names (use a mapping profile)');
+    }
+
+    // Fitted so the matched joints span what their bones span, then moved so the highest one
+    // lands on its bone
+    const bind = bindMatrices(scene);
+    const [anchorJoint, anchorIndex] = matched.entries().next().value;
+    const anchor = jointPosition(anchorJoint, bind);
+    let fit = scale;
+    if (fit === null) {
+        let skeletonSpan = 0;
+        let rigSpan = 0;
+        matched.forEach((index, joint) => {
+            skeletonSpan += nodes[index].globalPos.distanceTo(nodes[anchorIndex].globalPos);
+            rigSpan += jointPosition(joint, bind).distanceTo(anchor);
+        });
+        fit = rigSpan > 0 ? skeletonSpan / rigSpan : 1;
+    }
+    const offset = nodes[anchorIndex].globalPos.clone().sub(anchor.multiplyScalar(fit));
+    const placement = new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z)
+        .multiply(new THREE.Matrix4().makeScale(fit, fit, fit));
+
+    const followIndex = (joint) => {
+        for (let obj = joint; obj; obj = obj.parent) {
+            if (matched.has(obj)) return matched.get(obj);
+        }
+        return anchorIndex;
+    };
+
+    // Each copy is bound in the rest pose, so a bone moving from rest moves its vertices with it
+    const inverses = restInverseBindMatrices(nodes);
+    const group = new THREE.Group();
+    group.name = 'Character';
+    const joints = new Set();
+    skinned.forEach(mesh => {
+        const indices = mesh.skeleton.bones.map(followIndex);
+        mesh.skeleton.bones.forEach(joint => joints.add(joint));
+
+        const copy = new THREE.SkinnedMesh(mesh.geometry, mesh.material);
+        copy.name = mesh.name;
+        copy.frustumCulled = false;
+        copy.bind(
+            new THREE.Skeleton(indices.map(i => bones[i]), indices.map(i => inverses[i].clone())),
+            placement.clone().multiply(mesh.bindMatrix)
+        );
+        group.add(copy);
+    });
+
+    const matchedList = [];
+    const followers = [];
+    joints.forEach(joint => {
+        const entry = { joint: joint.name, bone: nodes[followIndex(joint)].name };
+        (matched.has(joint) ? matchedList : followers).push(entry);
+    });
+
+    return { group, meshes: skinned.length, joints: joints.size, matched: matchedList, followers, scale: fit };
+}
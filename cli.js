@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+// cli.js
+// Headless front-end for the parser and glTF handler, for batch work without a browser.
+
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { animationParser, replaceFrames, formatIssue } from './parser.js';
+import { describeDocument, footerByteLength } from './file-schema.js';
+import { BUILTIN_PROFILES, findBuiltinProfile, parseProfile } from './retarget.js';
+import { gltfHandler } from './gltf-handler.js';
+import { BLEND_MODES, boneSubtree, blendDocuments } from './blend.js';
+import { mirrorDocument } from './mirror.js';
+import { precisionReport, formatPrecisionReport } from './precision.js';
+import { compareDocuments, formatComparison } from './compare.js';
+import { registerSkeleton, skeletonForBones, parseSkeletonJSON, formatSkeletonDefinition } from './skeleton.js';
+import { extractSkeleton } from './skeleton-extract.js';
+import { checkExportPose, formatPoseCheck } from './pose-check.js';
+import { ROOT_MOTION_MODES, rootMotionDocument } from './root-motion.js';
+import { BONE_MAP } from './constants.js';
+
+const BYTES_EXTENSIONS = ['.bytes', '.bin', '.dat', '.anim'];
+const GLTF_EXTENSIONS = ['.gltf', '.glb'];
+
+const USAGE = `Usage: node cli.js <command> [options] <inputs...>
+
+Commands:
+  inspect <file.bytes...>                 Print header, bone table and footer size
+      --json                              Dump the decoded frames as JSON instead
+  to-gltf <file.bytes...>                 Convert animations to .gltf
+      --glb                               Write binary .glb instead
+  clips <file.glb...>                     List the animation clips in glTF files
+  from-gltf <clip.gltf...> --base <file>  Import glTF clips onto a base file and compile .bytes
+      --clip <name|index>                 Clip to import (default: the first)
+      --all-clips                         Import every clip onto the base, one output per clip
+      --map <clip>=<file.bytes>           Send a clip to its own base file (repeatable)
+      --profile <preset|file.json>        Bone mapping profile for foreign rigs
+      --start <s>, --end <s>              Import only this time range of the clip
+      --frames <n>                        Resample to exactly n frames instead of --fps
+      --keys                              One frame per source keyframe instead of --fps
+      --interp <source|linear|step>       Interpolation between keys (default source)
+      --no-end                            Leave out the frame at the end of the range
+  blend <a.bytes...> --with <b.bytes>     Combine clip B into each A, keeping A's header
+      --mode <crossfade|override|additive>  Blend mode (default crossfade)
+      --fade <n>                          Crossfade length, or layer fade in/out (default 5)
+      --mask <bone>                       Only this bone and its children take B (layer modes)
+      --weight <w>                        Layer weight 0..1 (default 1)
+      --at <frame>                        First frame of A that B is laid over (default 0)
+  mirror <file.bytes...>                  Swap left and right (written as <name>_mirror.bytes)
+  diff <a.bytes> <b.bytes>                Compare header fields, footer bytes and per-bone deltas
+  check-export <file.bytes...>            Check that the glTF export poses every bone as the viewer does
+  skeleton <rig.glb...>                   Write the rest skeleton of a skinned rig as a definition
+      --profile <preset|file.json>        Name bones through a mapping profile
+      --all-bones                         Also keep joints the profile does not map
+      --scale <n>                         Multiply positions (e.g. 100 for a rig in metres)
+      --json                              Write JSON instead of the G.Pos / G.Rot text format
+  profiles                                List the built-in bone mapping presets
+  compile <frames.json...> --base <file>  Compile frame data dumped by "inspect --json"
+
+Options:
+  -o, --out <file>        Output file (single input only)
+  --out-dir <dir>         Output directory for batch conversion
+  --fps <n>               Frames per second for glTF timing (default 30)
+  --base <file>           Base .bytes file supplying header and footer
+  --lenient               Load the readable frames of damaged files instead of failing
+  --report                Print the float16 / quaternion precision report for compiled output
+  --skeleton <file>       Skeleton definition (text or JSON) instead of the best built-in match
+  --root-motion <mode>    Horizontal pelvis travel in glTF and compiled output: pelvis (default),
+                          in-place, or separate (glTF root_motion node; baked for .bytes)
+
+Directories given as inputs are expanded to the files they contain.`;
+
+// --- Argument handling ---
+
+function parseArgs(argv) {
+    const args = { command: argv[0], inputs: [], fps: 30, json: false, glb: false, lenient: false, clip: '0', allClips: false, allBones: false, scale: 1, maps: [], profile: null, start: 0, end: null, frames: null, keys: false, interp: 'source', includeEnd: true, report: false, skeleton: null, rootMotion: 'pelvis', with: null, mode: 'crossfade', fade: 5, mask: null, weight: 1, at: 0, out: null, outDir: null, base: null };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-o':
+            case '--out': args.out = next(); break;
+            case '--out-dir': args.outDir = next(); break;
+            case '--base': args.base = next(); break;
+            case '--json': args.json = true; break;
+            case '--lenient': args.lenient = true; break;
+            case '--report': args.report = true; break;
+            case '--skeleton': args.skeleton = next(); break;
+            case '--glb': args.glb = true; break;
+            case '--clip': args.clip = next(); break;
+            case '--all-clips': args.allClips = true; break;
+            case '--all-bones': args.allBones = true; break;
+            case '--scale': {
+                args.scale = parseFloat(next());
+                if (!(args.scale > 0)) throw new Error('--scale must be a positive number');
+                break;
+            }
+            case '--profile': args.profile = next(); break;
+            case '--map': {
+                const value = next();
+                const eq = value.lastIndexOf('=');
+                if (eq <= 0) throw new Error(`--map expects <clip>=<file.bytes>, got "${value}"`);
+                args.maps.push({ clip: value.slice(0, eq), base: value.slice(eq + 1) });
+                break;
+            }
+            case '--start':
+            case '--end': {
+                const value = parseFloat(next());
+                if (!(value >= 0)) throw new Error(`${arg} must be a non-negative number of seconds`);
+                args[arg.slice(2)] = value;
+                break;
+            }
+            case '--frames': {
+                args.frames = parseInt(next());
+                if (!(args.frames > 0)) throw new Error('--frames must be a positive integer');
+                break;
+            }
+            case '--keys': args.keys = true; break;
+            case '--with': args.with = next(); break;
+            case '--mask': args.mask = next(); break;
+            case '--mode': {
+                args.mode = next();
+                if (!BLEND_MODES.some(m => m.id === args.mode)) throw new Error(`--mode must be one of ${BLEND_MODES.map(m => m.id).join(', ')}`);
+                break;
+            }
+            case '--fade':
+            case '--at': {
+                const value = parseInt(next());
+                if (!(value >= 0)) throw new Error(`${arg} must be a non-negative integer`);
+                args[arg.slice(2)] = value;
+                break;
+            }
+            case '--weight': {
+                args.weight = parseFloat(next());
+                if (!(args.weight >= 0 && args.weight <= 1)) throw new Error('--weight must be between 0 and 1');
+                break;
+            }
+            case '--root-motion': {
+                args.rootMotion = next();
+                if (!ROOT_MOTION_MODES.some(m => m.id === args.rootMotion)) throw new Error(`--root-motion must be one of ${ROOT_MOTION_MODES.map(m => m.id).join(', ')}`);
+                break;
+            }
+            case '--no-end': args.includeEnd = false; break;
+            case '--interp': {
+                args.interp = next();
+                if (!['source', 'linear', 'step'].includes(args.interp)) throw new Error('--interp must be source, linear or step');
+                break;
+            }
+            case '--fps': {
+                args.fps = parseInt(next());
+                if (!(args.fps > 0)) throw new Error('--fps must be a positive integer');
+                break;
+            }
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                args.inputs.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function samplingOptions(args) {
+    return {
+        fps: args.fps,
+        start: args.start,
+        end: args.end,
+        timing: args.keys ? 'keys' : args.frames ? 'frames' : 'fps',
+        frameCount: args.frames,
+        includeEnd: args.includeEnd,
+        interpolation: args.interp
+    };
+}
+
+async function writeCompiled(out, doc, args) {
+    const compiled = rootMotionDocument(doc, args.rootMotion, 'bytes').doc;
+    await writeFile(out, animationParser.repack(compiled));
+    if (!args.report) return;
+    console.log(`Precision report for ${out}:`);
+    formatPrecisionReport(precisionReport(compiled)).forEach(line => console.log(`  ${line}`));
+}
+
+async function expandInputs(inputs, extensions) {
+    const files = [];
+    for (const input of inputs) {
+        const info = await stat(input);
+        if (info.isDirectory()) {
+            const entries = (await readdir(input)).sort();
+            entries
+                .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+                .forEach(name => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    if (files.length === 0) throw new Error('No input files');
+    return files;
+}
+
+async function outputPath(args, input, extension, count) {
+    if (args.out) {
+        if (count > 1) throw new Error('--out only accepts a single input, use --out-dir for batches');
+        return args.out;
+    }
+    const name = path.basename(input, path.extname(input)) + extension;
+    if (args.outDir) {
+        await mkdir(args.outDir, { recursive: true });
+        return path.join(args.outDir, name);
+    }
+    return path.join(path.dirname(input), name);
+}
+
+// The --skeleton definition when given, otherwise the best match for the file's bone IDs
+function skeletonFor(doc, args) {
+    return skeletonForBones(doc.boneIds, args.skeletonDefinition || undefined);
+}
+
+async function readArrayBuffer(file) {
+    const data = await readFile(file);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+async function parseBytes(file, args) {
+    try {
+        return await animationParser.parse(await readArrayBuffer(file), { lenient: args.lenient });
+    } catch (err) {
+        err.message = `${file}: ${err.message}`;
+        throw err;
+    }
+}
+
+// --- Commands ---
+
+async function inspect(args) {
+    const files = await expandInputs(args.inputs, BYTES_EXTENSIONS);
+    for (const file of files) {
+        const data = await parseBytes(file, args);
+
+        if (args.json) {
+            const dump = {
+                framesCount: data.framesCount,
+                bonesCount: data.bonesCount,
+                boneIds: data.boneIds,
+                frames: data.frames
+            };
+            const text = JSON.stringify(dump);
+            if (args.out || args.outDir) {
+                const out = await outputPath(args, file, '.json', files.length);
+                await writeFile(out, text);
+                console.log(`${file} -> ${out}`);
+            } else {
+                console.log(text);
+            }
+            continue;
+        }
+
+        console.log(file);
+        console.log(`  Header offset: ${data.preHeader.byteLength}`);
+        console.log(`  Frames:        ${data.framesCount}`);
+        console.log(`  Bones:         ${data.bonesCount}`);
+        console.log(`  Footer bytes:  ${footerByteLength(data.footer)}`);
+        data.diagnostics.forEach(issue => console.log('  ' + formatIssue(issue)));
+        console.log('  Bone table:');
+        data.boneIds.forEach((id, i) => {
+            console.log(`    [${i}] ${id} ${BONE_MAP[id] || '(unknown)'}`);
+        });
+        const skeleton = skeletonFor(data, args);
+        console.log(`  Skeleton:      ${skeleton.definition.name}`);
+        skeleton.placeholders.forEach(p => console.log(`    placeholder ${p.boneId} ${p.name} (under ${p.parent})`));
+        describeDocument(data).forEach(line => console.log('  ' + line));
+    }
+}
+
+async function toGltf(args) {
+    const files = await expandInputs(args.inputs, BYTES_EXTENSIONS);
+    for (const file of files) {
+        const data = await parseBytes(file, args);
+        const { doc, trajectory } = rootMotionDocument(data, args.rootMotion, 'gltf');
+        const bytes = await gltfHandler.exportGLTF(doc, args.fps, { binary: args.glb, skeleton: skeletonFor(data, args).nodes, rootMotion: trajectory });
+        const out = await outputPath(args, file, args.glb ? '.glb' : '.gltf', files.length);
+        await writeFile(out, bytes);
+        console.log(`${file} -> ${out} (${data.framesCount} frames)`);
+    }
+}
+
+function parseClipSpec(spec) {
+    return /^\d+$/.test(spec) ? parseInt(spec) : spec;
+}
+
+async function loadGltfFile(file, options = {}) {
+    // External .bin buffers are resolved relative to the .gltf
+    const resolveResource = uri => readArrayBuffer(path.join(path.dirname(file), uri));
+    return gltfHandler.loadGLTF(await readArrayBuffer(file), { resolveResource, ...options });
+}
+
+async function clips(args) {
+    const files = await expandInputs(args.inputs, GLTF_EXTENSIONS);
+    for (const file of files) {
+        const gltf = await loadGltfFile(file);
+        console.log(file);
+        gltfHandler.describeClips(gltf, samplingOptions(args)).forEach(info => {
+            console.log(`  [${info.index}] ${info.name}  ${info.duration.toFixed(3)}s  ${info.framesCount} frames`);
+        });
+    }
+}
+
+async function loadProfile(spec) {
+    if (!spec) return null;
+    const preset = findBuiltinProfile(spec);
+    if (preset) return preset;
+    return parseProfile(await readFile(spec, 'utf8'));
+}
+
+async function profiles() {
+    BUILTIN_PROFILES.forEach(p => {
+        const count = p.map ? `${Object.keys(p.map).length} bones` : 'BONE_MAP names';
+        console.log(`  ${p.id.padEnd(14)} ${p.name} (${count}${p.retarget ? ', retargeted' : ''})`);
+    });
+}
+
+async function fromGltf(args) {
+    if (!args.base && args.maps.length === 0) throw new Error('from-gltf requires --base <file.bytes> or --map <clip>=<file.bytes>');
+    const files = await expandInputs(args.inputs, GLTF_EXTENSIONS);
+    const profile = await loadProfile(args.profile);
+
+    // Each job sends one clip to one base file
+    const bases = new Map();
+    const loadBase = async (file) => {
+        if (!bases.has(file)) bases.set(file, await parseBytes(file, args));
+        return bases.get(file);
+    };
+
+    for (const file of files) {
+        const gltf = await loadGltfFile(file);
+
+        let jobs;
+        if (args.maps.length > 0) {
+            jobs = args.maps.map(({ clip, base }) => ({ clip: parseClipSpec(clip), base }));
+        } else if (args.allClips) {
+            jobs = gltf.animations.map((_, index) => ({ clip: index, base: args.base }));
+        } else {
+            jobs = [{ clip: parseClipSpec(args.clip), base: args.base }];
+        }
+        const suffixed = jobs.length > 1 || args.maps.length > 0;
+
+        for (const job of jobs) {
+            const clip = gltfHandler.findClip(gltf, job.clip);
+            const doc = { ...(await loadBase(job.base)) };
+            const newData = gltfHandler.sampleClip(gltf, clip, samplingOptions(args), { profile, skeleton: skeletonFor(doc, args).nodes });
+            replaceFrames(doc, newData.frames);
+
+            const clipName = (clip.name || `clip${gltf.animations.indexOf(clip)}`).replace(/[^\w.-]+/g, '_');
+            const extension = suffixed ? `_${clipName}.bytes` : '.bytes';
+            const out = await outputPath(args, file, extension, files.length * jobs.length);
+            await writeCompiled(out, doc, args);
+            console.log(`${file} [${clip.name}] + ${job.base} -> ${out} (${newData.framesCount} frames)`);
+        }
+    }
+}
+
+async function compile(args) {
+    if (!args.base) throw new Error('compile requires --base <file.bytes>');
+    const files = await expandInputs(args.inputs, ['.json']);
+    const baseDoc = await parseBytes(args.base, args);
+
+    for (const file of files) {
+        const dump = JSON.parse(await readFile(file, 'utf8'));
+        if (!Array.isArray(dump.frames)) throw new Error(`${file}: missing "frames" array`);
+
+        const doc = { ...baseDoc };
+        replaceFrames(doc, dump.frames);
+
+        const out = await outputPath(args, file, '.bytes', files.length);
+        await writeCompiled(out, doc, args);
+        console.log(`${file} -> ${out} (${doc.framesCount} frames)`);
+    }
+}
+
+async function blend(args) {
+    if (!args.with) throw new Error('blend requires --with <b.bytes>');
+    const files = await expandInputs(args.inputs, BYTES_EXTENSIONS);
+    const other = await parseBytes(args.with, args);
+
+    for (const file of files) {
+        const doc = await parseBytes(file, args);
+        const mask = args.mask ? boneSubtree(args.mask, skeletonFor(doc, args).nodes) : null;
+        blendDocuments(doc, other, { mode: args.mode, fade: args.fade, mask, weight: args.weight, start: args.at });
+        const out = await outputPath(args, file, '_blend.bytes', files.length);
+        await writeCompiled(out, doc, args);
+        console.log(`${file} + ${args.with} (${args.mode}) -> ${out} (${doc.framesCount} frames)`);
+    }
+}
+
+async function mirror(args) {
+    const files = await expandInputs(args.inputs, BYTES_EXTENSIONS);
+    for (const file of files) {
+        const data = await parseBytes(file, args);
+        const doc = mirrorDocument(data, skeletonFor(data, args).nodes);
+        const out = await outputPath(args, file, '_mirror.bytes', files.length);
+        await writeCompiled(out, doc, args);
+        console.log(`${file} -> ${out} (${doc.framesCount} frames)`);
+    }
+}
+
+async function skeleton(args) {
+    const files = await expandInputs(args.inputs, GLTF_EXTENSIONS);
+    const profile = await loadProfile(args.profile);
+
+    for (const file of files) {
+        const gltf = await loadGltfFile(file, { requireAnimations: false });
+        const name = path.basename(file, path.extname(file));
+        const definition = extractSkeleton(gltf, { profile, allBones: args.allBones, scale: args.scale, name });
+        // Parsing validates the hierarchy and computes levels for the text form
+        const nodes = parseSkeletonJSON(definition);
+        const text = args.json ? JSON.stringify(definition, null, 2) + '\n' : formatSkeletonDefinition(nodes);
+
+        if (args.out || args.outDir) {
+            const out = await outputPath(args, file, args.json ? '.skeleton.json' : '.skeleton.txt', files.length);
+            await writeFile(out, text);
+            console.log(`${file} -> ${out} (${nodes.length} bones)`);
+        } else {
+            process.stdout.write(text);
+        }
+    }
+}
+
+async function diff(args) {
+    if (args.inputs.length !== 2) throw new Error('diff takes exactly two files');
+    const [fileA, fileB] = args.inputs;
+    const a = await parseBytes(fileA, args);
+    const b = await parseBytes(fileB, args);
+    console.log(`A: ${fileA}`);
+    console.log(`B: ${fileB}`);
+    console.log('');
+    formatComparison(compareDocuments(a, b)).forEach(line => console.log(line));
+}
+
+async function checkExport(args) {
+    const files = await expandInputs(args.inputs, BYTES_EXTENSIONS);
+    for (const file of files) {
+        const data = await parseBytes(file, args);
+        const result = await checkExportPose(data, skeletonFor(data, args).nodes, { fps: args.fps });
+        console.log(file);
+        formatPoseCheck(result).forEach(line => console.log(`  ${line}`));
+        if (!result.ok) process.exitCode = 1;
+    }
+}
+
+const COMMANDS = {
+    'inspect': inspect,
+    'to-gltf': toGltf,
+    'clips': clips,
+    'profiles': profiles,
+    'from-gltf': fromGltf,
+    'compile': compile,
+    'blend': blend,
+    'mirror': mirror,
+    'skeleton': skeleton,
+    'diff': diff,
+    'check-export': checkExport
+};
+
+async function main() {
+    const argv = process.argv.slice(2);
+    if (argv.length === 0 || argv[0] === '-h' || argv[0] === '--help') {
+        console.log(USAGE);
+        return;
+    }
+
+    const args = parseArgs(argv);
+    const command = COMMANDS[args.command];
+    if (!command) throw new Error(`Unknown command: ${args.command}`);
+    if (args.inputs.length === 0 && command !== profiles) throw new Error('No input files');
+    if (args.skeleton) {
+        args.skeletonDefinition = registerSkeleton(path.basename(args.skeleton), await readFile(args.skeleton, 'utf8'));
+    }
+
+    await command(args);
+}
+
+main().catch(err => {
+    console.error('Error: ' + err.message);
+    if (err.issues) err.issues.forEach(issue => console.error('  ' + formatIssue(issue)));
+    process.exitCode = 1;
+});
@@ -0,0 +1,237 @@
+import { BONE_MAP } from './constants.js';
+import { encodeFooter } from './file-schema.js';
+
+// compare.js
+// Side-by-side comparison of two animation documents, A and B, for tracking down what changed
+// between a source file and a compiled one: header fields, footer bytes and per-bone deltas.
+
+// Footer ranges listed in full; the rest are only counted
+const MAX_FOOTER_RANGES = 16;
+// Bytes shown for each side of a footer range
+const MAX_RANGE_BYTES = 16;
+
+function boneName(id) {
+    return BONE_MAP[id] || `bone ${id}`;
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function sameBytes(a, b) {
+    if (a.byteLength !== b.byteLength) return false;
+    return a.every((v, i) => v === b[i]);
+}
+
+// --- Header ---
+
+// [{ field, a, b, same, note }]
+export function compareHeaders(a, b) {
+    const rows = [];
+    const row = (field, va, vb, note = '') => rows.push({ field, a: va, b: vb, same: va === vb, note });
+
+    row('magic offset', a.preHeader.byteLength, b.preHeader.byteLength);
+    if (a.preHeader.byteLength === b.preHeader.byteLength && a.preHeader.byteLength > 0) {
+        const same = sameBytes(new Uint8Array(a.preHeader), new Uint8Array(b.preHeader));
+        rows.push({ field: 'pre-header', a: 'bytes', b: 'bytes', same, note: same ? '' : 'bytes before the magic differ' });
+    }
+    row('array count', a.arrayCount, b.arrayCount);
+
+    const entries = Math.min(a.headerArray.length, b.headerArray.length);
+    const changed = [];
+    for (let i = 0; i < entries; i++) {
+        const differs = a.headerArray[i].some((word, k) => {
+            const other = b.headerArray[i][k];
+            return word.type !== other.type || !Object.is(word.value, other.value);
+        });
+        if (differs) changed.push(i);
+    }
+    if (changed.length > 0) row('header array', `${changed.length} entr${changed.length === 1 ? 'y' : 'ies'} differ`, '', `[${changed.join(', ')}]`);
+
+    row('frame count', a.framesCount, b.framesCount);
+    row('bone count', a.boneIds.length, b.boneIds.length);
+
+    const idsB = new Set(b.boneIds);
+    const idsA = new Set(a.boneIds);
+    const onlyA = a.boneIds.filter(id => !idsB.has(id));
+    const onlyB = b.boneIds.filter(id => !idsA.has(id));
+    const notes = [];
+    if (onlyA.length > 0) notes.push(`only in A: ${onlyA.map(boneName).join(', ')}`);
+    if (onlyB.length > 0) notes.push(`only in B: ${onlyB.map(boneName).join(', ')}`);
+    const sameOrder = a.boneIds.length === b.boneIds.length && a.boneIds.every((id, i) => id === b.boneIds[i]);
+    if (!sameOrder && notes.length === 0) notes.push('same bones in a different order');
+    rows.push({ field: 'bone IDs', a: a.boneIds.length, b: b.boneIds.length, same: sameOrder, note: notes.join('; ') });
+
+    return rows;
+}
+
+// --- Footer ---
+
+// { kindA, kindB, lengthA, lengthB, ranges: [{ offset, length, a, b }], totalRanges, differingBytes }
+// Ranges are runs of differing bytes, including the tail that only the longer footer has.
+export function compareFooters(footerA, footerB) {
+    const bytesA = encodeFooter(footerA);
+    const bytesB = encodeFooter(footerB);
+    const length = Math.max(bytesA.byteLength, bytesB.byteLength);
+    const ranges = [];
+    let totalRanges = 0;
+    let differingBytes = 0;
+
+    for (let i = 0; i < length; i++) {
+        if (i < bytesA.byteLength && i < bytesB.byteLength && bytesA[i] === bytesB[i]) continue;
+        let end = i;
+        while (end < length && !(end < bytesA.byteLength && end < bytesB.byteLength && bytesA[end] === bytesB[end])) end++;
+        totalRanges++;
+        differingBytes += end - i;
+        if (ranges.length < MAX_FOOTER_RANGES) {
+            ranges.push({ offset: i, length: end - i, a: bytesA.subarray(i, end), b: bytesB.subarray(i, end) });
+        }
+        i = end;
+    }
+
+    return {
+        kindA: footerA.kind,
+        kindB: footerB.kind,
+        lengthA: bytesA.byteLength,
+        lengthB: bytesB.byteLength,
+        ranges,
+        totalRanges,
+        differingBytes
+    };
+}
+
+// --- Frames ---
+
+// Distance between positions and the angle between rotations, in degrees
+function boneDelta(boneA, boneB) {
+    const distance = Math.hypot(...boneA.position.map((v, k) => v - boneB.position[k]));
+    const [ax, ay, az, aw] = boneA.rotation;
+    const [bx, by, bz, bw] = boneB.rotation;
+    const length = Math.hypot(ax, ay, az, aw) * Math.hypot(bx, by, bz, bw);
+    const dot = length > 0 ? Math.abs(ax * bx + ay * by + az * bz + aw * bw) / length : 0;
+    return { distance, angle: 2 * Math.acos(Math.min(1, dot)) * 180 / Math.PI };
+}
+
+// Frame i of A against frame i of B, for the bones both files have.
+// { compared, frames: [[{ boneId, distance, angle }]], bones: [{ boneId, name, maxPos, meanPos,
+//   posFrame, maxAngle, meanAngle, angleFrame }] }
+export function compareFrames(a, b) {
+    const compared = Math.min(a.frames.length, b.frames.length);
+    const stats = new Map();
+    const frames = [];
+
+    for (let f = 0; f < compared; f++) {
+        const byId = new Map(b.frames[f].bones.map(bone => [bone.boneId, bone]));
+        const deltas = [];
+        a.frames[f].bones.forEach(boneA => {
+            const boneB = byId.get(boneA.boneId);
+            if (!boneB) return;
+            const delta = { boneId: boneA.boneId, ...boneDelta(boneA, boneB) };
+            deltas.push(delta);
+
+            if (!stats.has(boneA.boneId)) {
+                stats.set(boneA.boneId, {
+                    boneId: boneA.boneId, name: boneName(boneA.boneId), samples: 0,
+                    maxPos: 0, sumPos: 0, posFrame: 0, maxAngle: 0, sumAngle: 0, angleFrame: 0
+                });
+            }
+            const st = stats.get(boneA.boneId);
+            st.samples++;
+            st.sumPos += delta.distance;
+            st.sumAngle += delta.angle;
+            if (delta.distance > st.maxPos) { st.maxPos = delta.distance; st.posFrame = f; }
+            if (delta.angle > st.maxAngle) { st.maxAngle = delta.angle; st.angleFrame = f; }
+        });
+        frames.push(deltas);
+    }
+
+    const bones = [...stats.values()]
+        .sort((x, y) => x.boneId - y.boneId)
+        .map(st => ({
+            boneId: st.boneId,
+            name: st.name,
+            maxPos: st.maxPos,
+            meanPos: st.sumPos / st.samples,
+            posFrame: st.posFrame,
+            maxAngle: st.maxAngle,
+            meanAngle: st.sumAngle / st.samples,
+            angleFrame: st.angleFrame
+        }));
+
+    return { compared, frames, bones };
+}
+
+export function compareDocuments(a, b) {
+    return {
+        header: compareHeaders(a, b),
+        footer: compareFooters(a.footer, b.footer),
+        ...compareFrames(a, b)
+    };
+}
+
+// --- Formatting ---
+
+export function formatComparison(result) {
+    const lines = [];
+
+    lines.push('Header                 A            B');
+    result.header.forEach(r => {
+        const mark = r.same ? ' ' : '*';
+        lines.push(`${mark} ${r.field.padEnd(20)} ${String(r.a).padEnd(12)} ${String(r.b).padEnd(12)} ${r.note}`.trimEnd());
+    });
+
+    const fd = result.footer;
+    lines.push('');
+    if (fd.totalRanges === 0) {
+        lines.push(`Footer: identical (${fd.lengthA} bytes, ${fd.kindA})`);
+    } else {
+        lines.push(`Footer: A ${fd.lengthA} bytes (${fd.kindA}), B ${fd.lengthB} bytes (${fd.kindB}), ${fd.differingBytes} byte(s) differ in ${fd.totalRanges} range(s)`);
+        fd.ranges.forEach(r => {
+            const show = (bytes) => {
+                if (bytes.byteLength === 0) return '—';
+                return toHex(bytes.subarray(0, MAX_RANGE_BYTES)) + (bytes.byteLength > MAX_RANGE_BYTES ? ' …' : '');
+            };
+            lines.push(`  @0x${r.offset.toString(16)} (${r.length} byte(s))`);
+            lines.push(`    A: ${show(r.a)}`);
+            lines.push(`    B: ${show(r.b)}`);
+        });
+        if (fd.totalRanges > fd.ranges.length) lines.push(`  ${fd.totalRanges - fd.ranges.length} more range(s) not listed`);
+    }
+
+    lines.push('');
+    lines.push(`Frames: ${result.compared} compared, ${result.bones.length} bone(s) in both files`);
+    if (result.bones.length === 0) return lines;
+
+    const worstPos = result.bones.reduce((x, y) => (y.maxPos > x.maxPos ? y : x));
+    const worstAngle = result.bones.reduce((x, y) => (y.maxAngle > x.maxAngle ? y : x));
+    lines.push(`Largest position delta: ${worstPos.maxPos.toFixed(5)} (${worstPos.name}, frame ${worstPos.posFrame})`);
+    lines.push(`Largest rotation delta: ${worstAngle.maxAngle.toFixed(4)}° (${worstAngle.name}, frame ${worstAngle.angleFrame})`);
+    lines.push('');
+    lines.push('ID  Bone                    max pos    mean pos  @frame   max °     mean °  @frame');
+    result.bones.forEach(b => {
+        lines.push([
+            String(b.boneId).padEnd(3),
+            b.name.padEnd(22),
+            b.maxPos.toFixed(5).padStart(9),
+            b.meanPos.toFixed(5).padStart(10),
+            String(b.posFrame).padStart(7),
+            b.maxAngle.toFixed(4).padStart(8),
+            b.meanAngle.toFixed(4).padStart(9),
+            String(b.angleFrame).padStart(7)
+        ].join(' '));
+    });
+    return lines;
+}
+
+// The bones that differ most on one frame, largest rotation delta first
+export function formatFrameDeltas(result, frame, limit = 10) {
+    const deltas = result.frames[frame];
+    if (!deltas) return [`Frame ${frame}: not in both files`];
+
+    const sorted = deltas.slice().sort((x, y) => (y.angle - x.angle) || (y.distance - x.distance));
+    const lines = [`Frame ${frame}: largest differences`];
+    sorted.slice(0, limit).forEach(d => {
+        lines.push(`  ${boneName(d.boneId).padEnd(22)} ${d.distance.toFixed(5).padStart(9)}  ${d.angle.toFixed(4).padStart(8)}°`);
+    });
+    return lines;
+}
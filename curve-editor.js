@@ -0,0 +1,238 @@
+// curve-editor.js
+// Canvas graph of one bone's channels across the clip. It only draws and turns mouse input into
+// callbacks; the app owns the frame data and the undo history.
+//
+// Callbacks: onScrub(frame), onDragStart(frame, channel), onDrag(frame, channel, value), onDragEnd().
+
+const CHANNEL_COLORS = ['#ef4444', '#22c55e', '#3b82f6', '#e5e7eb'];
+const MARGIN = { left: 48, right: 12, top: 10, bottom: 18 };
+const HIT_RADIUS = 6;
+
+export class CurveEditor {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.curves = [];
+        this.labels = [];
+        this.visible = [];
+        this.currentFrame = 0;
+        this.selection = null;
+        this.bounds = { min: -1, max: 1 };
+        this.drag = null;
+        this.scrubbing = false;
+
+        this.onScrub = null;
+        this.onDragStart = null;
+        this.onDrag = null;
+        this.onDragEnd = null;
+
+        canvas.addEventListener('pointerdown', (e) => this.pointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.pointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.pointerUp(e));
+    }
+
+    // Channel names for a new view; every channel starts visible
+    setChannels(labels) {
+        this.labels = labels;
+        this.visible = labels.map(() => true);
+    }
+
+    // curves: one array of values per channel, indexed by frame (NaN for gaps)
+    setCurves(curves) {
+        this.curves = curves;
+        // Keep the scale still while dragging so the point stays under the cursor
+        if (!this.drag) this.bounds = this.computeBounds();
+        this.render();
+    }
+
+    setChannelVisible(channel, visible) {
+        this.visible[channel] = visible;
+        this.bounds = this.computeBounds();
+        this.render();
+    }
+
+    setPlayhead(frame, selection) {
+        this.currentFrame = frame;
+        this.selection = selection;
+        this.render();
+    }
+
+    computeBounds() {
+        let min = Infinity;
+        let max = -Infinity;
+        this.curves.forEach((values, c) => {
+            if (!this.visible[c]) return;
+            values.forEach(v => {
+                if (Number.isNaN(v)) return;
+                if (v < min) min = v;
+                if (v > max) max = v;
+            });
+        });
+        if (!Number.isFinite(min)) return { min: -1, max: 1 };
+        const pad = Math.max((max - min) * 0.1, 1e-3);
+        return { min: min - pad, max: max + pad };
+    }
+
+    // --- Coordinates ---
+
+    get frameCount() {
+        return this.curves.length > 0 ? this.curves[0].length : 0;
+    }
+
+    frameToX(frame) {
+        const width = this.canvas.width - MARGIN.left - MARGIN.right;
+        return MARGIN.left + (this.frameCount > 1 ? frame / (this.frameCount - 1) : 0) * width;
+    }
+
+    xToFrame(x) {
+        const width = this.canvas.width - MARGIN.left - MARGIN.right;
+        const t = (x - MARGIN.left) / width;
+        return Math.min(Math.max(Math.round(t * (this.frameCount - 1)), 0), Math.max(this.frameCount - 1, 0));
+    }
+
+    valueToY(value) {
+        const height = this.canvas.height - MARGIN.top - MARGIN.bottom;
+        return MARGIN.top + (1 - (value - this.bounds.min) / (this.bounds.max - this.bounds.min)) * height;
+    }
+
+    yToValue(y) {
+        const height = this.canvas.height - MARGIN.top - MARGIN.bottom;
+        return this.bounds.min + (1 - (y - MARGIN.top) / height) * (this.bounds.max - this.bounds.min);
+    }
+
+    eventPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    hitTest(point) {
+        const frame = this.xToFrame(point.x);
+        let best = null;
+        for (let f = Math.max(0, frame - 2); f <= Math.min(this.frameCount - 1, frame + 2); f++) {
+            this.curves.forEach((values, c) => {
+                if (!this.visible[c] || Number.isNaN(values[f])) return;
+                const d = Math.hypot(this.frameToX(f) - point.x, this.valueToY(values[f]) - point.y);
+                if (d <= HIT_RADIUS && (!best || d < best.distance)) best = { frame: f, channel: c, distance: d };
+            });
+        }
+        return best;
+    }
+
+    // --- Input ---
+
+    pointerDown(e) {
+        if (this.frameCount === 0) return;
+        const point = this.eventPoint(e);
+        const hit = this.hitTest(point);
+        this.canvas.setPointerCapture(e.pointerId);
+
+        if (hit) {
+            this.drag = { frame: hit.frame, channel: hit.channel };
+            if (this.onDragStart) this.onDragStart(hit.frame, hit.channel);
+        } else {
+            this.scrubbing = true;
+            if (this.onScrub) this.onScrub(this.xToFrame(point.x));
+        }
+    }
+
+    pointerMove(e) {
+        const point = this.eventPoint(e);
+        if (this.drag) {
+            if (this.onDrag) this.onDrag(this.drag.frame, this.drag.channel, this.yToValue(point.y));
+        } else if (this.scrubbing) {
+            if (this.onScrub) this.onScrub(this.xToFrame(point.x));
+        } else {
+            this.canvas.style.cursor = this.hitTest(point) ? 'ns-resize' : 'default';
+        }
+    }
+
+    pointerUp(e) {
+        this.canvas.releasePointerCapture(e.pointerId);
+        this.scrubbing = false;
+        if (!this.drag) return;
+        this.drag = null;
+        this.bounds = this.computeBounds();
+        if (this.onDragEnd) this.onDragEnd();
+        this.render();
+    }
+
+    // --- Drawing ---
+
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        this.canvas.width = Math.round(rect.width);
+        this.canvas.height = Math.round(rect.height);
+        this.render();
+    }
+
+    render() {
+        const { ctx, canvas } = this;
+        if (canvas.offsetParent === null) return; // panel hidden
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (this.frameCount === 0) return;
+
+        // Selected frame range
+        if (this.selection) {
+            const x0 = this.frameToX(this.selection.start);
+            const x1 = this.frameToX(this.selection.end);
+            ctx.fillStyle = 'rgba(245, 158, 11, 0.12)';
+            ctx.fillRect(x0 - 2, MARGIN.top, Math.max(x1 - x0, 0) + 4, canvas.height - MARGIN.top - MARGIN.bottom);
+        }
+
+        // Value grid
+        ctx.font = '10px monospace';
+        ctx.fillStyle = '#6b7280';
+        ctx.strokeStyle = '#1f2937';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const value = this.bounds.min + (this.bounds.max - this.bounds.min) * i / 4;
+            const y = this.valueToY(value);
+            ctx.beginPath();
+            ctx.moveTo(MARGIN.left, y);
+            ctx.lineTo(canvas.width - MARGIN.right, y);
+            ctx.stroke();
+            ctx.fillText(value.toFixed(Math.abs(this.bounds.max - this.bounds.min) < 10 ? 3 : 1), 2, y + 3);
+        }
+
+        // Channels; points only when they are far enough apart to grab
+        const drawPoints = this.frameToX(1) - this.frameToX(0) >= 4;
+        this.curves.forEach((values, c) => {
+            if (!this.visible[c]) return;
+            ctx.strokeStyle = CHANNEL_COLORS[c];
+            ctx.fillStyle = CHANNEL_COLORS[c];
+            ctx.beginPath();
+            let pen = false;
+            values.forEach((v, f) => {
+                if (Number.isNaN(v)) {
+                    pen = false;
+                    return;
+                }
+                const x = this.frameToX(f);
+                const y = this.valueToY(v);
+                if (pen) ctx.lineTo(x, y);
+                else ctx.moveTo(x, y);
+                pen = true;
+            });
+            ctx.stroke();
+            if (drawPoints) {
+                values.forEach((v, f) => {
+                    if (!Number.isNaN(v)) ctx.fillRect(this.frameToX(f) - 2, this.valueToY(v) - 2, 4, 4);
+                });
+            }
+        });
+
+        // Playhead
+        const x = this.frameToX(this.currentFrame);
+        ctx.strokeStyle = '#f59e0b';
+        ctx.beginPath();
+        ctx.moveTo(x, MARGIN.top);
+        ctx.lineTo(x, canvas.height - MARGIN.bottom);
+        ctx.stroke();
+        ctx.fillStyle = '#9ca3af';
+        ctx.fillText(`${this.currentFrame}`, Math.min(x + 3, canvas.width - 30), canvas.height - 5);
+    }
+}
@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+
+// curves.js
+// Per-bone animation channels over time, for the graph editor. Rotations can be viewed as raw
+// quaternion components or as XYZ Euler angles in degrees. Both views are made continuous for
+// display: quaternion signs follow the previous frame and Euler angles are unwrapped.
+
+export const CURVE_MODES = {
+    position: ['X', 'Y', 'Z'],
+    quaternion: ['X', 'Y', 'Z', 'W'],
+    euler: ['X', 'Y', 'Z']
+};
+
+const _q = new THREE.Quaternion();
+const _prev = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+
+function findBone(frame, boneId) {
+    return frame.bones.find(b => b.boneId === boneId) || null;
+}
+
+function unwrapDegrees(value, previous) {
+    return value + Math.round((previous - value) / 360) * 360;
+}
+
+// channels[c][frame] holds the value, NaN where the frame has no entry for the bone
+export function readCurves(frames, boneId, mode) {
+    const channels = CURVE_MODES[mode].map(() => new Float64Array(frames.length).fill(NaN));
+    let havePrev = false;
+
+    frames.forEach((frame, f) => {
+        const bone = findBone(frame, boneId);
+        if (!bone) return;
+
+        if (mode === 'position') {
+            bone.position.forEach((v, c) => { channels[c][f] = v; });
+            return;
+        }
+
+        _q.fromArray(bone.rotation);
+        if (havePrev && _q.dot(_prev) < 0) _q.set(-_q.x, -_q.y, -_q.z, -_q.w);
+
+        if (mode === 'quaternion') {
+            [_q.x, _q.y, _q.z, _q.w].forEach((v, c) => { channels[c][f] = v; });
+        } else {
+            _euler.setFromQuaternion(_q, 'XYZ');
+            [_euler.x, _euler.y, _euler.z].forEach((rad, c) => {
+                const deg = THREE.MathUtils.radToDeg(rad);
+                const previous = f > 0 ? channels[c][f - 1] : NaN;
+                channels[c][f] = Number.isNaN(previous) ? deg : unwrapDegrees(deg, previous);
+            });
+        }
+        _prev.copy(_q);
+        havePrev = true;
+    });
+
+    return channels;
+}
+
+// Pose of one bone after setting one channel value, as { position, rotation }. `curves` is the
+// readCurves() result the value was picked from, so the other Euler angles stay as displayed.
+export function poseWithCurveValue(frames, boneId, mode, frame, channel, value, curves) {
+    const bone = findBone(frames[frame], boneId);
+    if (!bone) return null;
+    const position = bone.position.slice();
+    let rotation = bone.rotation.slice();
+
+    if (mode === 'position') {
+        position[channel] = value;
+    } else if (mode === 'quaternion') {
+        const components = curves.map(c => c[frame]);
+        components[channel] = value;
+        _q.fromArray(components).normalize();
+        rotation = [_q.x, _q.y, _q.z, _q.w];
+    } else {
+        const angles = curves.map(c => THREE.MathUtils.degToRad(c[frame]));
+        angles[channel] = THREE.MathUtils.degToRad(value);
+        _q.setFromEuler(_euler.set(angles[0], angles[1], angles[2], 'XYZ'));
+        rotation = [_q.x, _q.y, _q.z, _q.w];
+    }
+
+    return { position, rotation };
+}
+
+// --- Smoothing ---
+
+function kernel(kind, radius) {
+    const weights = [];
+    const sigma = Math.max(radius / 2, 0.5);
+    for (let i = -radius; i <= radius; i++) {
+        weights.push(kind === 'gaussian' ? Math.exp(-(i * i) / (2 * sigma * sigma)) : 1);
+    }
+    return weights;
+}
+
+// Smoothed poses for frames start..end of one bone, as changes for BonePoseCommand. Neighbours
+// outside the range still feed the filter so the edges blend in. Rotations are averaged as
+// sign-aligned quaternions and renormalised.
+export function smoothBone(frames, boneId, start, end, { kind = 'average', radius = 2, position = true, rotation = true } = {}) {
+    const weights = kernel(kind, radius);
+    const changes = [];
+    const sum = new THREE.Quaternion();
+
+    for (let f = start; f <= end; f++) {
+        const bone = findBone(frames[f], boneId);
+        if (!bone) continue;
+
+        const pos = [0, 0, 0];
+        let total = 0;
+        sum.set(0, 0, 0, 0);
+        _prev.fromArray(bone.rotation);
+
+        for (let i = -radius; i <= radius; i++) {
+            const n = f + i;
+            if (n < 0 || n >= frames.length) continue;
+            const other = findBone(frames[n], boneId);
+            if (!other) continue;
+            const w = weights[i + radius];
+            total += w;
+            other.position.forEach((v, k) => { pos[k] += v * w; });
+            _q.fromArray(other.rotation);
+            const sign = _q.dot(_prev) < 0 ? -w : w;
+            sum.set(sum.x + _q.x * sign, sum.y + _q.y * sign, sum.z + _q.z * sign, sum.w + _q.w * sign);
+        }
+        sum.normalize();
+
+        changes.push({
+            frame: f,
+            boneId,
+            before: { position: bone.position.slice(), rotation: bone.rotation.slice() },
+            after: {
+                position: position ? pos.map(v => v / total) : bone.position.slice(),
+                rotation: rotation ? [sum.x, sum.y, sum.z, sum.w] : bone.rotation.slice()
+            }
+        });
+    }
+
+    return changes;
+}
@@ -0,0 +1,19 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+// eslint.config.js
+// The browser app and the Node CLI share modules, so both sets of globals apply.
+
+export default [
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: { ...globals.browser, ...globals.node }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+        }
+    }
+];
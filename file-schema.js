@@ -0,0 +1,285 @@
+// file-schema.js
+// Typed views of the two regions the parser used to treat as opaque: the 8-byte entries
+// between the array count and the frame count, and the block after the frame data.
+// Layouts are inferred from the data itself, and every decoded form re-encodes to the exact
+// bytes it came from, so an unmodified file still round-trips byte-identically.
+
+const HEADER_ENTRY_SIZE = 8;
+
+// Footer records larger than this are not treated as per-frame data
+const MAX_RECORD_SIZE = 256;
+
+// --- Words ---
+
+// A 32-bit word is shown as a float when its bit pattern looks like a plausible float value,
+// otherwise as an integer. Both encode back to the same four bytes.
+function decodeWord(dv, offset) {
+    const f = dv.getFloat32(offset, true);
+    const abs = Math.abs(f);
+    if (Number.isFinite(f) && (abs === 0 || (abs >= 1e-6 && abs < 1e7))) {
+        return { type: 'f32', value: f };
+    }
+    return { type: 'i32', value: dv.getInt32(offset, true) };
+}
+
+function encodeWord(dv, offset, word) {
+    if (word.type === 'f32') dv.setFloat32(offset, word.value, true);
+    else dv.setInt32(offset, word.value, true);
+}
+
+function formatWord(word) {
+    if (word.type === 'f32') return String(Math.round(word.value * 1e6) / 1e6);
+    return `${word.value}i`;
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function decodeRecord(bytes, offset, size) {
+    const dv = new DataView(bytes.buffer, bytes.byteOffset + offset, size);
+    const fields = [];
+    let pos = 0;
+    for (; pos + 4 <= size; pos += 4) fields.push(decodeWord(dv, pos));
+    return { fields, tail: bytes.slice(offset + pos, offset + size) };
+}
+
+function encodeRecord(out, offset, record) {
+    const dv = new DataView(out.buffer, out.byteOffset);
+    record.fields.forEach((word, i) => encodeWord(dv, offset + i * 4, word));
+    out.set(record.tail, offset + record.fields.length * 4);
+    return offset + record.fields.length * 4 + record.tail.byteLength;
+}
+
+function recordSize(record) {
+    return record.fields.length * 4 + record.tail.byteLength;
+}
+
+function cloneRecord(record) {
+    return { fields: record.fields.map(w => ({ ...w })), tail: record.tail.slice() };
+}
+
+// --- Header array ---
+
+export function decodeHeaderArray(dataView, offset, arrayCount) {
+    const entries = [];
+    for (let i = 0; i < arrayCount; i++) {
+        const at = offset + i * HEADER_ENTRY_SIZE;
+        entries.push([decodeWord(dataView, at), decodeWord(dataView, at + 4)]);
+    }
+    return entries;
+}
+
+export function encodeHeaderArray(dataView, offset, entries) {
+    entries.forEach((entry, i) => {
+        const at = offset + i * HEADER_ENTRY_SIZE;
+        encodeWord(dataView, at, entry[0]);
+        encodeWord(dataView, at + 4, entry[1]);
+    });
+}
+
+// --- Footer ---
+//
+// kind "empty":    nothing after the frame data
+// kind "events":   int32 count followed by `count` records whose first word is a frame index
+// kind "perFrame": one fixed-size record per frame
+// kind "raw":      anything else, kept verbatim
+
+function tryDecodeEvents(bytes, framesCount) {
+    if (bytes.byteLength < 8) return null;
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = dv.getInt32(0, true);
+    if (count <= 0 || (bytes.byteLength - 4) % count !== 0) return null;
+
+    const size = (bytes.byteLength - 4) / count;
+    if (size < 4 || size % 4 !== 0 || size > MAX_RECORD_SIZE) return null;
+
+    const records = [];
+    let lastFrame = 0;
+    for (let i = 0; i < count; i++) {
+        const at = 4 + i * size;
+        const frame = dv.getInt32(at, true);
+        if (frame < lastFrame || frame > framesCount) return null;
+        lastFrame = frame;
+
+        const record = decodeRecord(bytes, at + 4, size - 4);
+        records.push({ frame, fields: record.fields, tail: record.tail });
+    }
+    return { kind: 'events', records };
+}
+
+function tryDecodePerFrame(bytes, framesCount) {
+    if (framesCount <= 0 || bytes.byteLength % framesCount !== 0) return null;
+    const size = bytes.byteLength / framesCount;
+    if (size > MAX_RECORD_SIZE) return null;
+
+    const records = [];
+    for (let i = 0; i < framesCount; i++) records.push(decodeRecord(bytes, i * size, size));
+    return { kind: 'perFrame', recordSize: size, records };
+}
+
+export function decodeFooter(buffer, framesCount) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.byteLength === 0) return { kind: 'empty' };
+
+    return tryDecodeEvents(bytes, framesCount)
+        || tryDecodePerFrame(bytes, framesCount)
+        || { kind: 'raw', bytes: bytes.slice() };
+}
+
+export function encodeFooter(footer) {
+    switch (footer.kind) {
+        case 'empty':
+            return new Uint8Array(0);
+        case 'raw':
+            return footer.bytes.slice();
+        case 'events': {
+            const size = footer.records.reduce((sum, r) => sum + 4 + recordSize(r), 4);
+            const out = new Uint8Array(size);
+            const dv = new DataView(out.buffer);
+            dv.setInt32(0, footer.records.length, true);
+            let offset = 4;
+            footer.records.forEach(record => {
+                dv.setInt32(offset, record.frame, true);
+                offset = encodeRecord(out, offset + 4, record);
+            });
+            return out;
+        }
+        case 'perFrame': {
+            const out = new Uint8Array(footer.records.length * footer.recordSize);
+            footer.records.reduce((offset, record) => encodeRecord(out, offset, record), 0);
+            return out;
+        }
+        default:
+            throw new Error(`Unknown footer kind: ${footer.kind}`);
+    }
+}
+
+// --- Frame edits ---
+
+// Where the things pinned to each old frame go after an edit. order[newIndex] is the old frame
+// each new frame came from, or null for a frame with no source (a blended-in clip's own frames).
+// This is the one policy for footer events and for the key and IK layers alike: something on a
+// frame lands on every separate copy of that frame and disappears with it, but a run of adjacent
+// copies (a stretched resample, a held frame) counts once, on the run's first frame. Returns
+// Map<oldFrame, newFrame[]>.
+export function frameCopies(order) {
+    const copies = new Map();
+    order.forEach((source, i) => {
+        if (source === null || source === undefined || order[i - 1] === source) return;
+        if (!copies.has(source)) copies.set(source, []);
+        copies.get(source).push(i);
+    });
+    return copies;
+}
+
+// Returns a copy of the footer adjusted for a clip that went from oldCount to newCount frames.
+// mapFrame(newIndex) -> oldIndex or null says where each new frame came from (edits such as
+// crop, reverse or duplicate; see frameCopies); by default frames are stretched evenly over the
+// new length. A per-frame record for a frame without a source repeats the one before it.
+export function resizeFooter(footer, oldCount, newCount, mapFrame = null) {
+    const pick = mapFrame || (i => Math.min(oldCount - 1, Math.floor(i * oldCount / newCount)));
+
+    switch (footer.kind) {
+        case 'events': {
+            if (mapFrame) return { kind: 'events', records: remapEvents(footer.records, oldCount, newCount, mapFrame) };
+            const scale = oldCount > 0 ? newCount / oldCount : 1;
+            return {
+                kind: 'events',
+                records: footer.records.map(r => ({
+                    ...cloneRecord(r),
+                    frame: Math.min(newCount, Math.round(r.frame * scale))
+                }))
+            };
+        }
+        case 'perFrame': {
+            const records = [];
+            let last = 0;
+            for (let i = 0; i < newCount; i++) {
+                const source = pick(i);
+                if (source !== null && source !== undefined) last = source;
+                records.push(cloneRecord(footer.records[last]));
+            }
+            return { kind: 'perFrame', recordSize: footer.recordSize, records };
+        }
+        case 'raw':
+            return { kind: 'raw', bytes: footer.bytes.slice() };
+        default:
+            return { kind: footer.kind };
+    }
+}
+
+// Events follow frameCopies. An event whose frame was dropped moves to the nearest surviving
+// frame, unless it lay outside the kept frames altogether (cropped away).
+function remapEvents(records, oldCount, newCount, mapFrame) {
+    const sources = [];
+    for (let i = 0; i < newCount; i++) sources.push(mapFrame(i));
+    const copiesOf = frameCopies(sources);
+    const kept = [...copiesOf.keys()];
+    const lowest = kept.reduce((a, b) => Math.min(a, b), Infinity);
+    const highest = kept.reduce((a, b) => Math.max(a, b), -Infinity);
+    const out = [];
+
+    records.forEach(r => {
+        if (r.frame >= oldCount) {
+            out.push({ ...cloneRecord(r), frame: newCount });
+            return;
+        }
+        const copies = (copiesOf.get(r.frame) || []).slice();
+        if (copies.length === 0 && r.frame > lowest && r.frame < highest) {
+            let nearest = -1;
+            sources.forEach((source, i) => {
+                if (source === null || source === undefined) return;
+                if (nearest === -1 || Math.abs(source - r.frame) < Math.abs(sources[nearest] - r.frame)) nearest = i;
+            });
+            copies.push(nearest);
+        }
+        copies.forEach(frame => out.push({ ...cloneRecord(r), frame }));
+    });
+
+    return out.sort((a, b) => a.frame - b.frame);
+}
+
+export function footerByteLength(footer) {
+    return encodeFooter(footer).byteLength;
+}
+
+// --- Readable dump ---
+
+export function describeDocument(doc) {
+    const lines = [];
+
+    lines.push(`Header array (${doc.headerArray.length} × 8 bytes)`);
+    doc.headerArray.forEach((entry, i) => {
+        lines.push(`  [${i}] ${formatWord(entry[0])}, ${formatWord(entry[1])}`);
+    });
+
+    const footer = doc.footer;
+    switch (footer.kind) {
+        case 'empty':
+            lines.push('Footer: empty');
+            break;
+        case 'raw':
+            lines.push(`Footer: ${footer.bytes.byteLength} bytes, unrecognised layout`);
+            lines.push('  ' + toHex(footer.bytes.subarray(0, 64)) + (footer.bytes.byteLength > 64 ? ' …' : ''));
+            break;
+        case 'events':
+            lines.push(`Footer: ${footer.records.length} event record(s)`);
+            footer.records.forEach((r, i) => {
+                const values = r.fields.map(formatWord).join(', ');
+                const tail = r.tail.byteLength ? ` +[${toHex(r.tail)}]` : '';
+                lines.push(`  [${i}] frame ${r.frame}: ${values}${tail}`);
+            });
+            break;
+        case 'perFrame':
+            lines.push(`Footer: ${footer.records.length} per-frame record(s) of ${footer.recordSize} bytes`);
+            footer.records.forEach((r, i) => {
+                const values = r.fields.map(formatWord).join(', ');
+                const tail = r.tail.byteLength ? ` +[${toHex(r.tail)}]` : '';
+                lines.push(`  [${i}] ${values}${tail}`);
+            });
+            break;
+    }
+
+    return lines;
+}
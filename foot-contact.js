@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { skeletonForBones } from './skeleton.js';
+import { PoseRig, solveTwoBone } from './ik.js';
+import { cloneFrame } from './frame-edit.js';
+
+// foot-contact.js
+// Foot contacts and foot locking for imported mocap whose feet slide. A foot or toe bone is in
+// contact while it is near the lowest height it reaches in the clip and hardly moving. Locking
+// holds each contact at one spot (its mean position) by bending thigh → calf → foot with
+// two-bone IK; a toe-only contact pins the toe and lets the heel roll. Positions are measured
+// with any extracted root motion (root-motion.js) added, so an in-place clip's planted feet
+// still read as planted.
+
+export const CONTACT_SIDES = ['l', 'r'];
+
+export const CONTACT_DEFAULTS = {
+    heightTolerance: 4,   // units above the bone's lowest point
+    speedTolerance: 1.5,  // units per frame
+    minFrames: 2,         // shorter runs are dropped
+    blendFrames: 2        // frames to ease in and out of a lock
+};
+
+// World position of a bone on every frame, travel included
+function tracks(frames, rig, names) {
+    const paths = new Map(names.map(name => [name, []]));
+    frames.forEach(frame => {
+        rig.setFrame(frame);
+        const [rx, rz] = frame.root || [0, 0];
+        names.forEach(name => {
+            const bone = rig.bone(name);
+            const p = bone ? rig.worldPosition(bone) : null;
+            paths.get(name).push(p ? p.add(new THREE.Vector3(rx, 0, rz)) : null);
+        });
+    });
+    return paths;
+}
+
+function runs(flags, minFrames) {
+    const ranges = [];
+    let start = -1;
+    flags.concat([false]).forEach((on, f) => {
+        if (on && start === -1) start = f;
+        if (!on && start !== -1) {
+            if (f - start >= minFrames) ranges.push({ start, end: f - 1 });
+            start = -1;
+        }
+    });
+    return ranges;
+}
+
+// Returns { foot_l: [{ start, end }], toe_l: [...], foot_r, toe_r } with inclusive frame ranges;
+// bones the skeleton lacks get no ranges
+export function detectContacts(frames, nodes = skeletonForBones([]).nodes, options = {}) {
+    const { heightTolerance, speedTolerance, minFrames } = { ...CONTACT_DEFAULTS, ...options };
+    const names = CONTACT_SIDES.flatMap(s => [`foot_${s}`, `toe_${s}`]);
+    const paths = tracks(frames, new PoseRig(nodes), names);
+
+    const contacts = {};
+    names.forEach(name => {
+        const path = paths.get(name);
+        if (path.some(p => !p)) {
+            contacts[name] = [];
+            return;
+        }
+        const floor = path.reduce((lowest, p) => Math.min(lowest, p.y), Infinity);
+        const flags = path.map((p, f) => {
+            if (p.y - floor > heightTolerance) return false;
+            // Slower than the tolerance both coming in and going out
+            const before = f > 0 ? p.distanceTo(path[f - 1]) : 0;
+            const after = f + 1 < path.length ? p.distanceTo(path[f + 1]) : 0;
+            return Math.max(before, after) <= speedTolerance;
+        });
+        contacts[name] = runs(flags, minFrames);
+    });
+    return contacts;
+}
+
+// Per frame of one side: { weight, bone, target } for the lock that applies, or null. Locks
+// ease in and out over blendFrames; a foot contact wins over a toe contact.
+function sideGoals(count, contacts, paths, side, blendFrames) {
+    const goals = new Array(count).fill(null);
+    [`toe_${side}`, `foot_${side}`].forEach(name => {
+        (contacts[name] || []).forEach(({ start, end }) => {
+            const target = new THREE.Vector3();
+            for (let f = start; f <= end; f++) target.add(paths.get(name)[f]);
+            target.divideScalar(end - start + 1);
+
+            for (let f = Math.max(0, start - blendFrames); f <= Math.min(count - 1, end + blendFrames); f++) {
+                const outside = f < start ? start - f : f > end ? f - end : 0;
+                const weight = 1 - outside / (blendFrames + 1);
+                if (!goals[f] || weight >= goals[f].weight) goals[f] = { weight, bone: name, target };
+            }
+        });
+    });
+    return goals;
+}
+
+// Frames with every contact held in place. Only thigh, calf and foot rotations change.
+// Returns { frames, locked } with the number of frames each side was adjusted on.
+export function lockFeet(frames, contacts, nodes = skeletonForBones([]).nodes, options = {}) {
+    const { blendFrames } = { ...CONTACT_DEFAULTS, ...options };
+    const rig = new PoseRig(nodes);
+    const names = CONTACT_SIDES.flatMap(s => [`foot_${s}`, `toe_${s}`]);
+    const paths = tracks(frames, rig, names);
+    const out = frames.map(cloneFrame);
+    const locked = {};
+
+    CONTACT_SIDES.forEach(side => {
+        locked[side] = 0;
+        const chain = [`thigh_${side}`, `calf_${side}`, `foot_${side}`];
+        const [upper, lower, end] = chain.map(name => rig.bone(name));
+        if (!upper || !lower || !end) return;
+        const toe = rig.bone(`toe_${side}`);
+        const goals = sideGoals(frames.length, contacts, paths, side, blendFrames);
+
+        goals.forEach((goal, f) => {
+            if (!goal) return;
+            rig.setFrame(out[f]);
+            // Back from travel space to the frame's own space
+            const [rx, rz] = out[f].root || [0, 0];
+            const ankle = rig.worldPosition(end);
+            let target = goal.target.clone().sub(new THREE.Vector3(rx, 0, rz));
+            if (goal.bone.startsWith('toe_')) {
+                if (!toe) return;
+                target.sub(rig.worldPosition(toe).sub(ankle));
+            }
+            target = ankle.clone().lerp(target, goal.weight);
+            solveTwoBone(rig, upper, lower, end, target);
+            out[f] = rig.writeBack(out[f], chain);
+            locked[side]++;
+        });
+    });
+
+    return { frames: out, locked };
+}
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { replaceFrames } from './parser.js';
+
+// frame-edit.js
+// Range edits on a parsed animation document. Ranges are inclusive frame indices. Every edit
+// goes through replaceFrames, so framesCount and the footer follow the new frame list, and
+// returns the range the edited frames occupy afterwards plus `order`, the old index each new
+// frame came from (for anything else indexed by frame, such as key layers).
+
+export function cloneFrame(frame) {
+    return {
+        ...frame,
+        bones: frame.bones.map(b => ({ boneId: b.boneId, position: b.position.slice(), rotation: b.rotation.slice() }))
+    };
+}
+
+// Blend of two frames: positions lerp, rotations slerp. Bones are matched by id; a bone missing
+// from `b` holds its pose from `a`. Root motion offsets (root-motion.js) lerp too, a frame
+// without one counting as no offset.
+export function interpolateFrames(a, b, t) {
+    const qa = new THREE.Quaternion();
+    const qb = new THREE.Quaternion();
+    const byId = new Map(b.bones.map(bone => [bone.boneId, bone]));
+    const root = (a.root || b.root) ? [0, 1].map(k => {
+        const from = a.root ? a.root[k] : 0;
+        const to = b.root ? b.root[k] : 0;
+        return from + (to - from) * t;
+    }) : null;
+
+    return {
+        ...(root ? { root } : {}),
+        bones: a.bones.map(boneA => {
+            const boneB = byId.get(boneA.boneId) || boneA;
+            qa.fromArray(boneA.rotation);
+            qb.fromArray(boneB.rotation);
+            qa.slerp(qb, t);
+            return {
+                boneId: boneA.boneId,
+                position: boneA.position.map((v, k) => v + (boneB.position[k] - v) * t),
+                rotation: [qa.x, qa.y, qa.z, qa.w]
+            };
+        })
+    };
+}
+
+function checkRange(doc, start, end) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end >= doc.framesCount) {
+        throw new Error(`Invalid frame range ${start}-${end} (clip has ${doc.framesCount} frames)`);
+    }
+}
+
+function indices(start, end) {
+    const out = [];
+    for (let i = start; i <= end; i++) out.push(i);
+    return out;
+}
+
+// Rebuilds the frame list from source indices; the order doubles as the footer's frame map
+function applyOrder(doc, order) {
+    const frames = order.map(i => cloneFrame(doc.frames[i]));
+    replaceFrames(doc, frames, i => order[i]);
+    return order;
+}
+
+// --- Edits ---
+
+// Keeps only the range
+export function cropFrames(doc, start, end) {
+    checkRange(doc, start, end);
+    const order = applyOrder(doc, indices(start, end));
+    return { start: 0, end: end - start, order };
+}
+
+export function deleteFrames(doc, start, end) {
+    checkRange(doc, start, end);
+    if (start === 0 && end === doc.framesCount - 1) throw new Error('Cannot delete every frame');
+    const order = applyOrder(doc, [...indices(0, start - 1), ...indices(end + 1, doc.framesCount - 1)]);
+    const at = Math.min(start, doc.framesCount - 1);
+    return { start: at, end: at, order };
+}
+
+export function reverseFrames(doc, start, end) {
+    checkRange(doc, start, end);
+    const order = applyOrder(doc, [...indices(0, start - 1), ...indices(start, end).reverse(), ...indices(end + 1, doc.framesCount - 1)]);
+    return { start, end, order };
+}
+
+// Inserts `times` extra copies of the range straight after it
+export function duplicateFrames(doc, start, end, times = 1) {
+    checkRange(doc, start, end);
+    if (!Number.isInteger(times) || times < 1) throw new Error(`Invalid repeat count: ${times}`);
+    const range = indices(start, end);
+    const order = indices(0, end);
+    for (let n = 0; n < times; n++) order.push(...range);
+    order.push(...indices(end + 1, doc.framesCount - 1));
+    applyOrder(doc, order);
+    return { start, end: end + range.length * times, order };
+}
+
+// Stretches or squeezes the range to `count` frames, keeping its first and last pose
+export function resampleFrames(doc, start, end, count) {
+    checkRange(doc, start, end);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid frame count: ${count}`);
+    const length = end - start + 1;
+    const resampled = [];
+    const order = indices(0, start - 1);
+
+    for (let j = 0; j < count; j++) {
+        const s = count === 1 ? 0 : j * (length - 1) / (count - 1);
+        const i0 = Math.floor(s);
+        const i1 = Math.min(i0 + 1, length - 1);
+        resampled.push(interpolateFrames(doc.frames[start + i0], doc.frames[start + i1], s - i0));
+        // Nearest source frame; a stretched run of copies keeps its events once (frameCopies)
+        order.push(start + Math.round(s));
+    }
+    order.push(...indices(end + 1, doc.framesCount - 1));
+
+    const frames = [
+        ...doc.frames.slice(0, start).map(cloneFrame),
+        ...resampled,
+        ...doc.frames.slice(end + 1).map(cloneFrame)
+    ];
+    replaceFrames(doc, frames, i => order[i]);
+    return { start, end: start + count - 1, order };
+}
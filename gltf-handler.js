@@ -1,12 +1,14 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
-import { NAME_TO_ID, BONE_MAP, SKELETON_DEFINITION } from './constants.js';
+import { GLTFWriter, packGLB, GLB_MAGIC, GLB_CHUNK_JSON, GLB_CHUNK_BIN } from './gltf-writer.js';
+import { NAME_TO_ID } from './constants.js';
+import { skeletonForBones, buildBones, restInverseBindMatrices } from './skeleton.js';
+import { resolveMapping, Retargeter } from './retarget.js';
 
 export class GLTFHandler {
     constructor() {
         this.loader = new GLTFLoader();
-        this.exporter = new GLTFExporter();
+        this.writer = new GLTFWriter();
     }
 
     // Helper function from lengthenAnimation logic
@@ -15,240 +17,350 @@ export class GLTFHandler {
     }
 
     // --- IMPORT: GLTF -> AnimationData ---
-    async importGLTF(file, fps = 30, originalAnimationData = null) {
-        const buffer = await file.arrayBuffer();
-        
+    // buffer holds a .glb or .gltf file. A .gltf that references external .bin files needs
+    // resolveResource(uri) -> Promise<ArrayBuffer> to supply them. Rigs loaded only for their
+    // skeleton pass requireAnimations: false.
+    async loadGLTF(buffer, { resolveResource = null, requireAnimations = true } = {}) {
+        const glb = await this.prepareForLoader(buffer, resolveResource);
+
         return new Promise((resolve, reject) => {
-            this.loader.parse(buffer, '', (gltf) => {
-                
-                if (!gltf.animations || gltf.animations.length === 0) {
+            this.loader.parse(glb, '', (gltf) => {
+                if (requireAnimations && (!gltf.animations || gltf.animations.length === 0)) {
                     reject(new Error("No animations found in GLTF"));
                     return;
                 }
+                resolve(gltf);
+            }, (err) => reject(err));
+        });
+    }
 
-                const clip = gltf.animations[0];
-                const mixer = new THREE.AnimationMixer(gltf.scene);
-                const action = mixer.clipAction(clip);
-                action.play();
-
-                const duration = clip.duration;
-                const totalFrames = Math.max(1, Math.ceil(duration * fps));
-                const frameTime = 1 / fps;
-
-                // Scan for bones
-                const sceneBones = [];
-                gltf.scene.traverse(obj => {
-                    if (obj.isBone) {
-                        const id = NAME_TO_ID[obj.name];
-                        if (id !== undefined) {
-                            sceneBones.push({ node: obj, id: id });
-                        }
-                    }
+    // --- IMPORT SAMPLING ---
+    // Decides which clip times become frames. Options:
+    //   start/end      seconds, clamped to the clip (end defaults to its duration)
+    //   timing         'fps' (every 1/fps s), 'frames' (frameCount evenly spaced) or 'keys'
+    //                  (exactly the source keyframe times)
+    //   includeEnd     whether a frame lands exactly on `end`. With 'fps' timing and an `end` that
+    //                  falls between two 1/fps steps, that last frame is off the grid: the final
+    //                  interval is shorter than the rest rather than the end pose being dropped
+    //   interpolation  'source' keeps each track's own mode, 'linear' or 'step' override it
+    normalizeSampling(sampling = {}) {
+        return {
+            fps: 30,
+            start: 0,
+            end: null,
+            timing: 'fps',
+            frameCount: null,
+            includeEnd: true,
+            interpolation: 'source',
+            ...sampling
+        };
+    }
+
+    sampleTimes(clip, sampling = {}) {
+        const opts = this.normalizeSampling(sampling);
+        const eps = 1e-6;
+        const start = Math.min(Math.max(opts.start || 0, 0), clip.duration);
+        const end = opts.end === null || opts.end === undefined
+            ? clip.duration
+            : Math.min(Math.max(opts.end, start), clip.duration);
+        const span = end - start;
+        const times = [];
+
+        if (opts.timing === 'keys') {
+            const keys = [];
+            clip.tracks.forEach(track => {
+                track.times.forEach(t => {
+                    if (t >= start - eps && t <= end + eps) keys.push(t);
                 });
+            });
+            keys.sort((a, b) => a - b).forEach(t => {
+                if (times.length === 0 || t - times[times.length - 1] > eps) times.push(t);
+            });
+            if (times.length === 0 || times[0] > start + eps) times.unshift(start);
+            if (!opts.includeEnd && times.length > 1 && times[times.length - 1] >= end - eps) times.pop();
+        } else if (opts.timing === 'frames') {
+            const count = Math.max(1, Math.floor(opts.frameCount || 1));
+            const divisions = opts.includeEnd ? count - 1 : count;
+            for (let i = 0; i < count; i++) {
+                times.push(divisions > 0 ? start + span * i / divisions : start);
+            }
+        } else {
+            if (!(opts.fps > 0)) throw new Error(`Invalid import FPS: ${opts.fps}`);
+            for (let i = 0; start + i / opts.fps < end - eps || i === 0; i++) {
+                times.push(start + i / opts.fps);
+            }
+            if (opts.includeEnd && span > eps) times.push(end);
+        }
 
-                if (sceneBones.length === 0) {
-                    reject(new Error("No SF3-compatible bones found (check bone names)"));
-                    return;
-                }
+        return times;
+    }
 
-                const frames = [];
+    // Copy of the clip with its tracks forced to one interpolation mode. Tracks with a custom
+    // interpolant (glTF CUBICSPLINE stores tangents alongside values) are left untouched.
+    withInterpolation(clip, mode) {
+        if (mode === 'source') return clip;
+        const target = mode === 'step' ? THREE.InterpolateDiscrete : THREE.InterpolateLinear;
+        const copy = clip.clone();
+        copy.tracks.forEach(track => {
+            if (track.getInterpolation() !== undefined) track.setInterpolation(target);
+        });
+        return copy;
+    }
 
-                for (let f = 0; f < totalFrames; f++) {
-                    mixer.setTime(f * frameTime);
-                    gltf.scene.updateMatrixWorld(true);
+    // Summary of every clip in a loaded glTF, for picking which ones to import
+    describeClips(gltf, sampling = {}) {
+        return gltf.animations.map((clip, index) => ({
+            index,
+            name: clip.name || `Clip ${index}`,
+            duration: clip.duration,
+            framesCount: this.sampleTimes(clip, sampling).length
+        }));
+    }
 
-                    const frameBones = sceneBones.map(b => {
-                        return {
-                            boneId: b.id,
-                            position: [b.node.position.x, b.node.position.y, b.node.position.z],
-                            rotation: [b.node.quaternion.x, b.node.quaternion.y, b.node.quaternion.z, b.node.quaternion.w]
-                        };
-                    });
-                    frames.push({ bones: frameBones });
-                }
+    // Accepts a clip index or name
+    findClip(gltf, clip) {
+        const found = typeof clip === 'number'
+            ? gltf.animations[clip]
+            : gltf.animations.find(c => c.name === clip);
+        if (!found) {
+            const names = gltf.animations.map((c, i) => c.name || `Clip ${i}`).join(', ');
+            throw new Error(`Clip "${clip}" not found (available: ${names})`);
+        }
+        return found;
+    }
 
-                // Handle trailing/remaining data multiplication if original animation exists
-                let trailingDataInfo = '';
-                if (originalAnimationData && originalAnimationData.originalFileBuffer) {
-                    const originalFrames = originalAnimationData.framesCount || 0;
-                    const factor = totalFrames / originalFrames;
-                    
-                    if (factor > 1 && originalAnimationData.trailingData) {
-                        const secondaryFactor = Math.ceil(factor);
-                        trailingDataInfo = ` (trailing data ×${secondaryFactor})`;
-                        
-                        // Multiply trailing data like in lengthenAnimation
-                        if (secondaryFactor > 1 && originalAnimationData.trailingData.byteLength > 0) {
-                            const trailingChunks = [];
-                            for (let i = 0; i < secondaryFactor; i++) {
-                                trailingChunks.push(originalAnimationData.trailingData);
-                            }
-                            const multipliedTrailingData = this.concatArrayBuffers(trailingChunks);
-                            
-                            resolve({
-                                frames,
-                                framesCount: totalFrames,
-                                bonesCount: sceneBones.length,
-                                trailingData: multipliedTrailingData,
-                                trailingDataMultiplied: secondaryFactor
-                            });
-                            return;
-                        }
-                    }
-                }
+    // profile (see retarget.js) maps foreign bone names onto SF3 bones; without one, only bones
+    // already named after BONE_MAP entries are used. skeleton: the nodes a retargeting profile
+    // solves onto, the built-in skeleton when null.
+    // See sampleTimes() for the `sampling` options.
+    sampleClip(gltf, clip, sampling = {}, { profile = null, skeleton = null } = {}) {
+        const opts = this.normalizeSampling(sampling);
+        const mapping = resolveMapping(gltf.scene, profile || { map: null });
+        if (mapping.size === 0) {
+            const hint = profile ? `for profile "${profile.name}"` : '(check bone names)';
+            throw new Error(`No SF3-compatible bones found ${hint}`);
+        }
 
-                console.log(`Imported ${totalFrames} frames from GLTF${trailingDataInfo}`);
+        // The retargeter captures the source rest pose, so it must exist before the mixer runs
+        const retargeter = profile && profile.retarget ? new Retargeter(gltf.scene, mapping, profile, skeleton || undefined) : null;
 
-                resolve({
-                    frames,
-                    framesCount: totalFrames,
-                    bonesCount: sceneBones.length,
-                    trailingData: null
-                });
+        const times = this.sampleTimes(clip, opts);
+        const totalFrames = times.length;
 
-            }, (err) => reject(err));
-        });
-    }
+        // Play once and clamp, otherwise a sample at exactly `duration` wraps back to frame 0
+        const mixer = new THREE.AnimationMixer(gltf.scene);
+        const action = mixer.clipAction(this.withInterpolation(clip, opts.interpolation));
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+        action.play();
 
-    // --- EXPORT: AnimationData -> GLTF ---
-    exportGLTF(animationData, fps = 30) {
-        return new Promise((resolve, reject) => {
-            const { root, bones } = this.buildSkeletonHierarchy();
-            const skinnedMesh = this.createDummySkinnedMesh(bones);
-            const scene = new THREE.Scene();
-            scene.add(skinnedMesh);
-            scene.add(root);
-
-            const tracks = [];
-            const times = [];
-            for(let f=0; f<animationData.framesCount; f++) times.push(f / fps);
-
-            Object.values(BONE_MAP).forEach(boneName => {
-                const id = NAME_TO_ID[boneName];
-                const boneNode = bones.find(b => b.name === boneName);
-                if(!boneNode) return;
-
-                const posValues = [];
-                const rotValues = [];
-
-                for(let f=0; f<animationData.framesCount; f++) {
-                    const frame = animationData.frames[f];
-                    const bData = frame.bones.find(b => b.boneId === id);
-                    if(bData) {
-                        posValues.push(...bData.position);
-                        rotValues.push(...bData.rotation);
-                    } else {
-                        posValues.push(boneNode.position.x, boneNode.position.y, boneNode.position.z);
-                        rotValues.push(boneNode.quaternion.x, boneNode.quaternion.y, boneNode.quaternion.z, boneNode.quaternion.w);
-                    }
-                }
+        const sceneBones = [];
+        mapping.forEach((node, name) => sceneBones.push({ node, id: NAME_TO_ID[name] }));
 
-                if(posValues.length > 0) {
-                    tracks.push(new THREE.VectorKeyframeTrack(`${boneName}.position`, times, posValues));
-                    tracks.push(new THREE.QuaternionKeyframeTrack(`${boneName}.quaternion`, times, rotValues));
-                }
+        const frames = [];
+
+        for (let f = 0; f < totalFrames; f++) {
+            mixer.setTime(times[f]);
+            gltf.scene.updateMatrixWorld(true);
+
+            if (retargeter) {
+                frames.push({ bones: retargeter.sample(gltf.scene) });
+                continue;
+            }
+
+            const frameBones = sceneBones.map(b => {
+                return {
+                    boneId: b.id,
+                    position: [b.node.position.x, b.node.position.y, b.node.position.z],
+                    rotation: [b.node.quaternion.x, b.node.quaternion.y, b.node.quaternion.z, b.node.quaternion.w]
+                };
             });
+            frames.push({ bones: frameBones });
+        }
 
-            const clip = new THREE.AnimationClip("SF3_Animation", -1, tracks);
-
-            this.exporter.parse(
-                scene,
-                (gltf) => {
-                    const blob = new Blob([JSON.stringify(gltf, null, 2)], { type: 'application/gltf+json' });
-                    resolve(blob);
-                },
-                (err) => reject(err),
-                { animations: [clip] }
-            );
-        });
+        // Put the rig back in its rest pose so the next clip samples from a clean state
+        mixer.stopAllAction();
+        mixer.uncacheRoot(gltf.scene);
+
+        // Callers report the import (status line, CLI output); nothing is logged from here
+        return {
+            frames,
+            framesCount: totalFrames,
+            bonesCount: frames[0].bones.length
+        };
     }
 
-    buildSkeletonHierarchy() {
-        const lines = SKELETON_DEFINITION.split('\n').filter(l => l.trim().length > 0);
-        const boneNodes = [];
-        
-        // First pass: parse all bones
-        lines.forEach(line => {
-            if (!line.trim()) return;
-            
-            const depth = line.search(/\S|$/) / 2;
-            const nameMatch = line.match(/"([^"]+)"/);
-            const posMatch = line.match(/G\.Pos:\(([^)]+)\)/);
-            
-            if (!nameMatch) return;
-            const name = nameMatch[1];
-            const pos = posMatch ? posMatch[1].split(',').map(Number) : [0,0,0];
-
-            boneNodes.push({
-                name: name,
-                level: depth,
-                globalPos: new THREE.Vector3(pos[0], pos[1], pos[2])
-            });
+    // Loads and samples a single clip (the first one unless `clip` names another)
+    async importGLTF(buffer, sampling = {}, { resolveResource = null, clip = 0, profile = null, skeleton = null } = {}) {
+        const gltf = await this.loadGLTF(buffer, { resolveResource });
+        return this.sampleClip(gltf, this.findClip(gltf, clip), sampling, { profile, skeleton });
+    }
+
+    // GLTFLoader reads data URIs through FileLoader (ProgressEvent) and decodes textures through
+    // the DOM, neither of which exists under Node. Only nodes, skins and animations matter for
+    // import, so hand it a self-contained GLB with materials stripped.
+    async prepareForLoader(buffer, resolveResource) {
+        const { json, buffers } = await this.readContainer(buffer, resolveResource);
+
+        const parts = [];
+        const offsets = [];
+        let byteLength = 0;
+        buffers.forEach(bytes => {
+            offsets.push(byteLength);
+            parts.push(bytes);
+            byteLength += Math.ceil(bytes.byteLength / 4) * 4;
         });
 
-        const bones = [];
-        const stack = [];
-        let root = null;
-
-        boneNodes.forEach(node => {
-            const bone = new THREE.Bone();
-            bone.name = node.name;
-            bones.push(bone);
-
-            if (node.level === 0) {
-                root = bone;
-                bone.position.copy(node.globalPos);
-                stack[0] = { bone: bone, level: node.level, globalPos: node.globalPos.clone() };
-            } else {
-                // Find parent based on indentation level
-                while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
-                    stack.pop();
-                }
-                
-                if (stack.length > 0) {
-                    const parentInfo = stack[stack.length - 1];
-                    const parent = parentInfo.bone;
-                    
-                    // Calculate local position
-                    const localPos = node.globalPos.clone().sub(parentInfo.globalPos);
-                    parent.add(bone);
-                    bone.position.copy(localPos);
-                    
-                    stack.push({ bone: bone, level: node.level, globalPos: node.globalPos.clone() });
+        const body = new Uint8Array(byteLength);
+        parts.forEach((bytes, i) => body.set(bytes, offsets[i]));
+
+        (json.bufferViews || []).forEach(view => {
+            view.byteOffset = (view.byteOffset || 0) + offsets[view.buffer];
+            view.buffer = 0;
+        });
+        json.buffers = byteLength > 0 ? [{ byteLength }] : undefined;
+
+        delete json.materials;
+        delete json.textures;
+        delete json.images;
+        delete json.samplers;
+        (json.meshes || []).forEach(mesh => {
+            mesh.primitives.forEach(primitive => delete primitive.material);
+        });
+
+        return packGLB(json, body).buffer;
+    }
+
+    async readContainer(buffer, resolveResource) {
+        const dv = new DataView(buffer);
+        let json;
+        let binChunk = null;
+
+        if (buffer.byteLength >= 12 && dv.getUint32(0, true) === GLB_MAGIC) {
+            let offset = 12;
+            while (offset + 8 <= buffer.byteLength) {
+                const length = dv.getUint32(offset, true);
+                const type = dv.getUint32(offset + 4, true);
+                const chunk = new Uint8Array(buffer, offset + 8, length);
+                if (type === GLB_CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(chunk));
+                else if (type === GLB_CHUNK_BIN) binChunk = chunk;
+                offset += 8 + length;
+            }
+            if (!json) throw new Error('GLB file has no JSON chunk');
+        } else {
+            json = JSON.parse(new TextDecoder().decode(buffer));
+        }
+
+        const buffers = await Promise.all((json.buffers || []).map(async (def, index) => {
+            if (def.uri === undefined) {
+                if (index === 0 && binChunk) return binChunk;
+                throw new Error(`Buffer ${index} has no data`);
+            }
+
+            const match = def.uri.match(/^data:[^,]*;base64,(.*)$/);
+            if (match) {
+                const binary = atob(match[1]);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+                return bytes;
+            }
+
+            const uri = decodeURIComponent(def.uri);
+            const data = resolveResource ? await resolveResource(uri) : null;
+            if (!data) throw new Error(`External buffer "${uri}" was not provided (select it together with the .gltf)`);
+            if (data.byteLength < def.byteLength) {
+                throw new Error(`External buffer "${uri}" is ${data.byteLength} bytes, expected ${def.byteLength}`);
+            }
+            return new Uint8Array(data);
+        }));
+
+        return { json, buffers };
+    }
+
+    // --- EXPORT: AnimationData -> GLTF ---
+    // skeleton: nodes from skeletonForBones(), by default the best match for the file's bone IDs
+    // rootMotion: [[x, z]] per frame (root-motion.js), animated on a "root_motion" node above the bones
+    async exportGLTF(animationData, fps = 30, { binary = false, skeleton = null, rootMotion = null } = {}) {
+        const nodes = skeleton || skeletonForBones(animationData.boneIds).nodes;
+        const { roots, bones } = buildBones(nodes);
+        const skinnedMesh = this.createDummySkinnedMesh(bones, restInverseBindMatrices(nodes));
+        const scene = new THREE.Scene();
+        scene.add(skinnedMesh);
+
+        const tracks = [];
+        const times = [];
+        for(let f=0; f<animationData.framesCount; f++) times.push(f / fps);
+
+        if (rootMotion) {
+            const rootNode = new THREE.Object3D();
+            rootNode.name = 'root_motion';
+            roots.forEach(root => rootNode.add(root));
+            scene.add(rootNode);
+            const values = [];
+            for (let f = 0; f < animationData.framesCount; f++) {
+                const [x, z] = rootMotion[f] || [0, 0];
+                values.push(x, 0, z);
+            }
+            tracks.push(new THREE.VectorKeyframeTrack('root_motion.position', times, values));
+        } else {
+            roots.forEach(root => scene.add(root));
+        }
+
+        nodes.forEach((node, index) => {
+            const id = node.boneId;
+            if(id === undefined) return;
+            const boneName = node.name;
+            const boneNode = bones[index];
+
+            const posValues = [];
+            const rotValues = [];
+
+            for(let f=0; f<animationData.framesCount; f++) {
+                const frame = animationData.frames[f];
+                const bData = frame.bones.find(b => b.boneId === id);
+                if(bData) {
+                    // glTF requires unit rotations; the viewer normalizes the same way
+                    const q = new THREE.Quaternion(...bData.rotation).normalize();
+                    posValues.push(...bData.position);
+                    rotValues.push(q.x, q.y, q.z, q.w);
+                } else {
+                    posValues.push(boneNode.position.x, boneNode.position.y, boneNode.position.z);
+                    rotValues.push(boneNode.quaternion.x, boneNode.quaternion.y, boneNode.quaternion.z, boneNode.quaternion.w);
                 }
             }
+
+            if(posValues.length > 0) {
+                tracks.push(new THREE.VectorKeyframeTrack(`${boneName}.position`, times, posValues));
+                tracks.push(new THREE.QuaternionKeyframeTrack(`${boneName}.quaternion`, times, rotValues));
+            }
         });
 
-        // Update matrices
-        if (root) {
-            root.updateMatrixWorld(true);
-        }
+        const clip = new THREE.AnimationClip("SF3_Animation", -1, tracks);
 
-        return { root, bones };
+        return this.writer.write(scene, { animations: [clip], binary });
     }
 
-    createDummySkinnedMesh(bones) {
+    // One box per bone, placed in the rest pose and skinned to that bone alone. inverses are the
+    // rest inverse bind matrices, so the mesh is bound in exactly the pose the bones rest in.
+    createDummySkinnedMesh(bones, inverses) {
         const BONE_VISUAL_SIZE = 2.0; 
         const boxGeo = new THREE.BoxGeometry(BONE_VISUAL_SIZE, BONE_VISUAL_SIZE, BONE_VISUAL_SIZE);
         const posArr = [], normArr = [], skinIdxArr = [], skinWtArr = [], indicesArr = [];
         let vertexOffset = 0;
-        
-        if(bones[0].parent) bones[0].parent.updateMatrixWorld(true);
-        else bones[0].updateMatrixWorld(true);
+        const vertex = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const normalMatrix = new THREE.Matrix3();
 
         for (let i = 0; i < bones.length; i++) {
-            const bone = bones[i];
-            const worldPos = new THREE.Vector3();
-            bone.getWorldPosition(worldPos);
+            const rest = inverses[i].clone().invert();
+            normalMatrix.getNormalMatrix(rest);
 
             const count = boxGeo.attributes.position.count;
             for (let v = 0; v < count; v++) {
-                posArr.push(
-                    boxGeo.attributes.position.getX(v) + worldPos.x,
-                    boxGeo.attributes.position.getY(v) + worldPos.y,
-                    boxGeo.attributes.position.getZ(v) + worldPos.z
-                );
-                normArr.push(boxGeo.attributes.normal.getX(v), boxGeo.attributes.normal.getY(v), boxGeo.attributes.normal.getZ(v));
+                vertex.fromBufferAttribute(boxGeo.attributes.position, v).applyMatrix4(rest);
+                normal.fromBufferAttribute(boxGeo.attributes.normal, v).applyMatrix3(normalMatrix).normalize();
+                posArr.push(vertex.x, vertex.y, vertex.z);
+                normArr.push(normal.x, normal.y, normal.z);
                 skinIdxArr.push(i, 0, 0, 0);
                 skinWtArr.push(1, 0, 0, 0);
             }
@@ -269,40 +381,16 @@ export class GLTFHandler {
         const mat = new THREE.MeshStandardMaterial({ 
             color: 0x00ccff, 
             roughness: 0.4, 
-            metalness: 0.1, 
-            skinning: true 
+            metalness: 0.1
         });
         
         const skinnedMesh = new THREE.SkinnedMesh(finalGeo, mat);
-        const skeleton = new THREE.Skeleton(bones);
+        const skeleton = new THREE.Skeleton(bones, inverses);
         
-        skinnedMesh.add(bones[0]); 
-        skinnedMesh.bind(skeleton);
+        skinnedMesh.bind(skeleton, new THREE.Matrix4());
         
         return skinnedMesh;
     }
-
-    // Helper function to concatenate ArrayBuffers (from lengthenAnimation logic)
-    concatArrayBuffers(buffers) {
-        if (!buffers || buffers.length === 0) {
-            return new ArrayBuffer(0);
-        }
-        
-        if (buffers.length === 1) {
-            return buffers[0];
-        }
-        
-        const totalLength = buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0);
-        const result = new Uint8Array(totalLength);
-        
-        let offset = 0;
-        for (const buffer of buffers) {
-            result.set(new Uint8Array(buffer), offset);
-            offset += buffer.byteLength;
-        }
-        
-        return result.buffer;
-    }
 }
 
 export const gltfHandler = new GLTFHandler();
@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+
+// gltf-writer.js
+// Minimal glTF 2.0 serializer for the objects this tool builds (bones, one skinned
+// mesh, baked animation clips). Unlike GLTFExporter it needs no Blob/FileReader,
+// so it runs the same in the browser and under plain Node.
+
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+export const GLB_MAGIC = 0x46546c67;
+export const GLB_CHUNK_JSON = 0x4e4f534a;
+export const GLB_CHUNK_BIN = 0x004e4942;
+
+const TYPE_BY_SIZE = { 1: 'SCALAR', 2: 'VEC2', 3: 'VEC3', 4: 'VEC4', 16: 'MAT4' };
+
+const PATH_BY_PROPERTY = { position: 'translation', quaternion: 'rotation', scale: 'scale' };
+
+function toBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+// Wraps glTF JSON and a single binary body into a .glb container
+export function packGLB(json, body) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.byteLength / 4) * 4;
+    const binLength = Math.ceil(body.byteLength / 4) * 4;
+    const hasBin = body.byteLength > 0;
+
+    const total = 12 + 8 + jsonLength + (hasBin ? 8 + binLength : 0);
+    const out = new Uint8Array(total);
+    const dv = new DataView(out.buffer);
+
+    dv.setUint32(0, GLB_MAGIC, true);
+    dv.setUint32(4, 2, true);
+    dv.setUint32(8, total, true);
+
+    dv.setUint32(12, jsonLength, true);
+    dv.setUint32(16, GLB_CHUNK_JSON, true);
+    out.set(jsonBytes, 20);
+    out.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+
+    if (hasBin) {
+        const binStart = 20 + jsonLength;
+        dv.setUint32(binStart, binLength, true);
+        dv.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+        out.set(body, binStart + 8);
+    }
+
+    return out;
+}
+
+export class GLTFWriter {
+    // Returns the file contents as bytes: .gltf JSON with the buffer embedded as a data URI,
+    // or with { binary: true } a .glb container holding the buffer as its BIN chunk.
+    write(scene, { animations = [], binary = false } = {}) {
+        this.json = {
+            asset: { version: '2.0', generator: 'SF3 Animation Tool' },
+            scene: 0,
+            scenes: [{ nodes: [] }],
+            nodes: [],
+            buffers: [],
+            bufferViews: [],
+            accessors: []
+        };
+        this.chunks = [];
+        this.byteLength = 0;
+        this.nodeIndex = new Map();
+        this.inputCache = [];
+
+        scene.updateMatrixWorld(true);
+        scene.children.forEach(child => {
+            this.json.scenes[0].nodes.push(this.processNode(child));
+        });
+
+        // Skins reference nodes, so they can only be written once every node has an index
+        scene.traverse(obj => {
+            if (obj.isSkinnedMesh) this.processSkin(obj);
+        });
+
+        animations.forEach(clip => this.processAnimation(clip));
+
+        const body = this.buildBuffer();
+        if (body.byteLength > 0) {
+            const buffer = { byteLength: body.byteLength };
+            if (!binary) buffer.uri = 'data:application/octet-stream;base64,' + toBase64(body);
+            this.json.buffers.push(buffer);
+        }
+
+        this.pruneEmpty();
+        if (binary) return packGLB(this.json, body);
+        return new TextEncoder().encode(JSON.stringify(this.json));
+    }
+
+    processNode(obj) {
+        const node = {};
+        const index = this.json.nodes.length;
+        this.json.nodes.push(node);
+        this.nodeIndex.set(obj, index);
+
+        if (obj.name) node.name = obj.name;
+
+        const { position: p, quaternion: q, scale: s } = obj;
+        if (p.x !== 0 || p.y !== 0 || p.z !== 0) node.translation = [p.x, p.y, p.z];
+        if (q.x !== 0 || q.y !== 0 || q.z !== 0 || q.w !== 1) node.rotation = [q.x, q.y, q.z, q.w];
+        if (s.x !== 1 || s.y !== 1 || s.z !== 1) node.scale = [s.x, s.y, s.z];
+
+        if (obj.isMesh) node.mesh = this.processMesh(obj);
+
+        const children = obj.children.map(child => this.processNode(child));
+        if (children.length > 0) node.children = children;
+
+        return index;
+    }
+
+    processMesh(mesh) {
+        const geometry = mesh.geometry;
+        const attributes = {};
+
+        const semantics = {
+            position: 'POSITION',
+            normal: 'NORMAL',
+            uv: 'TEXCOORD_0',
+            skinIndex: 'JOINTS_0',
+            skinWeight: 'WEIGHTS_0'
+        };
+
+        Object.entries(semantics).forEach(([name, semantic]) => {
+            const attr = geometry.getAttribute(name);
+            if (!attr) return;
+
+            const componentType = name === 'skinIndex' ? UNSIGNED_SHORT : FLOAT;
+            attributes[semantic] = this.addAccessor(attr.array, attr.itemSize, componentType, {
+                target: ARRAY_BUFFER,
+                minMax: name === 'position'
+            });
+        });
+
+        const primitive = { attributes };
+
+        if (geometry.index) {
+            const indices = geometry.index.array;
+            let maxIndex = 0;
+            for (let i = 0; i < indices.length; i++) maxIndex = Math.max(maxIndex, indices[i]);
+            const componentType = maxIndex > 0xffff ? UNSIGNED_INT : UNSIGNED_SHORT;
+            primitive.indices = this.addAccessor(indices, 1, componentType, { target: ELEMENT_ARRAY_BUFFER });
+        }
+
+        const material = mesh.material;
+        if (material && material.color) {
+            if (!this.json.materials) this.json.materials = [];
+            primitive.material = this.json.materials.length;
+            this.json.materials.push({
+                pbrMetallicRoughness: {
+                    baseColorFactor: [material.color.r, material.color.g, material.color.b, 1],
+                    metallicFactor: material.metalness !== undefined ? material.metalness : 0,
+                    roughnessFactor: material.roughness !== undefined ? material.roughness : 1
+                }
+            });
+        }
+
+        if (!this.json.meshes) this.json.meshes = [];
+        this.json.meshes.push({ primitives: [primitive] });
+        return this.json.meshes.length - 1;
+    }
+
+    processSkin(mesh) {
+        const skeleton = mesh.skeleton;
+        const joints = skeleton.bones.map(bone => this.nodeIndex.get(bone));
+        if (joints.some(j => j === undefined)) {
+            throw new Error('Skinned mesh references bones outside the exported scene');
+        }
+
+        const inverses = new Float32Array(skeleton.bones.length * 16);
+        skeleton.boneInverses.forEach((m, i) => inverses.set(m.elements, i * 16));
+
+        if (!this.json.skins) this.json.skins = [];
+        const skin = {
+            joints,
+            inverseBindMatrices: this.addAccessor(inverses, 16, FLOAT)
+        };
+        this.json.skins.push(skin);
+        this.json.nodes[this.nodeIndex.get(mesh)].skin = this.json.skins.length - 1;
+    }
+
+    processAnimation(clip) {
+        const byName = new Map();
+        this.nodeIndex.forEach((index, obj) => {
+            if (obj.name && !byName.has(obj.name)) byName.set(obj.name, index);
+        });
+
+        const samplers = [];
+        const channels = [];
+
+        clip.tracks.forEach(track => {
+            const dot = track.name.lastIndexOf('.');
+            const nodeName = track.name.slice(0, dot);
+            const path = PATH_BY_PROPERTY[track.name.slice(dot + 1)];
+            const node = byName.get(nodeName);
+            if (node === undefined || !path) return;
+
+            const interpolation = track.getInterpolation() === THREE.InterpolateDiscrete ? 'STEP' : 'LINEAR';
+            samplers.push({
+                input: this.addTimes(track.times),
+                output: this.addAccessor(track.values, track.getValueSize(), FLOAT),
+                interpolation
+            });
+            channels.push({ sampler: samplers.length - 1, target: { node, path } });
+        });
+
+        if (channels.length === 0) return;
+        if (!this.json.animations) this.json.animations = [];
+        this.json.animations.push({ name: clip.name, samplers, channels });
+    }
+
+    // Tracks baked from the same frame list share one time accessor
+    addTimes(times) {
+        const cached = this.inputCache.find(entry => {
+            if (entry.times.length !== times.length) return false;
+            for (let i = 0; i < times.length; i++) {
+                if (entry.times[i] !== times[i]) return false;
+            }
+            return true;
+        });
+        if (cached) return cached.accessor;
+
+        const accessor = this.addAccessor(times, 1, FLOAT, { minMax: true });
+        this.inputCache.push({ times, accessor });
+        return accessor;
+    }
+
+    addAccessor(source, itemSize, componentType, { target, minMax = false } = {}) {
+        const ArrayType = componentType === FLOAT ? Float32Array
+            : componentType === UNSIGNED_SHORT ? Uint16Array : Uint32Array;
+        const array = source instanceof ArrayType ? source : ArrayType.from(source);
+        const count = array.length / itemSize;
+
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength).slice();
+        const bufferView = { buffer: 0, byteOffset: this.byteLength, byteLength: bytes.byteLength };
+        if (target) bufferView.target = target;
+
+        this.chunks.push(bytes);
+        this.byteLength += bytes.byteLength;
+        const padding = (4 - (this.byteLength % 4)) % 4;
+        if (padding > 0) {
+            this.chunks.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+
+        this.json.bufferViews.push(bufferView);
+
+        const accessor = {
+            bufferView: this.json.bufferViews.length - 1,
+            componentType,
+            count,
+            type: TYPE_BY_SIZE[itemSize]
+        };
+
+        if (minMax) {
+            const min = new Array(itemSize).fill(Infinity);
+            const max = new Array(itemSize).fill(-Infinity);
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < itemSize; c++) {
+                    const v = array[i * itemSize + c];
+                    if (v < min[c]) min[c] = v;
+                    if (v > max[c]) max[c] = v;
+                }
+            }
+            accessor.min = min;
+            accessor.max = max;
+        }
+
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    buildBuffer() {
+        const body = new Uint8Array(this.byteLength);
+        let offset = 0;
+        this.chunks.forEach(chunk => {
+            body.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return body;
+    }
+
+    pruneEmpty() {
+        ['buffers', 'bufferViews', 'accessors'].forEach(key => {
+            if (this.json[key].length === 0) delete this.json[key];
+        });
+    }
+}
@@ -0,0 +1,136 @@
+// history.js
+// Command-based undo/redo. A command is `{ label, undo(), redo() }`; the stack only orders and
+// replays them. Each open document keeps its own History so closing one never leaves commands
+// pointing at a file that is gone.
+
+export class History {
+    constructor({ limit = 200 } = {}) {
+        this.limit = limit;
+        this.commands = [];
+        this.cursor = 0; // number of commands currently applied
+    }
+
+    // Applies the command and records it
+    execute(command) {
+        command.redo();
+        this.record(command);
+    }
+
+    // Records a command whose change has already been made; drops anything that was undone
+    record(command) {
+        this.commands.splice(this.cursor);
+        this.commands.push(command);
+        if (this.commands.length > this.limit) this.commands.shift();
+        this.cursor = this.commands.length;
+    }
+
+    canUndo() {
+        return this.cursor > 0;
+    }
+
+    canRedo() {
+        return this.cursor < this.commands.length;
+    }
+
+    undo() {
+        if (!this.canUndo()) return null;
+        const command = this.commands[--this.cursor];
+        command.undo();
+        return command;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        const command = this.commands[this.cursor++];
+        command.redo();
+        return command;
+    }
+
+    // Undoes or redoes until `cursor` commands are applied
+    jumpTo(cursor) {
+        cursor = Math.max(0, Math.min(cursor, this.commands.length));
+        while (this.cursor > cursor) this.undo();
+        while (this.cursor < cursor) this.redo();
+    }
+
+    clear() {
+        this.commands = [];
+        this.cursor = 0;
+    }
+}
+
+// --- Commands ---
+
+// Edits that swap in a whole new frame list (imports, range edits, key bakes) never mutate the
+// old frames, so a snapshot only has to hold references.
+export function captureFrames(doc) {
+    return { frames: doc.frames, framesCount: doc.framesCount, footer: doc.footer, keyLayer: doc.keyLayer || null, ikLayer: doc.ikLayer || null };
+}
+
+export class FrameListCommand {
+    constructor(label, doc, before, after = captureFrames(doc)) {
+        this.label = label;
+        this.doc = doc;
+        this.before = before;
+        this.after = after;
+    }
+
+    restore(state) {
+        this.doc.frames = state.frames;
+        this.doc.framesCount = state.framesCount;
+        this.doc.footer = state.footer;
+        this.doc.keyLayer = state.keyLayer;
+        this.doc.ikLayer = state.ikLayer;
+    }
+
+    undo() {
+        this.restore(this.before);
+    }
+
+    redo() {
+        this.restore(this.after);
+    }
+}
+
+// Several commands recorded as one step; undone in reverse order
+export class CompositeCommand {
+    constructor(label, commands) {
+        this.label = label;
+        this.commands = commands;
+    }
+
+    undo() {
+        [...this.commands].reverse().forEach(c => c.undo());
+    }
+
+    redo() {
+        this.commands.forEach(c => c.redo());
+    }
+}
+
+// In-place changes to single bones. `changes` holds { frame, boneId, before, after } where before
+// and after are { position, rotation } arrays.
+export class BonePoseCommand {
+    constructor(label, doc, changes) {
+        this.label = label;
+        this.doc = doc;
+        this.changes = changes;
+    }
+
+    apply(key) {
+        this.changes.forEach(change => {
+            const bone = this.doc.frames[change.frame].bones.find(b => b.boneId === change.boneId);
+            if (!bone) return;
+            bone.position = change[key].position.slice();
+            bone.rotation = change[key].rotation.slice();
+        });
+    }
+
+    undo() {
+        this.apply('before');
+    }
+
+    redo() {
+        this.apply('after');
+    }
+}
@@ -0,0 +1,370 @@
+import * as THREE from 'three';
+import { skeletonForBones, buildBones } from './skeleton.js';
+import { cloneFrame } from './frame-edit.js';
+import { frameCopies } from './file-schema.js';
+
+// ik.js
+// Inverse kinematics on the skeleton's bones. Solvers work in world space on a PoseRig posed
+// from one frame at a time, then write the changed local rotations back into the frame.
+//
+// An IK layer keys effector targets per frame over the dense frames; baking solves every frame
+// the keys cover and writes the result into the bone rotations, twist bones included.
+
+// The skeleton's bones (from buildBones) posed from frames
+export class PoseRig {
+    constructor(nodes = skeletonForBones([]).nodes) {
+        this.nodes = nodes;
+        const { roots, bones } = buildBones(nodes);
+        this.roots = roots;
+        this.bones = bones;
+        this.indexByName = new Map(nodes.map((node, i) => [node.name, i]));
+        this.indexById = new Map();
+        nodes.forEach((node, i) => { if (node.boneId !== undefined) this.indexById.set(node.boneId, i); });
+    }
+
+    bone(name) {
+        const i = this.indexByName.get(name);
+        return i === undefined ? null : this.bones[i];
+    }
+
+    // Skeleton node (rest pose) of a bone
+    rest(bone) {
+        return this.nodes[this.bones.indexOf(bone)];
+    }
+
+    // The direction the character faces in the rest pose, on the ground: heels to toes, or +Z
+    // for skeletons without feet
+    restFacing() {
+        const facing = new THREE.Vector3();
+        ['l', 'r'].forEach(side => {
+            const foot = this.indexByName.get(`foot_${side}`);
+            const toe = this.indexByName.get(`toe_${side}`);
+            if (foot === undefined || toe === undefined) return;
+            facing.add(this.nodes[toe].globalPos.clone().sub(this.nodes[foot].globalPos));
+        });
+        facing.y = 0;
+        return facing.lengthSq() > 0 ? facing.normalize() : new THREE.Vector3(0, 0, 1);
+    }
+
+    // Rest pose, then the frame's local transforms
+    setFrame(frame) {
+        this.nodes.forEach((node, i) => {
+            this.bones[i].position.copy(node.localPos);
+            this.bones[i].quaternion.copy(node.localRot);
+        });
+        frame.bones.forEach(b => {
+            const i = this.indexById.get(b.boneId);
+            if (i === undefined) return;
+            this.bones[i].position.fromArray(b.position);
+            this.bones[i].quaternion.fromArray(b.rotation).normalize();
+        });
+        this.roots.forEach(root => root.updateMatrixWorld(true));
+    }
+
+    worldPosition(bone) {
+        return bone.getWorldPosition(new THREE.Vector3());
+    }
+
+    worldRotation(bone) {
+        return bone.getWorldQuaternion(new THREE.Quaternion());
+    }
+
+    // Turns the bone so its world rotation is q; its children follow
+    setWorldRotation(bone, q) {
+        const parentRot = bone.parent && bone.parent.isBone ? this.worldRotation(bone.parent) : new THREE.Quaternion();
+        bone.quaternion.copy(parentRot.invert().multiply(q)).normalize();
+        bone.updateMatrixWorld(true);
+    }
+
+    // Copy of the frame with the local rotations of the named bones taken from the rig
+    writeBack(frame, names) {
+        const ids = new Map();
+        names.forEach(name => {
+            const i = this.indexByName.get(name);
+            if (i !== undefined && this.nodes[i].boneId !== undefined) ids.set(this.nodes[i].boneId, this.bones[i]);
+        });
+        return {
+            ...frame,
+            bones: frame.bones.map(b => {
+                const bone = ids.get(b.boneId);
+                if (!bone) return b;
+                const q = bone.quaternion;
+                return { ...b, rotation: [q.x, q.y, q.z, q.w] };
+            })
+        };
+    }
+}
+
+function angleBetween(u, v) {
+    const lengths = u.length() * v.length();
+    return lengths > 0 ? Math.acos(THREE.MathUtils.clamp(u.dot(v) / lengths, -1, 1)) : 0;
+}
+
+// Any unit vector perpendicular to v
+function perpendicular(v) {
+    const axis = Math.abs(v.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    return axis.cross(v).normalize();
+}
+
+// Bends upper → lower → end so the end joint reaches target. Lengths do not change; a target
+// out of reach gets the straightened chain pointing at it. The chain bends in the plane it
+// already bends in, or, with a pole (world position), turns about the upper → target line until
+// the middle joint points at the pole. The end bone keeps its world rotation.
+export function solveTwoBone(rig, upper, lower, end, target, pole = null) {
+    const a = rig.worldPosition(upper);
+    const b = rig.worldPosition(lower);
+    const c = rig.worldPosition(end);
+    const endRot = rig.worldRotation(end);
+
+    const lab = b.distanceTo(a);
+    const lcb = c.distanceTo(b);
+    if (lab === 0 || lcb === 0) return;
+    const eps = 1e-4 * (lab + lcb);
+    const lat = THREE.MathUtils.clamp(target.distanceTo(a), Math.abs(lab - lcb) + eps, lab + lcb - eps);
+
+    const ac = c.clone().sub(a);
+    const ab = b.clone().sub(a);
+    const at = target.clone().sub(a);
+
+    // Current and wanted angles at the upper joint (between a→c and a→b) and at the middle one
+    const acAb0 = angleBetween(ac, ab);
+    const baBc0 = angleBetween(a.clone().sub(b), c.clone().sub(b));
+    const acAt0 = angleBetween(ac, at);
+    const acAb1 = Math.acos(THREE.MathUtils.clamp((lcb * lcb - lab * lab - lat * lat) / (-2 * lab * lat), -1, 1));
+    const baBc1 = Math.acos(THREE.MathUtils.clamp((lat * lat - lab * lab - lcb * lcb) / (-2 * lab * lcb), -1, 1));
+
+    const bendAxis = ac.clone().cross(ab);
+    if (bendAxis.lengthSq() < 1e-12) bendAxis.copy(perpendicular(ac));
+    bendAxis.normalize();
+    const aimAxis = ac.clone().cross(at);
+
+    const r0 = new THREE.Quaternion().setFromAxisAngle(bendAxis, acAb1 - acAb0);
+    const r1 = new THREE.Quaternion().setFromAxisAngle(bendAxis, baBc1 - baBc0);
+    const r2 = aimAxis.lengthSq() < 1e-12 ? new THREE.Quaternion() : new THREE.Quaternion().setFromAxisAngle(aimAxis.normalize(), acAt0);
+
+    const upperRot = rig.worldRotation(upper);
+    const lowerRot = rig.worldRotation(lower);
+    const turn = r2.clone().multiply(r0);
+    rig.setWorldRotation(upper, turn.clone().multiply(upperRot));
+    rig.setWorldRotation(lower, turn.multiply(r1).multiply(lowerRot));
+    if (pole) aimAtPole(rig, upper, lower, target, pole);
+    rig.setWorldRotation(end, endRot);
+}
+
+// Swings the solved chain about the upper → target line so the middle joint faces the pole
+function aimAtPole(rig, upper, lower, target, pole) {
+    const a = rig.worldPosition(upper);
+    const axis = target.clone().sub(a).normalize();
+    const flat = (p) => {
+        const v = p.clone().sub(a);
+        return v.sub(axis.clone().multiplyScalar(v.dot(axis)));
+    };
+    const knee = flat(rig.worldPosition(lower));
+    const toward = flat(pole);
+    if (axis.lengthSq() === 0 || knee.lengthSq() < 1e-12 || toward.lengthSq() < 1e-12) return;
+
+    const angle = Math.atan2(knee.clone().cross(toward).dot(axis), knee.dot(toward));
+    const swing = new THREE.Quaternion().setFromAxisAngle(axis, angle);
+    rig.setWorldRotation(upper, swing.multiply(rig.worldRotation(upper)));
+}
+
+// --- Look-at ---
+
+// World direction the head faces
+function headFacing(rig, head) {
+    const forward = rig.restFacing().applyQuaternion(rig.rest(head).globalRot.clone().invert());
+    return forward.applyQuaternion(rig.worldRotation(head));
+}
+
+// Turns neck and head so the head faces target (world position). The neck takes `share` of the
+// turn and the head the rest. The face direction is the rest pose's facing, carried with the
+// head, so the rest pose looks straight ahead.
+export function solveLookAt(rig, neck, head, target, { share = 0.4 } = {}) {
+    const turn = (bone, weight) => {
+        const facing = headFacing(rig, head);
+        const wanted = target.clone().sub(rig.worldPosition(head));
+        if (wanted.lengthSq() < 1e-12) return;
+        const full = new THREE.Quaternion().setFromUnitVectors(facing, wanted.normalize());
+        const q = new THREE.Quaternion().slerp(full, weight);
+        rig.setWorldRotation(bone, q.multiply(rig.worldRotation(bone)));
+    };
+    if (neck && share > 0) turn(neck, share);
+    turn(head, 1);
+}
+
+// --- Twist bones ---
+
+// Helper bones that spread a limb's twist along it. Each takes `weight` of the twist `source`
+// has about the host → child axis, on top of its rest pose under host. The upper arm and thigh
+// ones counter-rotate so the shoulder and hip do not wring; the forearm one follows the hand.
+export const TWIST_BONES = ['l', 'r'].flatMap(side => [
+    { twist: `biceps_twist_${side}`, host: `arm_${side}`, child: `forearm_${side}`, source: `arm_${side}`, weight: -0.5 },
+    { twist: `forearm_twist_${side}`, host: `forearm_${side}`, child: `hand_${side}`, source: `hand_${side}`, weight: 0.5 },
+    { twist: `thigh_twist_${side}`, host: `thigh_${side}`, child: `calf_${side}`, source: `thigh_${side}`, weight: -0.5 }
+]);
+
+// Signed angle of q's twist about a unit axis
+function twistAngle(q, axis) {
+    const sign = q.w < 0 ? -1 : 1;
+    return 2 * Math.atan2(sign * (q.x * axis.x + q.y * axis.y + q.z * axis.z), sign * q.w);
+}
+
+// Sets the twist bones of the given hosts (all when null) from the posed rig. Returns the names
+// of the twist bones it set.
+export function distributeTwist(rig, hosts = null) {
+    const changed = [];
+    TWIST_BONES.forEach(({ twist, host, child, source, weight }) => {
+        if (hosts && !hosts.includes(host)) return;
+        const [t, h, c, s] = [twist, host, child, source].map(name => rig.bone(name));
+        if (!t || !h || !c || !s) return;
+
+        // Limb axis in the host's space, then in the source's
+        const axis = rig.rest(c).localPos.clone().normalize();
+        if (axis.lengthSq() === 0) return;
+        const sourceRest = rig.rest(s).localRot;
+        const sourceAxis = s === h ? axis : axis.clone().applyQuaternion(sourceRest.clone().invert());
+
+        const delta = sourceRest.clone().invert().multiply(s.quaternion);
+        const angle = twistAngle(delta, sourceAxis) * weight;
+        t.quaternion.setFromAxisAngle(axis, angle).multiply(rig.rest(t).localRot);
+        t.updateMatrixWorld(true);
+        changed.push(twist);
+    });
+    return changed;
+}
+
+// --- IK layer ---
+
+// Effectors the IK layer can key. Limbs are ids by their upper bone; the look-at drives neck
+// and head.
+export const IK_EFFECTORS = [
+    { id: 'arm_l', name: 'Left arm', chain: ['arm_l', 'forearm_l', 'hand_l'] },
+    { id: 'arm_r', name: 'Right arm', chain: ['arm_r', 'forearm_r', 'hand_r'] },
+    { id: 'thigh_l', name: 'Left leg', chain: ['thigh_l', 'calf_l', 'foot_l'] },
+    { id: 'thigh_r', name: 'Right leg', chain: ['thigh_r', 'calf_r', 'foot_r'] },
+    { id: 'head', name: 'Look at (neck, head)', chain: ['neck', 'head'], lookAt: true }
+];
+
+export function ikEffector(id) {
+    return IK_EFFECTORS.find(e => e.id === id) || null;
+}
+
+// { effectors: { [id]: [{ frame, target: [x, y, z], pole: [x, y, z] | null }] } } with each
+// effector's keys sorted by frame. Targets and poles are world positions as the frames pose
+// the skeleton. Immutable, like the key layer, so undo snapshots hold it by reference.
+export function createIkLayer() {
+    return { effectors: {} };
+}
+
+export function effectorKeys(layer, id) {
+    return layer ? layer.effectors[id] || [] : [];
+}
+
+export function hasIkKeys(layer) {
+    return !!layer && Object.keys(layer.effectors).length > 0;
+}
+
+// Adds the key, replacing one on the same frame
+export function setEffectorKey(layer, id, key) {
+    if (!ikEffector(id)) throw new Error(`Unknown IK effector "${id}"`);
+    const keys = effectorKeys(layer, id).filter(k => k.frame !== key.frame);
+    keys.push({ frame: key.frame, target: key.target.slice(), pole: key.pole ? key.pole.slice() : null });
+    keys.sort((a, b) => a.frame - b.frame);
+    return { ...layer, effectors: { ...layer.effectors, [id]: keys } };
+}
+
+export function removeEffectorKey(layer, id, frame) {
+    const keys = effectorKeys(layer, id).filter(k => k.frame !== frame);
+    const effectors = { ...layer.effectors };
+    if (keys.length > 0) effectors[id] = keys;
+    else delete effectors[id];
+    return { ...layer, effectors };
+}
+
+export function clearEffector(layer, id) {
+    const effectors = { ...layer.effectors };
+    delete effectors[id];
+    return { ...layer, effectors };
+}
+
+// Follows a range edit like the key layer (file-schema.js frameCopies)
+export function remapIkLayer(layer, order) {
+    const copies = frameCopies(order);
+    const effectors = {};
+    Object.entries(layer.effectors).forEach(([id, keys]) => {
+        const moved = keys
+            .flatMap(key => (copies.get(key.frame) || []).map(frame => ({ ...key, frame })))
+            .sort((a, b) => a.frame - b.frame);
+        if (moved.length > 0) effectors[id] = moved;
+    });
+    return { ...layer, effectors };
+}
+
+const lerpArray = (a, b, t) => a.map((v, k) => v + (b[k] - v) * t);
+
+// Target and pole of an effector on a frame: the keys' values lerped between the two keys
+// around it, or null outside its first and last key. A pole lerps when both keys have one,
+// otherwise the earlier key's holds.
+export function effectorGoal(keys, frame) {
+    for (let k = 0; k < keys.length; k++) {
+        const a = keys[k];
+        if (a.frame === frame) return { target: a.target, pole: a.pole };
+        const b = keys[k + 1];
+        if (!b || frame < a.frame || frame >= b.frame) continue;
+        const t = (frame - a.frame) / (b.frame - a.frame);
+        return {
+            target: lerpArray(a.target, b.target, t),
+            pole: a.pole && b.pole ? lerpArray(a.pole, b.pole, t) : a.pole
+        };
+    }
+    return null;
+}
+
+// Target and pole that hold the posed rig as it is: the end joint and the middle joint, or for
+// the look-at a point `distance` ahead of the face. Arrays, as keys store them; null when the
+// skeleton lacks the chain.
+export function effectorPose(rig, effector, distance = 100) {
+    const bones = effector.chain.map(name => rig.bone(name));
+    if (bones.some(bone => !bone)) return null;
+    if (effector.lookAt) {
+        const head = bones[1];
+        const target = rig.worldPosition(head).add(headFacing(rig, head).multiplyScalar(distance));
+        return { target: target.toArray(), pole: null };
+    }
+    return { target: rig.worldPosition(bones[2]).toArray(), pole: rig.worldPosition(bones[1]).toArray() };
+}
+
+// Solves one effector on the posed rig; returns the bones it changed, or [] when the skeleton
+// lacks the chain
+export function solveEffector(rig, effector, goal) {
+    const bones = effector.chain.map(name => rig.bone(name));
+    if (bones.some(bone => !bone)) return [];
+    const target = new THREE.Vector3().fromArray(goal.target);
+    if (effector.lookAt) {
+        solveLookAt(rig, bones[0], bones[1], target);
+        return effector.chain;
+    }
+    const [upper, lower, end] = bones;
+    solveTwoBone(rig, upper, lower, end, target, goal.pole ? new THREE.Vector3().fromArray(goal.pole) : null);
+    return [...effector.chain, ...distributeTwist(rig, effector.chain.slice(0, 2))];
+}
+
+// New frame list with every keyed effector solved on the frames its keys cover. Limbs go before
+// the look-at so the head aims from where the body ends up.
+export function bakeIkLayer(frames, layer, nodes = skeletonForBones([]).nodes) {
+    const out = frames.map(cloneFrame);
+    if (!hasIkKeys(layer)) return out;
+    const rig = new PoseRig(nodes);
+
+    return out.map((frame, f) => {
+        const goals = IK_EFFECTORS
+            .map(effector => [effector, effectorGoal(effectorKeys(layer, effector.id), f)])
+            .filter(([, goal]) => goal);
+        if (goals.length === 0) return frame;
+
+        rig.setFrame(frame);
+        const changed = new Set();
+        goals.forEach(([effector, goal]) => solveEffector(rig, effector, goal).forEach(name => changed.add(name)));
+        return rig.writeBack(frame, [...changed]);
+    });
+}
@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+import { cloneFrame } from './frame-edit.js';
+import { frameCopies } from './file-schema.js';
+
+// keyframes.js
+// Optional key layer over the dense frame bake. A layer only lists which frames are keys for
+// each bone; the key poses themselves are the dense frames at those indices. Baking rewrites
+// the frames between consecutive keys of a bone by interpolating the two key poses.
+//
+// Layers are treated as immutable so undo snapshots can hold them by reference.
+
+export const KEY_INTERPOLATIONS = [
+    { id: 'linear', name: 'Linear' },
+    { id: 'slerp', name: 'Slerp' },
+    { id: 'ease', name: 'Cubic ease' }
+];
+
+export function createKeyLayer(interpolation = 'slerp') {
+    return { interpolation, keys: {} };
+}
+
+export function boneKeys(layer, boneId) {
+    return layer ? layer.keys[boneId] || [] : [];
+}
+
+export function hasKey(layer, boneId, frame) {
+    return boneKeys(layer, boneId).includes(frame);
+}
+
+// Adds or removes a key at `frame` for every bone in boneIds. If all of them already have one it
+// is removed, otherwise it is added where missing.
+export function toggleKey(layer, boneIds, frame) {
+    const remove = boneIds.every(id => hasKey(layer, id, frame));
+    const keys = { ...layer.keys };
+    boneIds.forEach(id => {
+        const frames = boneKeys(layer, id).filter(f => f !== frame);
+        if (!remove) frames.push(frame);
+        frames.sort((a, b) => a - b);
+        if (frames.length > 0) keys[id] = frames;
+        else delete keys[id];
+    });
+    return { ...layer, keys };
+}
+
+export function addKey(layer, boneId, frame) {
+    return hasKey(layer, boneId, frame) ? layer : toggleKey(layer, [boneId], frame);
+}
+
+export function clearKeys(layer, boneIds) {
+    const keys = { ...layer.keys };
+    boneIds.forEach(id => delete keys[id]);
+    return { ...layer, keys };
+}
+
+export function setInterpolation(layer, interpolation) {
+    if (!KEY_INTERPOLATIONS.some(m => m.id === interpolation)) throw new Error(`Unknown interpolation: ${interpolation}`);
+    return { ...layer, interpolation };
+}
+
+// Follows a range edit; keys move as file-schema.js frameCopies says
+export function remapKeyLayer(layer, order) {
+    const copies = frameCopies(order);
+    const keys = {};
+    Object.entries(layer.keys).forEach(([id, frames]) => {
+        const moved = frames.flatMap(f => copies.get(f) || []).sort((a, b) => a - b);
+        if (moved.length > 0) keys[id] = moved;
+    });
+    return { ...layer, keys };
+}
+
+// --- Baking ---
+
+const _qa = new THREE.Quaternion();
+const _qb = new THREE.Quaternion();
+
+function blendBone(a, b, t, interpolation) {
+    if (interpolation === 'ease') t = t * t * (3 - 2 * t);
+    _qa.fromArray(a.rotation);
+    _qb.fromArray(b.rotation);
+
+    if (interpolation === 'linear') {
+        // Normalised component lerp along the shorter arc
+        const sign = _qa.dot(_qb) < 0 ? -1 : 1;
+        _qa.set(
+            _qa.x + (_qb.x * sign - _qa.x) * t,
+            _qa.y + (_qb.y * sign - _qa.y) * t,
+            _qa.z + (_qb.z * sign - _qa.z) * t,
+            _qa.w + (_qb.w * sign - _qa.w) * t
+        ).normalize();
+    } else {
+        _qa.slerp(_qb, t);
+    }
+
+    return {
+        position: a.position.map((v, k) => v + (b.position[k] - v) * t),
+        rotation: [_qa.x, _qa.y, _qa.z, _qa.w]
+    };
+}
+
+// Returns a new frame list with the in-betweens of every keyed bone regenerated. Frames before
+// a bone's first key and after its last are left as they are.
+export function bakeKeyLayer(frames, layer) {
+    const out = frames.map(cloneFrame);
+
+    Object.entries(layer.keys).forEach(([key, keyFrames]) => {
+        const boneId = Number(key);
+        const valid = keyFrames.filter(f => f < out.length);
+        const boneAt = (f) => out[f].bones.find(b => b.boneId === boneId);
+
+        for (let k = 0; k + 1 < valid.length; k++) {
+            const from = valid[k];
+            const to = valid[k + 1];
+            const a = boneAt(from);
+            const b = boneAt(to);
+            if (!a || !b) continue;
+
+            for (let f = from + 1; f < to; f++) {
+                const bone = boneAt(f);
+                if (!bone) continue;
+                const pose = blendBone(a, b, (f - from) / (to - from), layer.interpolation);
+                bone.position = pose.position;
+                bone.rotation = pose.rotation;
+            }
+        }
+    });
+
+    return out;
+}
@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+import { replaceFrames } from './parser.js';
+import { skeletonForBones } from './skeleton.js';
+import { BONE_MAP, NAME_TO_ID } from './constants.js';
+import { PoseRig, ikEffector } from './ik.js';
+
+// mirror.js
+// Left/right mirroring. Each bone takes its partner's motion reflected across the character's
+// sagittal plane. The reflection is done on world-space deltas from the rest pose, so it does
+// not depend on how the rig orients the local axes of left and right bones, and the rest pose
+// mirrors onto itself even though the captured skeleton is not perfectly symmetric.
+
+// Pairs that do not follow the _l/_r pattern
+const PAIR_EXCEPTIONS = { weapon_l: 'weapons_r', weapons_r: 'weapon_l' };
+
+// Partner bone name, or the name itself for centre bones and helpers without a counterpart
+// (foot_r_extra, toe_r_extra)
+export function mirrorBoneName(name) {
+    if (PAIR_EXCEPTIONS[name]) return PAIR_EXCEPTIONS[name];
+    const swapped = name.replace(/_([lr])(?=_|$)/, (_, side) => (side === 'l' ? '_r' : '_l'));
+    return NAME_TO_ID[swapped] !== undefined ? swapped : name;
+}
+
+export function mirrorBoneId(id) {
+    const name = BONE_MAP[id];
+    return name === undefined ? id : NAME_TO_ID[mirrorBoneName(name)];
+}
+
+// Unit normal of the sagittal plane: the horizontal direction from the right hip to the left
+function sagittalNormal(nodes) {
+    const find = (name) => nodes.find(n => n.name === name);
+    const left = find('thigh_l');
+    const right = find('thigh_r');
+    if (!left || !right) return new THREE.Vector3(1, 0, 0);
+    const normal = left.globalPos.clone().sub(right.globalPos);
+    normal.y = 0;
+    return normal.lengthSq() > 0 ? normal.normalize() : new THREE.Vector3(1, 0, 0);
+}
+
+function reflectVector(v, n) {
+    return v.sub(n.clone().multiplyScalar(2 * v.dot(n)));
+}
+
+// A rotation reflected in a plane: its axis is a pseudo-vector, so the vector part is reflected
+// and negated while w stays
+function reflectQuaternion(q, n) {
+    const v = reflectVector(new THREE.Vector3(q.x, q.y, q.z), n).negate();
+    return q.set(v.x, v.y, v.z, q.w);
+}
+
+// Root motion offset (root-motion.js), an X/Z vector in the ground plane
+function reflectRoot(root, n) {
+    const v = reflectVector(new THREE.Vector3(root[0], 0, root[1]), n);
+    return [v.x, v.z];
+}
+
+// nodes: a skeleton from skeletonForBones()
+export function mirrorFrames(frames, nodes = skeletonForBones([]).nodes) {
+    const normal = sagittalNormal(nodes);
+    const idOf = (node) => node.boneId;
+    const indexById = new Map();
+    nodes.forEach((node, i) => { if (idOf(node) !== undefined) indexById.set(idOf(node), i); });
+    const partnerIndex = nodes.map((node, i) => {
+        const id = idOf(node);
+        const partner = id === undefined ? undefined : indexById.get(mirrorBoneId(id));
+        return partner === undefined ? i : partner;
+    });
+    const restInv = nodes.map(n => n.globalRot.clone().invert());
+
+    return frames.map(frame => {
+        const byId = new Map(frame.bones.map(b => [b.boneId, b]));
+
+        // Posed globals, with the rest pose for bones the file does not animate
+        const local = nodes.map(node => {
+            const bone = byId.get(idOf(node));
+            return {
+                pos: bone ? new THREE.Vector3().fromArray(bone.position) : node.localPos.clone(),
+                rot: bone ? new THREE.Quaternion().fromArray(bone.rotation) : node.localRot.clone()
+            };
+        });
+        const globalRot = [];
+        nodes.forEach((node, i) => {
+            globalRot[i] = node.parent === -1 ? local[i].rot.clone() : globalRot[node.parent].clone().multiply(local[i].rot);
+        });
+
+        // Mirrored globals and the locals that produce them
+        const mirroredRot = [];
+        const result = new Map();
+        nodes.forEach((node, i) => {
+            const source = partnerIndex[i];
+            const delta = reflectQuaternion(globalRot[source].clone().multiply(restInv[source]), normal);
+            mirroredRot[i] = delta.multiply(node.globalRot);
+
+            const parentRot = node.parent === -1 ? new THREE.Quaternion() : mirroredRot[node.parent];
+            const parentInv = parentRot.clone().invert();
+            const rot = parentInv.clone().multiply(mirroredRot[i]).normalize();
+
+            // Translation away from rest, carried over in world space
+            const sourceNode = nodes[source];
+            const sourceParentRot = sourceNode.parent === -1 ? new THREE.Quaternion() : globalRot[sourceNode.parent];
+            const offset = local[source].pos.clone().sub(sourceNode.localPos).applyQuaternion(sourceParentRot);
+            const pos = reflectVector(offset, normal).applyQuaternion(parentInv).add(node.localPos);
+
+            if (idOf(node) !== undefined) result.set(idOf(node), { pos, rot });
+        });
+
+        return {
+            ...frame,
+            ...(frame.root ? { root: reflectRoot(frame.root, normal) } : {}),
+            bones: frame.bones.map(bone => {
+                const mirrored = result.get(bone.boneId);
+                if (mirrored) {
+                    return {
+                        boneId: bone.boneId,
+                        position: mirrored.pos.toArray(),
+                        rotation: [mirrored.rot.x, mirrored.rot.y, mirrored.rot.z, mirrored.rot.w]
+                    };
+                }
+                // Bones outside the skeleton definition: swap with the partner's track as is
+                const partner = byId.get(mirrorBoneId(bone.boneId)) || bone;
+                return { boneId: bone.boneId, position: partner.position.slice(), rotation: partner.rotation.slice() };
+            })
+        };
+    });
+}
+
+// Key layer (keyframes.js) to go with mirrored frames: each bone takes its partner's keys, so a
+// re-bake rebuilds the in-betweens each side now carries
+export function mirrorKeyLayer(layer) {
+    const keys = {};
+    Object.entries(layer.keys).forEach(([id, frames]) => {
+        keys[mirrorBoneId(Number(id))] = frames.slice();
+    });
+    return { ...layer, keys };
+}
+
+// IK layer (ik.js) to go with mirrored frames: effectors swap sides, and each target and pole
+// keeps its offset from the joint it drives (the end joint, or the middle joint for a pole),
+// reflected. A layer baked into the frames then still lands where the mirrored frames put the
+// limbs, even though the rest pose is not symmetric.
+export function mirrorIkLayer(layer, frames, mirrored, nodes = skeletonForBones([]).nodes) {
+    const normal = sagittalNormal(nodes);
+    const rig = new PoseRig(nodes);
+    const jointAt = (frame, name) => {
+        rig.setFrame(frame);
+        const bone = rig.bone(name);
+        return bone ? rig.worldPosition(bone) : null;
+    };
+    const reflectFrom = (point, name, f) => {
+        const from = frames[f] ? jointAt(frames[f], name) : null;
+        const to = mirrored[f] ? jointAt(mirrored[f], mirrorBoneName(name)) : null;
+        if (!from || !to) return point.slice();
+        return reflectVector(new THREE.Vector3().fromArray(point).sub(from), normal).add(to).toArray();
+    };
+
+    const effectors = {};
+    Object.entries(layer.effectors).forEach(([id, keys]) => {
+        const { chain } = ikEffector(id);
+        effectors[mirrorBoneName(id)] = keys.map(key => ({
+            frame: key.frame,
+            target: reflectFrom(key.target, chain[chain.length - 1], key.frame),
+            pole: key.pole ? reflectFrom(key.pole, chain[1], key.frame) : null
+        }));
+    });
+    return { ...layer, effectors };
+}
+
+// Mirrors the document in place; frame count and footer are unchanged
+export function mirrorDocument(doc, nodes = skeletonForBones(doc.boneIds).nodes) {
+    const frames = doc.frames;
+    replaceFrames(doc, mirrorFrames(frames, nodes), i => i);
+    if (doc.keyLayer) doc.keyLayer = mirrorKeyLayer(doc.keyLayer);
+    if (doc.ikLayer) doc.ikLayer = mirrorIkLayer(doc.ikLayer, frames, doc.frames, nodes);
+    return doc;
+}
@@ -1,5 +1,8 @@
 // parser.js
 
+import { BONE_MAP } from './constants.js';
+import { decodeHeaderArray, encodeHeaderArray, decodeFooter, encodeFooter, resizeFooter } from './file-schema.js';
+
 // --- Utils / Math Helpers ---
 
 function halfToFloat(h) {
@@ -95,73 +98,165 @@ function compressQuaternion(q0, q1, q2, q3) {
     return [v0, v1, v2];
 }
 
-// --- Main Parser Class ---
+// The values repack() will actually store for one bone, decoded again: positions through
+// float16, the rotation through the 15-bit smallest-three encoding.
+export function quantizeBone(position, rotation) {
+    return {
+        position: position.map(v => halfToFloat(float32ToFloat16(v))),
+        rotation: parseCompressedQuaternion(...compressQuaternion(rotation[0], rotation[1], rotation[2], rotation[3]))
+    };
+}
+
+// --- Diagnostics ---
+
+// Counts above these are treated as corrupt rather than merely large
+const MAX_FRAMES = 100000;
+const MAX_BONES = 512;
+
+// Per-kind cap on reported non-finite values, so one broken track cannot flood the report
+const MAX_VALUE_ISSUES = 20;
+
+function isNonFiniteHalf(h) {
+    return (h & 0x7c00) === 0x7c00;
+}
+
+export function formatIssue(issue) {
+    const where = issue.offset !== null ? `@0x${issue.offset.toString(16)}` : '';
+    return `${issue.severity.toUpperCase()} ${issue.field}${where}: ${issue.message}`;
+}
 
-class AnimationParser {
-    constructor() {
-        this.originalFileBuffer = null;
-        this.originalHeaderBuffer = null;
-        this.headerStart = 0;
-        this.headerEnd = 0;
-        this.animationDataStart = 0;
-        this.animationDataEnd = 0;
-        this.boneIds = [];
-        this.bonesCount = 0;
-        this.origFramesCount = 0;
-        this.EXPECTED_HEADER = 457546134634734n;
-        this.frameSize = 0; 
+export class ParseError extends Error {
+    constructor(issues, options) {
+        const errors = issues.filter(i => i.severity === 'error');
+        const first = errors[0] || issues[0];
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        super(first ? formatIssue(first) + more : 'Failed to parse binary file', options);
+        this.name = 'ParseError';
+        this.issues = issues;
     }
+}
+
+// --- Main Parser Class ---
+
+const EXPECTED_HEADER = 457546134634734n;
+
+// Offset of the frame count field relative to the magic
+function frameCountOffset(arrayCount) {
+    return 8 + 2 + arrayCount * 8;
+}
+
+// The parser itself holds no state: parse() returns a self-contained animation document that
+// owns copies of every region of the file, and repack() rebuilds a file from such a document alone.
+//
+// Every problem found is recorded as { severity, field, offset, message } in doc.diagnostics.
+// By default any error throws a ParseError carrying the full list; with { lenient: true } the
+// frames that can be read are loaded and only a missing or unreadable header throws.
+export class AnimationParser {
+    async parse(arrayBuffer, { lenient = false } = {}) {
+        const issues = [];
+        const report = (severity, field, offset, message) => {
+            issues.push({ severity, field, offset, message });
+        };
+        const fail = () => new ParseError(issues);
 
-    async parse(arrayBuffer) {
         try {
-            this.originalFileBuffer = arrayBuffer;
             const dataView = new DataView(arrayBuffer);
+            const byteLength = arrayBuffer.byteLength;
             
             // 1. Find header
-            this.headerStart = -1;
-            for(let i = 0; i < arrayBuffer.byteLength - 8; i++) {
-                if (dataView.getBigUint64(i, true) === this.EXPECTED_HEADER) {
-                    this.headerStart = i;
+            let headerStart = -1;
+            for(let i = 0; i + 8 <= byteLength; i++) {
+                if (dataView.getBigUint64(i, true) === EXPECTED_HEADER) {
+                    headerStart = i;
                     break;
                 }
             }
             
-            if (this.headerStart === -1 && dataView.getBigUint64(0, true) === this.EXPECTED_HEADER) {
-                this.headerStart = 0;
-            }
-            
-            if (this.headerStart === -1) {
-                throw new Error('Invalid file signature');
+            if (headerStart === -1) {
+                report('error', 'magic', null, `signature ${EXPECTED_HEADER} not found in ${byteLength} bytes`);
+                throw fail();
             }
 
-            let offset = this.headerStart + 8; // Skip magic
+            let offset = headerStart + 8; // Skip magic
+            const need = (field, size) => {
+                if (offset + size > byteLength) {
+                    report('error', field, offset, `needs ${size} byte(s) but only ${Math.max(0, byteLength - offset)} remain`);
+                    throw fail();
+                }
+            };
             
             // 2. Parse header
-            const arrayCount = dataView.getInt16(offset, true); offset += 2;
-            const garbageSize = arrayCount * 8;
-            offset += garbageSize;
+            need('arrayCount', 2);
+            const arrayCount = dataView.getInt16(offset, true);
+            if (arrayCount < 0) {
+                report('error', 'arrayCount', offset, `negative count ${arrayCount}`);
+                throw fail();
+            }
+            offset += 2;
+
+            need('headerArray', arrayCount * 8);
+            const headerArray = decodeHeaderArray(dataView, offset, arrayCount);
+            offset += arrayCount * 8;
             
-            this.origFramesCount = dataView.getInt32(offset, true); offset += 4;
-            this.bonesCount = dataView.getInt32(offset, true); offset += 4;
+            need('framesCount', 4);
+            const framesCountOffset = offset;
+            let framesCount = dataView.getInt32(offset, true); offset += 4;
+            if (framesCount < 0 || framesCount > MAX_FRAMES) {
+                report('error', 'framesCount', framesCountOffset, `implausible frame count ${framesCount}`);
+                if (!lenient) throw fail();
+            }
+
+            need('bonesCount', 4);
+            const bonesCount = dataView.getInt32(offset, true);
+            if (bonesCount < 0 || bonesCount > MAX_BONES) {
+                report('error', 'bonesCount', offset, `implausible bone count ${bonesCount}`);
+                throw fail();
+            }
+            offset += 4;
             
-            this.frameSize = this.bonesCount * 12;
+            const frameSize = bonesCount * 12;
             
-            this.boneIds = [];
-            for (let i = 0; i < this.bonesCount; i++) {
-                this.boneIds.push(dataView.getInt16(offset, true));
+            need('boneIds', bonesCount * 2);
+            const boneIds = [];
+            const seen = new Set();
+            for (let i = 0; i < bonesCount; i++) {
+                const id = dataView.getInt16(offset, true);
+                if (BONE_MAP[id] === undefined) {
+                    report('warning', `boneIds[${i}]`, offset, `bone ID ${id} is not in BONE_MAP`);
+                }
+                if (seen.has(id)) {
+                    report('warning', `boneIds[${i}]`, offset, `bone ID ${id} appears more than once`);
+                }
+                seen.add(id);
+                boneIds.push(id);
                 offset += 2;
             }
             
-            this.headerEnd = offset;
-            this.animationDataStart = this.headerEnd;
-            this.animationDataEnd = this.headerEnd + (this.origFramesCount * this.frameSize);
-            this.originalHeaderBuffer = arrayBuffer.slice(0, this.headerEnd);
+            const headerEnd = offset;
+            const declaredFrames = framesCount;
+            let truncated = false;
+
+            // Frame data must fit in what is left of the buffer
+            if (framesCount < 0) framesCount = 0; // Already reported, lenient mode only
+            const available = frameSize > 0 ? Math.floor((byteLength - headerEnd) / frameSize) : framesCount;
+            if (framesCount > available) {
+                report('error', 'frames', headerEnd, `${framesCount} frame(s) need ${framesCount * frameSize} byte(s) but only ${byteLength - headerEnd} remain (${available} complete frame(s))`);
+                if (!lenient) throw fail();
+                framesCount = available;
+                truncated = true;
+            }
+
+            // A partial trailing frame is not a footer
+            const animationDataEnd = truncated ? byteLength : headerEnd + (framesCount * frameSize);
             
             // 3. Parse animation body
+            let badPositions = 0;
+            let badRotations = 0;
             const frames = [];
-            for (let frameIndex = 0; frameIndex < this.origFramesCount; frameIndex++) {
+            for (let frameIndex = 0; frameIndex < framesCount; frameIndex++) {
                 const frameBones = [];
-                for (let boneIndex = 0; boneIndex < this.bonesCount; boneIndex++) {
+                for (let boneIndex = 0; boneIndex < bonesCount; boneIndex++) {
+                    const boneOffset = offset;
                     const px = dataView.getUint16(offset, true); offset += 2;
                     const py = dataView.getUint16(offset, true); offset += 2;
                     const pz = dataView.getUint16(offset, true); offset += 2;
@@ -169,52 +264,71 @@ class AnimationParser {
                     const v1 = dataView.getUint16(offset, true); offset += 2;
                     const v2 = dataView.getUint16(offset, true); offset += 2;
 
+                    const position = [halfToFloat(px), halfToFloat(py), halfToFloat(pz)];
+                    const rotation = parseCompressedQuaternion(v0, v1, v2);
+
+                    [px, py, pz].forEach((h, axis) => {
+                        if (!isNonFiniteHalf(h)) return;
+                        if (badPositions++ < MAX_VALUE_ISSUES) {
+                            report('warning', `frames[${frameIndex}].bones[${boneIndex}].position[${axis}]`, boneOffset + axis * 2,
+                                `half 0x${h.toString(16)} is ${position[axis]} (bone ${boneIds[boneIndex]})`);
+                        }
+                    });
+                    if (rotation.some(v => !Number.isFinite(v))) {
+                        if (badRotations++ < MAX_VALUE_ISSUES) {
+                            report('warning', `frames[${frameIndex}].bones[${boneIndex}].rotation`, boneOffset + 6,
+                                `quaternion decodes to non-finite values (bone ${boneIds[boneIndex]})`);
+                        }
+                    }
+
                     frameBones.push({
-                        boneId: this.boneIds[boneIndex],
-                        position: [halfToFloat(px), halfToFloat(py), halfToFloat(pz)],
-                        rotation: parseCompressedQuaternion(v0, v1, v2),
+                        boneId: boneIds[boneIndex],
+                        position,
+                        rotation,
                     });
                 }
                 frames.push({ bones: frameBones });
             }
 
-            // Extract trailing data for potential duplication later
-            const trailingData = arrayBuffer.slice(this.animationDataEnd);
+            if (badPositions > MAX_VALUE_ISSUES) {
+                report('warning', 'frames', headerEnd, `${badPositions - MAX_VALUE_ISSUES} more non-finite position value(s) not listed`);
+            }
+            if (badRotations > MAX_VALUE_ISSUES) {
+                report('warning', 'frames', headerEnd, `${badRotations - MAX_VALUE_ISSUES} more non-finite rotation(s) not listed`);
+            }
 
             return {
+                preHeader: arrayBuffer.slice(0, headerStart),  // Bytes before the magic
+                header: arrayBuffer.slice(headerStart, headerEnd), // Magic through the bone table
+                arrayCount,
+                headerArray,
+                boneIds,
+                bonesCount,
+                originalFramesCount: declaredFrames,
                 frames,
-                framesCount: this.origFramesCount,
-                bonesCount: this.bonesCount,
-                boneIds: this.boneIds,
-                originalFileBuffer: this.originalFileBuffer, // Added to support resize calculation
-                trailingData: trailingData                   // Added to support data multiplication
+                framesCount,
+                footer: decodeFooter(arrayBuffer.slice(animationDataEnd), framesCount), // Everything after the frame data
+                diagnostics: issues
             };
         } catch (error) {
-            console.error(error);
-            throw new Error("Failed to parse binary file");
+            if (error instanceof ParseError) throw error;
+            report('error', 'file', null, error.message);
+            throw new ParseError(issues, { cause: error });
         }
     }
 
-    repack(animationData) {
-        if (!animationData || !this.originalFileBuffer) {
+    repack(doc) {
+        if (!doc || !doc.header || !doc.frames) {
             throw new Error("Missing Base File header or Animation Data");
         }
 
-        const framesCount = animationData.framesCount;
-        const bodySize = framesCount * this.frameSize;
-        const origDataView = new DataView(this.originalFileBuffer);
-        
-        const preHeaderSize = this.headerStart; 
-        const headerSize = this.headerEnd - this.headerStart;
+        const framesCount = doc.framesCount;
+        const bonesCount = doc.boneIds.length;
+        const bodySize = framesCount * bonesCount * 12;
         
-        // Calculate footer size based on the new trailingData if it exists (for imported GLTF cases), 
-        // otherwise calculate from original buffer (for simple repack cases)
-        let footerBuffer;
-        if (animationData.trailingData) {
-            footerBuffer = new Uint8Array(animationData.trailingData);
-        } else {
-            footerBuffer = new Uint8Array(this.originalFileBuffer.slice(this.animationDataEnd));
-        }
+        const preHeaderSize = doc.preHeader.byteLength;
+        const headerSize = doc.header.byteLength;
+        const footerBuffer = doc.footer ? encodeFooter(doc.footer) : new Uint8Array(0);
         const footerSize = footerBuffer.byteLength;
         
         const totalSize = preHeaderSize + headerSize + bodySize + footerSize;
@@ -225,29 +339,27 @@ class AnimationParser {
         
         // Copy pre-header
         if (preHeaderSize > 0) {
-            finalBuffer.set(new Uint8Array(this.originalFileBuffer.slice(0, this.headerStart)), writePtr);
+            finalBuffer.set(new Uint8Array(doc.preHeader), writePtr);
             writePtr += preHeaderSize;
         }
         
         // Copy header
-        const headerBytes = new Uint8Array(this.originalFileBuffer.slice(this.headerStart, this.headerEnd));
-        finalBuffer.set(headerBytes, writePtr);
+        finalBuffer.set(new Uint8Array(doc.header), writePtr);
         
-        // Update frame count
-        const arrayCount = origDataView.getInt16(this.headerStart + 8, true);
-        const frameCountOffset = writePtr + 8 + 2 + (arrayCount * 8);
-        finalDv.setInt32(frameCountOffset, framesCount, true);
+        // Write header array and update frame count
+        encodeHeaderArray(finalDv, writePtr + 8 + 2, doc.headerArray);
+        finalDv.setInt32(writePtr + frameCountOffset(doc.arrayCount), framesCount, true);
         
         writePtr += headerSize;
         
         // Write animation body
         for(let f = 0; f < framesCount; f++) {
-            const frame = animationData.frames[f];
+            const frame = doc.frames[f];
             const boneMap = {};
             if(frame.bones) frame.bones.forEach(b => boneMap[b.boneId] = b);
             
-            for(let b = 0; b < this.bonesCount; b++) {
-                const id = this.boneIds[b];
+            for(let b = 0; b < bonesCount; b++) {
+                const id = doc.boneIds[b];
                 const boneData = boneMap[id] || { position: [0,0,0], rotation: [0,0,0,1] };
                 
                 finalDv.setUint16(writePtr, float32ToFloat16(boneData.position[0]), true); writePtr += 2;
@@ -270,4 +382,13 @@ class AnimationParser {
     }
 }
 
+// Replaces a document's frames and keeps the footer in step with the new frame count.
+// mapFrame(newIndex) -> oldIndex or null, when given, tells footer records where each new frame came
+// from (file-schema.js frameCopies).
+export function replaceFrames(doc, frames, mapFrame = null) {
+    doc.footer = resizeFooter(doc.footer, doc.framesCount, frames.length, mapFrame);
+    doc.frames = frames;
+    doc.framesCount = frames.length;
+}
+
 export const animationParser = new AnimationParser();
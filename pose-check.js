@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { gltfHandler } from './gltf-handler.js';
+import { buildBones } from './skeleton.js';
+
+// pose-check.js
+// Checks that a glTF export poses its bones exactly as the viewer does: the viewer pose is
+// built from skeleton.js with each frame's local transforms applied, the export pose is the
+// exported file loaded back and played through an AnimationMixer. Both are compared in world
+// space, in the rest pose and on every frame, along with the skinned mesh's bind matrices.
+
+// Largest differences counted as a match; the export stores float32
+export const POSITION_TOLERANCE = 1e-3;
+export const ANGLE_TOLERANCE = 0.01;
+
+// From the relative rotation's vector part; Quaternion.angleTo's acos of a dot product near 1
+// loses most of the precision at the small angles this is looking for
+function angleBetween(a, b) {
+    const d = a.clone().invert().multiply(b);
+    return THREE.MathUtils.radToDeg(2 * Math.atan2(Math.hypot(d.x, d.y, d.z), Math.abs(d.w)));
+}
+
+function worldTransforms(objects) {
+    return objects.map(obj => {
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        obj.matrixWorld.decompose(position, rotation, new THREE.Vector3());
+        return { position, rotation };
+    });
+}
+
+// Running maximum of position and angle deltas, remembering where each occurred
+function createTally() {
+    return { maxPos: 0, posBone: null, posFrame: null, maxAngle: 0, angleBone: null, angleFrame: null };
+}
+
+function tallyPose(tally, names, expected, actual, frame) {
+    expected.forEach((e, i) => {
+        const distance = e.position.distanceTo(actual[i].position);
+        const angle = angleBetween(e.rotation, actual[i].rotation);
+        if (distance > tally.maxPos) Object.assign(tally, { maxPos: distance, posBone: names[i], posFrame: frame });
+        if (angle > tally.maxAngle) Object.assign(tally, { maxAngle: angle, angleBone: names[i], angleFrame: frame });
+    });
+}
+
+// nodes: skeleton nodes from skeletonForBones(). Returns
+// { bones, frames, missing: [name], rest, bind, animated, ok } where rest and animated are
+// tallies of world-space deltas and bind is the largest error of boneInverse * boneWorld
+// against the identity.
+export async function checkExportPose(doc, nodes, { fps = 30 } = {}) {
+    const exported = await gltfHandler.exportGLTF(doc, fps, { binary: true, skeleton: nodes });
+    const gltf = await gltfHandler.loadGLTF(exported.buffer.slice(exported.byteOffset, exported.byteOffset + exported.byteLength));
+    const scene = gltf.scene;
+    scene.updateMatrixWorld(true);
+
+    const { roots, bones } = buildBones(nodes);
+    const names = nodes.map(node => node.name);
+    const loaded = names.map(name => scene.getObjectByName(name));
+    const missing = names.filter((_, i) => !loaded[i]);
+    const present = names.map((_, i) => i).filter(i => loaded[i]);
+    const pick = (list) => present.map(i => list[i]);
+    const presentNames = pick(names);
+
+    const rest = createTally();
+    tallyPose(rest, presentNames, worldTransforms(pick(bones)), worldTransforms(pick(loaded)), null);
+
+    // The mesh is bound in the rest pose, so each inverse undoes its bone's rest transform
+    let bind = 0;
+    scene.traverse(obj => {
+        if (!obj.isSkinnedMesh) return;
+        obj.skeleton.bones.forEach((bone, i) => {
+            const product = new THREE.Matrix4().multiplyMatrices(obj.skeleton.boneInverses[i], bone.matrixWorld);
+            const identity = new THREE.Matrix4().elements;
+            product.elements.forEach((v, k) => { bind = Math.max(bind, Math.abs(v - identity[k])); });
+        });
+    });
+
+    // Sampled at the stored key times, so no two frames are blended
+    const clip = gltf.animations[0];
+    const keyTimes = clip.tracks[0].times;
+    const mixer = new THREE.AnimationMixer(scene);
+    // Played once and held, or the last key would wrap around to the first
+    mixer.clipAction(clip).setLoop(THREE.LoopOnce, 1).play().clampWhenFinished = true;
+    const indexById = new Map(nodes.map((node, i) => [node.boneId, i]).filter(([id]) => id !== undefined));
+    const animated = createTally();
+
+    doc.frames.forEach((frame, f) => {
+        frame.bones.forEach(b => {
+            const bone = bones[indexById.get(b.boneId)];
+            if (!bone) return;
+            bone.position.fromArray(b.position);
+            bone.quaternion.fromArray(b.rotation).normalize();
+        });
+        roots.forEach(root => root.updateMatrixWorld(true));
+
+        mixer.setTime(keyTimes[f]);
+        scene.updateMatrixWorld(true);
+        tallyPose(animated, presentNames, worldTransforms(pick(bones)), worldTransforms(pick(loaded)), f);
+    });
+
+    const within = (tally) => tally.maxPos <= POSITION_TOLERANCE && tally.maxAngle <= ANGLE_TOLERANCE;
+    return {
+        bones: nodes.length,
+        frames: doc.frames.length,
+        missing,
+        rest,
+        bind,
+        animated,
+        ok: missing.length === 0 && within(rest) && within(animated) && bind <= POSITION_TOLERANCE
+    };
+}
+
+export function formatPoseCheck(result) {
+    const where = (bone, frame) => (bone === null ? '' : ` (${bone}${frame === null ? '' : `, frame ${frame}`})`);
+    const tallyLines = (label, t) => [
+        `${label} position: ${t.maxPos.toFixed(6)}${where(t.posBone, t.posFrame)}`,
+        `${label} rotation: ${t.maxAngle.toFixed(5)}°${where(t.angleBone, t.angleFrame)}`
+    ];
+    const lines = [`${result.bones} bones, ${result.frames} frames: ${result.ok ? 'match' : 'MISMATCH'}`];
+    if (result.missing.length > 0) lines.push(`Missing from export: ${result.missing.join(', ')}`);
+    lines.push(...tallyLines('Rest', result.rest));
+    lines.push(`Bind matrices: ${result.bind.toExponential(2)} from identity`);
+    lines.push(...tallyLines('Animated', result.animated));
+    return lines;
+}
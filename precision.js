@@ -0,0 +1,122 @@
+import { BONE_MAP } from './constants.js';
+import { quantizeBone, formatIssue } from './parser.js';
+
+// precision.js
+// What compiling loses. repack() stores positions as float16 and rotations as 15-bit
+// smallest-three quaternions; this replays that round trip on a document and measures it.
+
+const HALF_MAX = 65504;
+// Non-zero magnitudes below this flush to 0 in float16
+const HALF_MIN = Math.pow(2, -24);
+// Same cap as the parser's value checks, so one broken track cannot flood the report
+const MAX_ISSUES = 20;
+
+export function quantizeFrame(frame) {
+    return {
+        ...frame,
+        bones: frame.bones.map(b => ({ boneId: b.boneId, ...quantizeBone(b.position, b.rotation) }))
+    };
+}
+
+// { bones: [{ boneId, name, samples, maxPos, meanPos, maxAngle, meanAngle, flushed }], issues }
+// Position errors are in file units, angles in degrees. Values that cannot be stored at all
+// (NaN, Infinity, float16 overflow) become issues in the parser's diagnostic format instead.
+export function precisionReport(doc) {
+    const stats = new Map();
+    const issues = [];
+    let suppressed = 0;
+    const report = (severity, field, message) => {
+        if (issues.length < MAX_ISSUES) issues.push({ severity, field, offset: null, message });
+        else suppressed++;
+    };
+
+    doc.frames.forEach((frame, f) => {
+        frame.bones.forEach(bone => {
+            const name = BONE_MAP[bone.boneId] || `bone ${bone.boneId}`;
+            if (!stats.has(bone.boneId)) {
+                stats.set(bone.boneId, {
+                    boneId: bone.boneId, name, samples: 0,
+                    maxPos: 0, sumPos: 0, maxAngle: 0, sumAngle: 0, flushed: 0
+                });
+            }
+            const st = stats.get(bone.boneId);
+            const stored = quantizeBone(bone.position, bone.rotation);
+            st.samples++;
+
+            let posError = 0;
+            bone.position.forEach((v, k) => {
+                const field = `frames[${f}].${name}.position.${'xyz'[k]}`;
+                if (!Number.isFinite(v)) {
+                    report('error', field, `${v} cannot be stored`);
+                } else if (Math.abs(v) > HALF_MAX) {
+                    report('error', field, `${v} overflows float16 (max ±${HALF_MAX}), stored as ${stored.position[k]}`);
+                } else {
+                    if (v !== 0 && Math.abs(v) < HALF_MIN) st.flushed++;
+                    posError = Math.max(posError, Math.abs(v - stored.position[k]));
+                }
+            });
+            st.maxPos = Math.max(st.maxPos, posError);
+            st.sumPos += posError;
+
+            const [x, y, z, w] = bone.rotation;
+            const length = Math.hypot(x, y, z, w);
+            const field = `frames[${f}].${name}.rotation`;
+            if (!Number.isFinite(length) || length === 0) {
+                report('error', field, `(${bone.rotation.join(', ')}) is not a rotation, stored as (${stored.rotation.map(v => v.toFixed(4)).join(', ')})`);
+                return;
+            }
+            if (Math.abs(length - 1) > 1e-3) {
+                report('warning', field, `length ${length.toFixed(4)} is not 1, normalised on compile`);
+            }
+            const dot = Math.abs(x * stored.rotation[0] + y * stored.rotation[1] + z * stored.rotation[2] + w * stored.rotation[3]) / length;
+            const angle = 2 * Math.acos(Math.min(1, dot)) * 180 / Math.PI;
+            st.maxAngle = Math.max(st.maxAngle, angle);
+            st.sumAngle += angle;
+        });
+    });
+
+    if (suppressed > 0) {
+        issues.push({ severity: 'warning', field: 'report', offset: null, message: `${suppressed} more value problem(s) not listed` });
+    }
+
+    const bones = [...stats.values()]
+        .sort((a, b) => a.boneId - b.boneId)
+        .map(st => ({
+            boneId: st.boneId,
+            name: st.name,
+            samples: st.samples,
+            maxPos: st.maxPos,
+            meanPos: st.sumPos / st.samples,
+            maxAngle: st.maxAngle,
+            meanAngle: st.sumAngle / st.samples,
+            flushed: st.flushed
+        }));
+
+    return { bones, issues };
+}
+
+export function formatPrecisionReport(report) {
+    const lines = [];
+    const worstPos = report.bones.reduce((a, b) => (b.maxPos > (a ? a.maxPos : -1) ? b : a), null);
+    const worstAngle = report.bones.reduce((a, b) => (b.maxAngle > (a ? a.maxAngle : -1) ? b : a), null);
+    if (worstPos) lines.push(`Worst position error: ${worstPos.maxPos.toFixed(5)} (${worstPos.name})`);
+    if (worstAngle) lines.push(`Worst angular error:  ${worstAngle.maxAngle.toFixed(4)}° (${worstAngle.name})`);
+    lines.push('');
+    lines.push('ID  Bone                    max pos    mean pos   max °     mean °');
+    report.bones.forEach(b => {
+        lines.push([
+            String(b.boneId).padEnd(3),
+            b.name.padEnd(22),
+            b.maxPos.toFixed(5).padStart(9),
+            b.meanPos.toFixed(5).padStart(10),
+            b.maxAngle.toFixed(4).padStart(8),
+            b.meanAngle.toFixed(4).padStart(9),
+            b.flushed > 0 ? `  ${b.flushed} flushed to 0` : ''
+        ].join(' '));
+    });
+    if (report.issues.length > 0) {
+        lines.push('');
+        report.issues.forEach(issue => lines.push(formatIssue(issue)));
+    }
+    return lines;
+}
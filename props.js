@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { NAME_TO_ID } from './constants.js';
+
+// props.js
+// Weapons and other props held by the weapon bones. A prop config is plain JSON, saved with a
+// project so its props come back with it:
+//   {
+//     "name": "Ken props",
+//     "props": [{
+//       "name": "Staff",
+//       "socket": "weapons_r",              // weapon bone the prop hangs from (BONE_MAP name)
+//       "shape": "staff",                   // blade, staff, box, or model
+//       "length": 120, "width": 4,          // primitive size; the prop runs along its +Y
+//       "color": "#c0c8d0",
+//       "model": null,                      // glTF file name for shape "model"
+//       "offset": { "position": [0, 0, 0], "rotation": [0, 0, 0], "scale": 1 }  // rotation in degrees (XYZ)
+//     }]
+//   }
+
+export const PROP_SOCKETS = ['weapons_r', 'weapon_l', 'weapon_r_extra', 'weapon_l_extra'];
+export const PROP_SHAPES = ['blade', 'staff', 'box', 'model'];
+
+export function createProp(fields = {}) {
+    return {
+        name: 'Prop',
+        socket: 'weapons_r',
+        shape: 'blade',
+        length: 80,
+        width: 6,
+        color: '#c0c8d0',
+        model: null,
+        ...fields,
+        offset: { position: [0, 0, 0], rotation: [0, 0, 0], scale: 1, ...(fields.offset || {}) }
+    };
+}
+
+function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+export function parsePropConfig(text) {
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Prop config is not valid JSON: ' + err.message);
+    }
+    if (!config || !Array.isArray(config.props)) throw new Error('Prop config needs a "props" array');
+
+    const props = config.props.map((fields, i) => {
+        const where = `props[${i}]`;
+        const prop = createProp(fields);
+        if (NAME_TO_ID[prop.socket] === undefined) throw new Error(`${where}: "${prop.socket}" is not an SF3 bone`);
+        if (!PROP_SHAPES.includes(prop.shape)) throw new Error(`${where}: shape must be one of ${PROP_SHAPES.join(', ')}`);
+        if (prop.shape === 'model' && !prop.model) throw new Error(`${where}: shape "model" needs a "model" file name`);
+        if (!(prop.length > 0) || !(prop.width > 0)) throw new Error(`${where}: "length" and "width" must be positive`);
+        if (!isVector(prop.offset.position, 3)) throw new Error(`${where}: offset "position" must be 3 numbers`);
+        if (!isVector(prop.offset.rotation, 3)) throw new Error(`${where}: offset "rotation" must be 3 numbers`);
+        if (!(prop.offset.scale > 0)) throw new Error(`${where}: offset "scale" must be positive`);
+        return prop;
+    });
+
+    return { name: config.name || 'Props', props };
+}
+
+export function serializePropConfig(name, props) {
+    return JSON.stringify({ name, props }, null, 2);
+}
+
+// --- Scene objects ---
+
+// The prop's shape, base at the origin and running along +Y
+function primitive(prop) {
+    const { length, width } = prop;
+    let geometry;
+    if (prop.shape === 'staff') geometry = new THREE.CylinderGeometry(width / 2, width / 2, length, 12);
+    else if (prop.shape === 'blade') geometry = new THREE.BoxGeometry(width, length, width / 5);
+    else geometry = new THREE.BoxGeometry(width, length, width);
+    geometry.translate(0, length / 2, 0);
+    return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: prop.color, metalness: 0.3, roughness: 0.5 }));
+}
+
+// Object to parent under the socket bone: the offset transform around the shape, or around a
+// clone of model (a loaded glTF scene) for shape "model". A model that is not loaded shows as a
+// box of the prop's size.
+export function buildPropObject(prop, model = null) {
+    const holder = new THREE.Group();
+    holder.name = `prop:${prop.name}`;
+    const { position, rotation, scale } = prop.offset;
+    holder.position.fromArray(position);
+    holder.rotation.set(...rotation.map(THREE.MathUtils.degToRad), 'XYZ');
+    holder.scale.setScalar(scale);
+
+    if (prop.shape === 'model' && model) {
+        const clone = model.clone(true);
+        clone.traverse(obj => { if (obj.isMesh) obj.userData.shared = true; });
+        holder.add(clone);
+    } else {
+        holder.add(primitive(prop.shape === 'model' ? { ...prop, shape: 'box' } : prop));
+    }
+    return holder;
+}
+
+export function disposePropObject(holder) {
+    holder.traverse(obj => {
+        // Clones share the loaded model's geometry and materials, which stay loaded
+        if (!obj.isMesh || obj.userData.shared) return;
+        obj.geometry.dispose();
+        obj.material.dispose();
+    });
+}
@@ -0,0 +1,299 @@
+import * as THREE from 'three';
+import { NAME_TO_ID } from './constants.js';
+import { skeletonForBones } from './skeleton.js';
+
+// retarget.js
+// Bone-name mapping profiles for foreign rigs and the rotation retargeting that carries their
+// motion onto the SF3 rest pose.
+//
+// A profile is plain JSON:
+//   {
+//     "name": "Mixamo",
+//     "stripPrefix": "^mixamorig\\d*",  // optional regex removed from normalized source names
+//     "retarget": true,                 // false copies local transforms under the new names
+//     "yaw": 0,                         // degrees about +Y applied to the source rig
+//     "map": { "Hips": "pelvis", ... }  // foreign name -> BONE_MAP name
+//   }
+// Names are compared normalized (lowercase, letters and digits only) because GLTFLoader strips
+// characters such as ":" and "." from node names.
+
+export function normalizeBoneName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Expands "{S}" placeholders into the given left/right tokens, mapped to _l/_r bones
+function sided(entries, left, right) {
+    const map = {};
+    Object.entries(entries).forEach(([source, target]) => {
+        if (!source.includes('{S}')) {
+            map[source] = target;
+            return;
+        }
+        map[source.replace('{S}', left)] = `${target}_l`;
+        map[source.replace('{S}', right)] = `${target}_r`;
+    });
+    return map;
+}
+
+export const BUILTIN_PROFILES = [
+    {
+        id: 'sf3',
+        name: 'SF3 (exact names)',
+        retarget: false,
+        yaw: 0,
+        map: null
+    },
+    {
+        id: 'mixamo',
+        name: 'Mixamo',
+        stripPrefix: '^mixamorig\\d*',
+        retarget: true,
+        yaw: 0,
+        map: sided({
+            'Hips': 'pelvis', 'Spine': 'stomach', 'Spine2': 'chest', 'Neck': 'neck', 'Head': 'head',
+            '{S}Shoulder': 'clavicle', '{S}Arm': 'arm', '{S}ForeArm': 'forearm', '{S}Hand': 'hand',
+            '{S}HandThumb1': 'f_big1', '{S}HandThumb2': 'f_big2', '{S}HandThumb3': 'f_big3',
+            '{S}HandIndex1': 'f_pointer1', '{S}HandIndex2': 'f_pointer2', '{S}HandIndex3': 'f_pointer3',
+            '{S}HandMiddle1': 'f_main1', '{S}HandMiddle2': 'f_main2', '{S}HandMiddle3': 'f_main3',
+            '{S}UpLeg': 'thigh', '{S}Leg': 'calf', '{S}Foot': 'foot', '{S}ToeBase': 'toe'
+        }, 'Left', 'Right')
+    },
+    {
+        id: 'vroid',
+        name: 'VRM (VRoid)',
+        retarget: true,
+        yaw: 0,
+        map: sided({
+            'J_Bip_C_Hips': 'pelvis', 'J_Bip_C_Spine': 'stomach', 'J_Bip_C_Chest': 'chest',
+            'J_Bip_C_Neck': 'neck', 'J_Bip_C_Head': 'head',
+            'J_Bip_{S}_Shoulder': 'clavicle', 'J_Bip_{S}_UpperArm': 'arm', 'J_Bip_{S}_LowerArm': 'forearm', 'J_Bip_{S}_Hand': 'hand',
+            'J_Bip_{S}_Thumb1': 'f_big1', 'J_Bip_{S}_Thumb2': 'f_big2', 'J_Bip_{S}_Thumb3': 'f_big3',
+            'J_Bip_{S}_Index1': 'f_pointer1', 'J_Bip_{S}_Index2': 'f_pointer2', 'J_Bip_{S}_Index3': 'f_pointer3',
+            'J_Bip_{S}_Middle1': 'f_main1', 'J_Bip_{S}_Middle2': 'f_main2', 'J_Bip_{S}_Middle3': 'f_main3',
+            'J_Bip_{S}_UpperLeg': 'thigh', 'J_Bip_{S}_LowerLeg': 'calf', 'J_Bip_{S}_Foot': 'foot', 'J_Bip_{S}_ToeBase': 'toe'
+        }, 'L', 'R')
+    },
+    {
+        id: 'vrm-humanoid',
+        name: 'VRM humanoid bone names',
+        retarget: true,
+        yaw: 0,
+        map: sided({
+            'hips': 'pelvis', 'spine': 'stomach', 'chest': 'chest', 'neck': 'neck', 'head': 'head',
+            '{S}Shoulder': 'clavicle', '{S}UpperArm': 'arm', '{S}LowerArm': 'forearm', '{S}Hand': 'hand',
+            '{S}ThumbProximal': 'f_big1', '{S}ThumbIntermediate': 'f_big2', '{S}ThumbDistal': 'f_big3',
+            '{S}IndexProximal': 'f_pointer1', '{S}IndexIntermediate': 'f_pointer2', '{S}IndexDistal': 'f_pointer3',
+            '{S}MiddleProximal': 'f_main1', '{S}MiddleIntermediate': 'f_main2', '{S}MiddleDistal': 'f_main3',
+            '{S}UpperLeg': 'thigh', '{S}LowerLeg': 'calf', '{S}Foot': 'foot', '{S}Toes': 'toe'
+        }, 'left', 'right')
+    },
+    {
+        id: 'rigify',
+        name: 'Blender Rigify (DEF bones)',
+        retarget: true,
+        yaw: 0,
+        map: sided({
+            'DEF-spine': 'pelvis', 'DEF-spine.001': 'stomach', 'DEF-spine.003': 'chest',
+            'DEF-spine.004': 'neck', 'DEF-spine.006': 'head',
+            'DEF-shoulder.{S}': 'clavicle', 'DEF-upper_arm.{S}': 'arm', 'DEF-upper_arm.{S}.001': 'biceps_twist',
+            'DEF-forearm.{S}': 'forearm', 'DEF-forearm.{S}.001': 'forearm_twist', 'DEF-hand.{S}': 'hand',
+            'DEF-thumb.01.{S}': 'f_big1', 'DEF-thumb.02.{S}': 'f_big2', 'DEF-thumb.03.{S}': 'f_big3',
+            'DEF-f_index.01.{S}': 'f_pointer1', 'DEF-f_index.02.{S}': 'f_pointer2', 'DEF-f_index.03.{S}': 'f_pointer3',
+            'DEF-f_middle.01.{S}': 'f_main1', 'DEF-f_middle.02.{S}': 'f_main2', 'DEF-f_middle.03.{S}': 'f_main3',
+            'DEF-thigh.{S}': 'thigh', 'DEF-thigh.{S}.001': 'thigh_twist', 'DEF-shin.{S}': 'calf',
+            'DEF-foot.{S}': 'foot', 'DEF-toe.{S}': 'toe'
+        }, 'L', 'R')
+    }
+];
+
+export function findBuiltinProfile(id) {
+    return BUILTIN_PROFILES.find(p => p.id === id) || null;
+}
+
+// Checks a profile loaded from JSON and fills in defaults
+export function parseProfile(text) {
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Mapping profile is not valid JSON: ' + err.message);
+    }
+    if (!profile || typeof profile !== 'object') throw new Error('Mapping profile must be an object');
+
+    if (profile.map !== null && profile.map !== undefined) {
+        if (typeof profile.map !== 'object') throw new Error('"map" must be an object of sourceName: boneName');
+        Object.entries(profile.map).forEach(([source, target]) => {
+            if (NAME_TO_ID[target] === undefined) {
+                throw new Error(`"${source}" maps to "${target}", which is not an SF3 bone`);
+            }
+        });
+    }
+    if (profile.stripPrefix) new RegExp(profile.stripPrefix);
+
+    return {
+        name: profile.name || 'Custom',
+        stripPrefix: profile.stripPrefix || '',
+        retarget: profile.retarget !== false,
+        yaw: Number(profile.yaw) || 0,
+        map: profile.map || null
+    };
+}
+
+export function serializeProfile(profile) {
+    const { id, ...rest } = profile;
+    return JSON.stringify(rest, null, 2);
+}
+
+// Matches objects in the source scene to SF3 bone names. Returns Map<sf3Name, Object3D>.
+export function resolveMapping(root, profile) {
+    const strip = profile.stripPrefix ? new RegExp(profile.stripPrefix) : null;
+    const lookup = new Map();
+    if (profile.map) {
+        Object.entries(profile.map).forEach(([source, target]) => {
+            const key = normalizeBoneName(source);
+            lookup.set(strip ? key.replace(strip, '') : key, target);
+        });
+    }
+
+    const mapping = new Map();
+    root.traverse(obj => {
+        if (!obj.name) return;
+        let target;
+        if (profile.map) {
+            let key = normalizeBoneName(obj.name);
+            if (strip) key = key.replace(strip, '');
+            target = lookup.get(key);
+        } else if (NAME_TO_ID[obj.name] !== undefined) {
+            target = obj.name;
+        }
+        if (target && !mapping.has(target)) mapping.set(target, obj);
+    });
+
+    return mapping;
+}
+
+// Carries world-space rotations from a source rig onto the SF3 rest skeleton.
+//
+// For each mapped bone, the source's rotation since its rest pose is applied on top of the SF3
+// rest orientation, after a fixed correction that turns the SF3 bone to point where the source
+// bone points at rest (so a T-posed source still lands correctly on the SF3 stance). Unmapped
+// SF3 bones keep their rest local rotation. The pelvis also takes the source hips' translation,
+// scaled by the ratio of hip heights. targets: the skeleton nodes to solve onto (the active
+// skeleton; skeletonForBones()).
+export class Retargeter {
+    constructor(root, mapping, profile, targets = skeletonForBones([]).nodes) {
+        this.mapping = mapping;
+        this.targets = targets;
+        this.yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(profile.yaw || 0));
+
+        root.updateMatrixWorld(true);
+
+        // Rest pose of the source, in yaw-adjusted world space
+        this.sourceRest = new Map();
+        mapping.forEach((obj, name) => {
+            this.sourceRest.set(name, {
+                pos: obj.getWorldPosition(new THREE.Vector3()).applyQuaternion(this.yaw),
+                rot: this.yaw.clone().multiply(obj.getWorldQuaternion(new THREE.Quaternion()))
+            });
+        });
+
+        // offsets[i] = sourceRest⁻¹ · align · targetRest, so that world(t) = source(t) · offset
+        this.offsets = this.targets.map(node => {
+            const rest = this.sourceRest.get(node.name);
+            if (!rest) return null;
+
+            const align = new THREE.Quaternion();
+            const child = this.primaryChild(node);
+            if (child) {
+                const targetDir = child.globalPos.clone().sub(node.globalPos);
+                const sourceDir = this.sourceRest.get(child.name).pos.clone().sub(rest.pos);
+                if (targetDir.lengthSq() > 1e-8 && sourceDir.lengthSq() > 1e-8) {
+                    align.setFromUnitVectors(targetDir.normalize(), sourceDir.normalize());
+                }
+            }
+
+            return rest.rot.clone().invert().multiply(align).multiply(node.globalRot);
+        });
+
+        const hips = this.sourceRest.get(this.targets[0].name);
+        const targetHeight = this.targets[0].globalPos.y;
+        this.scale = hips && Math.abs(hips.pos.y) > 1e-6 && Math.abs(targetHeight) > 1e-6
+            ? targetHeight / hips.pos.y
+            : 1;
+    }
+
+    // The mapped descendant with the largest mapped subtree, used to define a bone's direction
+    primaryChild(node) {
+        const index = this.targets.indexOf(node);
+        let best = null;
+        let bestSize = 0;
+
+        this.targets.forEach(candidate => {
+            if (candidate.parent !== index) return;
+            const found = this.sourceRest.has(candidate.name) ? candidate : this.firstMappedDescendant(candidate);
+            if (!found) return;
+            const size = this.subtreeSize(this.targets.indexOf(candidate));
+            if (size > bestSize) {
+                best = found;
+                bestSize = size;
+            }
+        });
+
+        return best;
+    }
+
+    firstMappedDescendant(node) {
+        const index = this.targets.indexOf(node);
+        for (const child of this.targets) {
+            if (child.parent !== index) continue;
+            if (this.sourceRest.has(child.name)) return child;
+            const deeper = this.firstMappedDescendant(child);
+            if (deeper) return deeper;
+        }
+        return null;
+    }
+
+    subtreeSize(index) {
+        return this.targets.reduce((sum, n, i) => sum + (n.parent === index ? this.subtreeSize(i) : 0), 1);
+    }
+
+    // Reads the source rig's current (animated) pose and returns SF3 frame bones
+    sample(root) {
+        root.updateMatrixWorld(true);
+
+        const worldRots = [];
+        const bones = [];
+
+        this.targets.forEach((node, i) => {
+            const source = this.mapping.get(node.name);
+            let world;
+            if (source && this.offsets[i]) {
+                world = this.yaw.clone()
+                    .multiply(source.getWorldQuaternion(new THREE.Quaternion()))
+                    .multiply(this.offsets[i]);
+            } else if (node.parent === -1) {
+                world = node.globalRot.clone();
+            } else {
+                world = worldRots[node.parent].clone().multiply(node.localRot);
+            }
+            worldRots.push(world);
+
+            const local = node.parent === -1 ? world.clone() : worldRots[node.parent].clone().invert().multiply(world);
+
+            let position = node.localPos;
+            if (node.parent === -1 && source) {
+                const now = source.getWorldPosition(new THREE.Vector3()).applyQuaternion(this.yaw);
+                position = now.sub(this.sourceRest.get(node.name).pos).multiplyScalar(this.scale).add(node.globalPos);
+            }
+
+            if (node.boneId === undefined) return;
+            bones.push({
+                boneId: node.boneId,
+                position: [position.x, position.y, position.z],
+                rotation: [local.x, local.y, local.z, local.w]
+            });
+        });
+
+        return bones;
+    }
+}
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import { NAME_TO_ID } from './constants.js';
+import { skeletonForBones, buildBones } from './skeleton.js';
+
+// root-motion.js
+// Horizontal root motion. The character's travel lives in the pelvis position (X and Z, Y up,
+// in the pelvis's parent space, which is the world for the built-in skeleton). Extracting it
+// pins the pelvis to where it stands on frame 0 and keeps the travel per frame as
+// `frame.root = [x, z]`, an offset that travels with the frame through range edits and undo.
+// Baking adds the offsets back into the pelvis.
+//
+// Compile and export pick how the motion comes out:
+//   pelvis    baked into the pelvis, as the game files carry it
+//   in-place  dropped, the pelvis stays put
+//   separate  glTF gets it on its own root node above the pelvis; .bytes has no track for it,
+//             so it is baked into the pelvis there
+
+export const ROOT_MOTION_MODES = [
+    { id: 'pelvis', name: 'In the pelvis' },
+    { id: 'in-place', name: 'In place' },
+    { id: 'separate', name: 'Separate root curve (glTF)' }
+];
+
+const PELVIS_ID = NAME_TO_ID.pelvis;
+
+export function hasRootMotion(frames) {
+    return frames.some(frame => frame.root);
+}
+
+function pelvisOf(frame) {
+    return frame.bones.find(b => b.boneId === PELVIS_ID);
+}
+
+function withoutRoot(frame, bones = frame.bones) {
+    const { root, ...rest } = frame;
+    return { ...rest, bones };
+}
+
+// Frames with the pelvis pinned and every frame's travel in frame.root (added to any it
+// already had). Returns { frames, distance } with the length of the path travelled.
+export function extractRootMotion(frames) {
+    const first = frames.length > 0 ? pelvisOf(frames[0]) : null;
+    if (!first) throw new Error('The clip has no pelvis bone to take root motion from');
+    const [x0, , z0] = first.position;
+
+    let distance = 0;
+    let previous = null;
+    const out = frames.map(frame => {
+        const pelvis = pelvisOf(frame);
+        const [rx, rz] = frame.root || [0, 0];
+        const root = pelvis ? [rx + pelvis.position[0] - x0, rz + pelvis.position[2] - z0] : [rx, rz];
+        if (previous) distance += Math.hypot(root[0] - previous[0], root[1] - previous[1]);
+        previous = root;
+
+        const bones = frame.bones.map(b => {
+            if (b !== pelvis) return b;
+            return { ...b, position: [x0, b.position[1], z0] };
+        });
+        return { ...frame, bones, root };
+    });
+    return { frames: out, distance };
+}
+
+// Frames with each frame.root added into the pelvis and removed
+export function bakeRootMotion(frames) {
+    return frames.map(frame => {
+        if (!frame.root) return frame;
+        const [rx, rz] = frame.root;
+        const bones = frame.bones.map(b => {
+            if (b.boneId !== PELVIS_ID) return b;
+            return { ...b, position: [b.position[0] + rx, b.position[1], b.position[2] + rz] };
+        });
+        return withoutRoot(frame, bones);
+    });
+}
+
+// The document as compile and export should see it for a mode. Returns { doc, trajectory }
+// where trajectory is [[x, z]] per frame for "separate" glTF output, otherwise null. Clips
+// without a pelvis come out as they are. format: 'gltf' or 'bytes'
+export function rootMotionDocument(doc, mode, format = 'gltf') {
+    if (!ROOT_MOTION_MODES.some(m => m.id === mode)) throw new Error(`Unknown root motion mode "${mode}"`);
+    const separate = mode === 'separate' && format === 'gltf';
+    if ((mode === 'in-place' || separate) && doc.frames.length > 0 && pelvisOf(doc.frames[0])) {
+        const extracted = extractRootMotion(doc.frames).frames;
+        return {
+            doc: { ...doc, frames: extracted.map(frame => withoutRoot(frame)) },
+            trajectory: separate ? extracted.map(frame => frame.root) : null
+        };
+    }
+    return { doc: { ...doc, frames: bakeRootMotion(doc.frames) }, trajectory: null };
+}
+
+// --- Trajectories ---
+
+// World positions of the named bones on every frame, as the frames pose them (a stored root
+// offset is not added). Returns Map<name, THREE.Vector3[]> for the names the skeleton has.
+export function boneTrajectories(frames, names, nodes = skeletonForBones([]).nodes) {
+    const { roots, bones } = buildBones(nodes);
+    const indexById = new Map();
+    nodes.forEach((node, i) => { if (node.boneId !== undefined) indexById.set(node.boneId, i); });
+    const tracked = names.map(name => [name, nodes.findIndex(node => node.name === name)]).filter(([, i]) => i !== -1);
+    const paths = new Map(tracked.map(([name]) => [name, []]));
+
+    frames.forEach(frame => {
+        frame.bones.forEach(b => {
+            const bone = bones[indexById.get(b.boneId)];
+            if (!bone) return;
+            bone.position.fromArray(b.position);
+            bone.quaternion.fromArray(b.rotation).normalize();
+        });
+        roots.forEach(root => root.updateMatrixWorld(true));
+        tracked.forEach(([name, i]) => paths.get(name).push(bones[i].getWorldPosition(new THREE.Vector3())));
+    });
+    return paths;
+}
+
+// The stored root curve on the ground, starting under frame 0's pelvis
+export function rootCurve(frames) {
+    const first = frames.length > 0 ? pelvisOf(frames[0]) : null;
+    if (!first || !hasRootMotion(frames)) return [];
+    const [x0, , z0] = first.position;
+    return frames.map(frame => {
+        const [rx, rz] = frame.root || [0, 0];
+        return new THREE.Vector3(x0 + rx, 0, z0 + rz);
+    });
+}
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { resolveMapping } from './retarget.js';
+
+// skeleton-extract.js
+// Reads the rest skeleton of a skinned glTF rig as a skeleton definition (see skeleton.js).
+// Global transforms come from the skins' inverse bind matrices, the pose the mesh was bound in,
+// so a rig saved in a posed state still yields its rest pose. Joints no skin references fall
+// back to their current world transform.
+
+// Bind-time world matrix of every skin joint, keyed by the joint object
+export function bindMatrices(scene) {
+    const matrices = new Map();
+    scene.traverse(obj => {
+        if (!obj.isSkinnedMesh) return;
+        obj.skeleton.bones.forEach((bone, i) => {
+            if (!matrices.has(bone)) matrices.set(bone, obj.skeleton.boneInverses[i].clone().invert());
+        });
+    });
+    return matrices;
+}
+
+// Returns the JSON form of a definition, { name, bones: [{ name, parent, position, rotation }] }.
+// options:
+//   profile   mapping profile (retarget.js); mapped bones take their SF3 names. Without one only
+//             joints already named after BONE_MAP entries are mapped.
+//   allBones  also keep every other skin joint, under its own name
+//   scale     multiplies positions, e.g. 100 for a rig in metres
+//   name      definition name
+export function extractSkeleton(gltf, { profile = null, allBones = false, scale = 1, name = 'Extracted rig' } = {}) {
+    const scene = gltf.scene;
+    scene.updateMatrixWorld(true);
+    const bind = bindMatrices(scene);
+
+    // Object -> definition name, for every object that becomes a bone
+    const names = new Map();
+    resolveMapping(scene, profile || { map: null }).forEach((obj, target) => names.set(obj, target));
+    if (allBones) {
+        const taken = new Set(names.values());
+        bind.forEach((_, joint) => {
+            if (names.has(joint) || taken.has(joint.name)) return;
+            names.set(joint, joint.name || `joint_${names.size}`);
+            taken.add(joint.name);
+        });
+    }
+    if (names.size === 0) {
+        throw new Error(profile ? `No bones found for profile "${profile.name}"` : 'No SF3-named bones found (use a mapping profile or all bones)');
+    }
+
+    const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(profile ? profile.yaw || 0 : 0));
+    const bones = [];
+
+    // traverse() visits parents first, which the definition requires
+    scene.traverse(obj => {
+        if (!names.has(obj)) return;
+
+        let ancestor = obj.parent;
+        while (ancestor && !names.has(ancestor)) ancestor = ancestor.parent;
+
+        const matrix = bind.get(obj) || obj.matrixWorld;
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        matrix.decompose(position, rotation, new THREE.Vector3());
+        position.applyQuaternion(yaw).multiplyScalar(scale);
+        rotation.premultiply(yaw).normalize();
+
+        bones.push({
+            name: names.get(obj),
+            parent: ancestor ? names.get(ancestor) : null,
+            position: position.toArray(),
+            rotation: rotation.toArray()
+        });
+    });
+
+    return { name, bones };
+}
@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+import { SKELETON_DEFINITION, BONE_MAP, NAME_TO_ID } from './constants.js';
+
+// skeleton.js
+// Rest skeletons the viewer, exporter and editing tools pose the file's bones on. A definition
+// is a flat bone list with parent links and global (world space) rest transforms, read from
+// either of two formats:
+//
+//   text  `"name" [BONE] | G.Pos:(x, y, z) | G.Rot (quat):(x, y, z, w)`, one bone per line,
+//         indented two spaces per level of depth (the format of SKELETON_DEFINITION)
+//   JSON  { "name": "...", "bones": [{ "name", "parent", "position", "rotation", "id"? }] },
+//         parents listed before their children, "parent" null for the root
+//
+// Bone names map to file bone IDs through BONE_MAP, or through "id" in JSON.
+
+// Skeleton names that differ from BONE_MAP
+export const BONE_ALIASES = { weapon_r: 'weapons_r' };
+
+function finishNodes(nodes) {
+    // Local rest transforms relative to the parent's global transform
+    nodes.forEach(node => {
+        if (node.parent === -1) {
+            node.localPos = node.globalPos.clone();
+            node.localRot = node.globalRot.clone();
+            return;
+        }
+        const parent = nodes[node.parent];
+        const parentInvRot = parent.globalRot.clone().invert();
+        node.localPos = node.globalPos.clone().sub(parent.globalPos).applyQuaternion(parentInvRot);
+        node.localRot = parentInvRot.multiply(node.globalRot);
+    });
+    return nodes;
+}
+
+export function parseSkeletonDefinition(text = SKELETON_DEFINITION) {
+    const lines = text.split('\n').filter(l => l.trim().length > 0);
+    const nodes = [];
+    const stack = [];
+
+    lines.forEach(line => {
+        const depth = line.search(/\S|$/) / 2;
+        const nameMatch = line.match(/"([^"]+)"/);
+        const posMatch = line.match(/G\.Pos:\(([^)]+)\)/);
+        const rotMatch = line.match(/G\.Rot \(quat\):\(([^)]+)\)/);
+
+        if (!nameMatch) return;
+
+        const pos = posMatch ? posMatch[1].split(',').map(parseFloat) : [0, 0, 0];
+        const rot = rotMatch ? rotMatch[1].split(',').map(parseFloat) : [0, 0, 0, 1];
+
+        while (stack.length > 0 && stack[stack.length - 1].level >= depth) {
+            stack.pop();
+        }
+
+        const node = {
+            name: nameMatch[1],
+            level: depth,
+            parent: stack.length > 0 ? stack[stack.length - 1].index : -1,
+            globalPos: new THREE.Vector3(pos[0], pos[1], pos[2]),
+            globalRot: new THREE.Quaternion(rot[0], rot[1], rot[2], rot[3]).normalize()
+        };
+        nodes.push(node);
+        stack.push({ level: depth, index: nodes.length - 1 });
+    });
+
+    return finishNodes(nodes);
+}
+
+export function parseSkeletonJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !Array.isArray(data.bones)) throw new Error('Skeleton JSON needs a "bones" array');
+
+    const indexByName = new Map();
+    const nodes = data.bones.map((bone, i) => {
+        const where = `bones[${i}]`;
+        if (typeof bone.name !== 'string' || bone.name === '') throw new Error(`${where}: missing "name"`);
+        if (indexByName.has(bone.name)) throw new Error(`${where}: duplicate bone "${bone.name}"`);
+        const position = bone.position || [0, 0, 0];
+        const rotation = bone.rotation || [0, 0, 0, 1];
+        if (position.length !== 3 || !position.every(Number.isFinite)) throw new Error(`${where}: "position" must be 3 numbers`);
+        if (rotation.length !== 4 || !rotation.every(Number.isFinite)) throw new Error(`${where}: "rotation" must be 4 numbers`);
+
+        let parent = -1;
+        if (bone.parent !== null && bone.parent !== undefined) {
+            if (!indexByName.has(bone.parent)) throw new Error(`${where}: parent "${bone.parent}" must be listed before "${bone.name}"`);
+            parent = indexByName.get(bone.parent);
+        }
+        indexByName.set(bone.name, i);
+
+        const node = {
+            name: bone.name,
+            level: 0,
+            parent,
+            globalPos: new THREE.Vector3().fromArray(position),
+            globalRot: new THREE.Quaternion().fromArray(rotation).normalize()
+        };
+        if (Number.isInteger(bone.id)) node.boneId = bone.id;
+        return node;
+    });
+    nodes.forEach(node => { node.level = node.parent === -1 ? 0 : nodes[node.parent].level + 1; });
+
+    return finishNodes(nodes);
+}
+
+// Either format; JSON is recognised by its leading brace
+export function parseSkeleton(source) {
+    return source.trimStart().startsWith('{') ? parseSkeletonJSON(source) : parseSkeletonDefinition(source);
+}
+
+// The text format, as in SKELETON_DEFINITION
+export function formatSkeletonDefinition(nodes) {
+    const lines = nodes.map(node => {
+        const p = node.globalPos;
+        const q = node.globalRot;
+        const pos = [p.x, p.y, p.z].map(v => v.toFixed(3)).join(', ');
+        const rot = [q.x, q.y, q.z, q.w].map(v => v.toFixed(4)).join(', ');
+        return `${'  '.repeat(node.level)}"${node.name}" [BONE] | G.Pos:(${pos}) | G.Rot (quat):(${rot})`;
+    });
+    return lines.join('\n') + '\n';
+}
+
+export function skeletonToJSON(nodes, name = 'Skeleton') {
+    return {
+        name,
+        bones: nodes.map(node => {
+            const bone = {
+                name: node.name,
+                parent: node.parent === -1 ? null : nodes[node.parent].name,
+                position: node.globalPos.toArray(),
+                rotation: node.globalRot.toArray()
+            };
+            // Only IDs the name does not already imply
+            if (node.boneId !== undefined && nodeBoneId({ name: node.name }) !== node.boneId) bone.id = node.boneId;
+            return bone;
+        })
+    };
+}
+
+// --- Definitions ---
+
+const definitions = [
+    { id: 'builtin', name: 'Built-in human', nodes: parseSkeletonDefinition() }
+];
+
+export function listSkeletons() {
+    return definitions.slice();
+}
+
+export function findSkeleton(id) {
+    return definitions.find(d => d.id === id) || null;
+}
+
+// Adds a definition (text or JSON) to the candidates for pickSkeleton, replacing one with the
+// same name
+export function registerSkeleton(name, source) {
+    const nodes = parseSkeleton(source);
+    if (nodes.length === 0) throw new Error(`Skeleton "${name}" has no bones`);
+    const definition = { id: `custom:${name}`, name, nodes };
+    const existing = definitions.findIndex(d => d.id === definition.id);
+    if (existing === -1) definitions.push(definition);
+    else definitions[existing] = definition;
+    return definition;
+}
+
+function nodeBoneId(node) {
+    if (node.boneId !== undefined) return node.boneId;
+    return NAME_TO_ID[BONE_ALIASES[node.name] || node.name];
+}
+
+// The definition covering most of the file's bone IDs; the built-in one wins ties
+export function pickSkeleton(boneIds) {
+    let best = definitions[0];
+    let bestCount = -1;
+    definitions.forEach(definition => {
+        const ids = new Set(definition.nodes.map(nodeBoneId));
+        const count = boneIds.filter(id => ids.has(id)).length;
+        if (count > bestCount) {
+            best = definition;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// --- Resolving against a file ---
+
+// Name used for a bone the skeleton does not define
+export function placeholderName(boneId) {
+    return BONE_MAP[boneId] || `bone_${boneId}`;
+}
+
+// Inverse of placeholderName / BONE_MAP, for names shown in the viewer
+export function boneIdFromName(name) {
+    if (NAME_TO_ID[name] !== undefined) return NAME_TO_ID[name];
+    const match = /^bone_(\d+)$/.exec(name || '');
+    return match ? parseInt(match[1]) : undefined;
+}
+
+// Closest defined bone by name: foot_r_extra → foot_r, hair1 → hair, chest_h_49 → chest.
+// Falls back to the root.
+function guessParent(name, indexByName) {
+    const parts = name.split('_');
+    for (let n = parts.length; n > 0; n--) {
+        const stem = parts.slice(0, n).join('_');
+        for (const candidate of [stem, stem.replace(/\d+$/, '')]) {
+            const resolved = BONE_ALIASES[candidate] || candidate;
+            if (candidate !== name && indexByName.has(resolved)) return indexByName.get(resolved);
+        }
+    }
+    return 0;
+}
+
+// Depth-first order, so placeholders sit under their parent in listings
+function depthFirst(nodes) {
+    const children = nodes.map(() => []);
+    nodes.forEach((node, i) => { if (node.parent !== -1) children[node.parent].push(i); });
+    const order = [];
+    const visit = (i) => {
+        order.push(i);
+        children[i].forEach(visit);
+    };
+    nodes.forEach((node, i) => { if (node.parent === -1) visit(i); });
+
+    const newIndex = new Map(order.map((old, i) => [old, i]));
+    return order.map(old => {
+        const node = nodes[old];
+        return { ...node, parent: node.parent === -1 ? -1 : newIndex.get(node.parent) };
+    });
+}
+
+// The definition's bones named and numbered the way the file names them (BONE_MAP names, with
+// aliases applied), plus a placeholder for every file bone the definition lacks. A placeholder
+// rests on the bone its name suggests with no offset, so the file's local transforms still show.
+// Returns { definition, nodes, placeholders: [{ boneId, name, parent }] }; every node has
+// boneId set, or undefined for definition bones the file cannot address.
+export function skeletonForBones(boneIds, definition = pickSkeleton(boneIds)) {
+    const nodes = definition.nodes.map(node => {
+        const boneId = nodeBoneId(node);
+        return { ...node, name: boneId !== undefined && BONE_MAP[boneId] ? BONE_MAP[boneId] : node.name, boneId };
+    });
+
+    const indexByName = new Map(nodes.map((node, i) => [node.name, i]));
+    const defined = new Set(nodes.map(node => node.boneId));
+    const placeholders = [];
+    boneIds.forEach(boneId => {
+        if (defined.has(boneId) || nodes.length === 0) return;
+        defined.add(boneId);
+        const name = placeholderName(boneId);
+        const parent = guessParent(name, indexByName);
+        const parentNode = nodes[parent];
+        nodes.push({
+            name,
+            boneId,
+            level: parentNode.level + 1,
+            parent,
+            placeholder: true,
+            globalPos: parentNode.globalPos.clone(),
+            globalRot: parentNode.globalRot.clone(),
+            localPos: new THREE.Vector3(),
+            localRot: new THREE.Quaternion()
+        });
+        placeholders.push({ boneId, name, parent: parentNode.name });
+    });
+
+    return { definition, nodes: placeholders.length > 0 ? depthFirst(nodes) : nodes, placeholders };
+}
+
+// --- Bone hierarchy ---
+
+// THREE.Bone objects in the rest pose, one per node and in node order, built from the nodes'
+// local transforms. The viewer and the glTF exporter both build from this, so they share one
+// rest pose. Returns { roots, bones }.
+export function buildBones(nodes) {
+    const bones = nodes.map(node => {
+        const bone = new THREE.Bone();
+        bone.name = node.name;
+        bone.position.copy(node.localPos);
+        bone.quaternion.copy(node.localRot);
+        return bone;
+    });
+    const roots = [];
+    nodes.forEach((node, i) => {
+        if (node.parent === -1) roots.push(bones[i]);
+        else bones[node.parent].add(bones[i]);
+    });
+    roots.forEach(root => root.updateMatrixWorld(true));
+    return { roots, bones };
+}
+
+// Inverse global rest transform of every node: the inverse bind matrices of a mesh skinned in
+// the rest pose
+export function restInverseBindMatrices(nodes) {
+    const unit = new THREE.Vector3(1, 1, 1);
+    return nodes.map(node => new THREE.Matrix4().compose(node.globalPos, node.globalRot, unit).invert());
+}
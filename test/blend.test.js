@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blendDocuments } from '../blend.js';
+import { sampleDocument, eventFrames } from './fixtures.js';
+
+test('a crossfade keeps A\'s footer events and adds none on B\'s tail', () => {
+    const doc = sampleDocument({ framesCount: 20, events: [2, 9, 19] });
+    const other = sampleDocument({ framesCount: 10, events: [] });
+    blendDocuments(doc, other, { mode: 'crossfade', fade: 4 });
+    assert.equal(doc.framesCount, 26);
+    assert.deepEqual(eventFrames(doc), [2, 9, 19]);
+});
+
+test('a crossfade without a fade keeps the event on A\'s last frame once', () => {
+    const doc = sampleDocument({ framesCount: 20, events: [19] });
+    blendDocuments(doc, sampleDocument({ framesCount: 5, events: [] }), { mode: 'crossfade', fade: 0 });
+    assert.deepEqual(eventFrames(doc), [19]);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareHeaders, compareFooters, compareDocuments, formatComparison, formatFrameDeltas } from '../compare.js';
+import { animationParser } from '../parser.js';
+import { sampleDocument, sampleBytes } from './fixtures.js';
+
+const HEAD = 4;
+
+function headOf(frame) {
+    return frame.bones.find(b => b.boneId === HEAD);
+}
+
+test('a file compared with itself shows no differences', async () => {
+    const a = await animationParser.parse(sampleBytes({ framesCount: 16 }));
+    const b = await animationParser.parse(sampleBytes({ framesCount: 16 }));
+    const result = compareDocuments(a, b);
+
+    assert.ok(result.header.every(r => r.same));
+    assert.equal(result.footer.totalRanges, 0);
+    assert.equal(result.compared, 16);
+    assert.ok(result.bones.every(bone => bone.maxPos === 0 && bone.maxAngle < 1e-3));
+    assert.equal(formatComparison(result).find(line => line.startsWith('Footer')), 'Footer: identical (28 bytes, events)');
+});
+
+test('bone deltas name the frame where each bone differs most', () => {
+    const a = sampleDocument({ framesCount: 6 });
+    const b = sampleDocument({ framesCount: 6 });
+    headOf(b.frames[3]).position[0] += 2;
+    headOf(b.frames[1]).position[1] += 1;
+    // Half a turn about X from A's pose on frame 4
+    const [x, y, z, w] = headOf(a.frames[4]).rotation;
+    headOf(b.frames[4]).rotation = [w, -z, y, -x];
+
+    const result = compareDocuments(a, b);
+    const head = result.bones.find(bone => bone.boneId === HEAD);
+    assert.equal(head.maxPos, 2);
+    assert.equal(head.posFrame, 3);
+    assert.equal(head.meanPos, 0.5);
+    assert.ok(Math.abs(head.maxAngle - 180) < 1e-3);
+    assert.equal(head.angleFrame, 4);
+    assert.ok(result.bones.filter(bone => bone.boneId !== HEAD).every(bone => bone.maxPos === 0));
+
+    const lines = formatFrameDeltas(result, 3, 100);
+    assert.equal(lines[0], 'Frame 3: largest differences');
+    assert.ok(lines.some(line => /^ {2}head +2\.00000 +0\.0000°$/.test(line)));
+    assert.match(formatFrameDeltas(result, 4)[1], /^ {2}head +0\.00000 +180\.0000°$/);
+    assert.deepEqual(formatFrameDeltas(result, 9), ['Frame 9: not in both files']);
+});
+
+test('header rows flag frame counts and bones only one side has', () => {
+    const a = sampleDocument({ framesCount: 6 });
+    const b = sampleDocument({ framesCount: 4 });
+    b.boneIds = b.boneIds.filter(id => id !== HEAD).concat([500]);
+    const rows = compareHeaders(a, b);
+
+    assert.deepEqual(rows.find(r => r.field === 'frame count'), { field: 'frame count', a: 6, b: 4, same: false, note: '' });
+    assert.equal(rows.find(r => r.field === 'bone IDs').note, 'only in A: head; only in B: bone 500');
+
+    b.boneIds = a.boneIds.slice().reverse();
+    assert.equal(compareHeaders(a, b).find(r => r.field === 'bone IDs').note, 'same bones in a different order');
+});
+
+test('footer ranges cover changed bytes and the tail only one footer has', () => {
+    const a = sampleDocument({ events: [2, 9, 15] }).footer;
+    const b = sampleDocument({ events: [2, 10, 15, 18] }).footer;
+    const diff = compareFooters(a, b);
+
+    assert.equal(diff.lengthA, 28);
+    assert.equal(diff.lengthB, 36);
+    // The count, frame 9 -> 10 and the extra record
+    assert.deepEqual(diff.ranges.map(r => [r.offset, r.length]), [[0, 1], [12, 1], [28, 8]]);
+    assert.equal(diff.differingBytes, 10);
+    assert.deepEqual([...diff.ranges[2].a], []);
+});
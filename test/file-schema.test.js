@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { animationParser, replaceFrames } from '../parser.js';
+import { frameCopies, resizeFooter } from '../file-schema.js';
+import { sampleDocument, sampleBytes, eventFrames } from './fixtures.js';
+
+function perFrameFooter(count) {
+    const records = [];
+    for (let value = 0; value < count; value++) {
+        records.push({ fields: [{ type: 'i32', value }, { type: 'f32', value: value + 0.5 }], tail: new Uint8Array(0) });
+    }
+    return { kind: 'perFrame', recordSize: 8, records };
+}
+
+test('an event footer decodes to records and encodes back to the same bytes', async () => {
+    const file = sampleBytes({ framesCount: 12, events: [2, 9, 11] });
+    const doc = await animationParser.parse(file);
+    assert.equal(doc.footer.kind, 'events');
+    assert.deepEqual(eventFrames(doc), [2, 9, 11]);
+    assert.deepEqual(doc.footer.records.map(r => r.fields[0].value), [1, 2, 3]);
+    assert.deepEqual(animationParser.repack(doc), new Uint8Array(file));
+});
+
+test('a footer with one record per frame decodes as per-frame data', async () => {
+    const file = sampleBytes({ framesCount: 5, footer: perFrameFooter(5) });
+    const doc = await animationParser.parse(file);
+    assert.equal(doc.footer.kind, 'perFrame');
+    assert.deepEqual(doc.footer.records.map(r => r.fields[1].value), [0.5, 1.5, 2.5, 3.5, 4.5]);
+    assert.deepEqual(animationParser.repack(doc), new Uint8Array(file));
+});
+
+test('resizing stretches events evenly and keeps per-frame records in step', () => {
+    const doc = sampleDocument({ framesCount: 10, events: [2, 5, 10] });
+    assert.deepEqual(resizeFooter(doc.footer, 10, 20).records.map(r => r.frame), [4, 10, 20]);
+
+    const perFrame = sampleDocument({ framesCount: 4, footer: perFrameFooter(4) });
+    replaceFrames(perFrame, perFrame.frames.slice(0, 3), i => [3, 0, 1][i]);
+    assert.equal(perFrame.framesCount, 3);
+    assert.deepEqual(perFrame.footer.records.map(r => r.fields[0].value), [3, 0, 1]);
+});
+
+test('frameCopies keeps separate copies and one frame per run of adjacent copies', () => {
+    const copies = frameCopies([0, 1, 1, 1, 2, 0, 1, null, null]);
+    assert.deepEqual(copies.get(0), [0, 5]);
+    assert.deepEqual(copies.get(1), [1, 6]);
+    assert.deepEqual(copies.get(2), [4]);
+    assert.ok(!copies.has(null));
+});
+
+test('events follow frameCopies through an edit', () => {
+    const doc = sampleDocument({ framesCount: 6, events: [1, 3, 4, 6] });
+    // Frame 1 held for three frames, frames 0-2 repeated, frame 3 dropped (its event moves to
+    // the nearest kept frame) and an event past the last frame staying at the end
+    const order = [0, 1, 1, 1, 2, 0, 1, 2, 4, 5];
+    const footer = resizeFooter(doc.footer, 6, order.length, i => order[i]);
+    assert.deepEqual(footer.records.map(r => r.frame), [1, 4, 6, 8, 10]);
+});
+
+test('frames without a source take no events and repeat the per-frame record before them', () => {
+    const events = resizeFooter(sampleDocument({ framesCount: 3, events: [2] }).footer, 3, 5, i => [0, 1, 2, null, null][i]);
+    assert.deepEqual(events.records.map(r => r.frame), [2]);
+
+    const resized = resizeFooter(perFrameFooter(3), 3, 5, i => [0, 1, 2, null, null][i]);
+    assert.deepEqual(resized.records.map(r => r.fields[0].value), [0, 1, 2, 2, 2]);
+});
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { BONE_MAP } from '../constants.js';
+import { animationParser } from '../parser.js';
+
+// fixtures.js
+// Documents and files built in code for the tests, shaped like parser output.
+
+const MAGIC = 457546134634734n;
+
+// Magic through the bone table, as parse() slices it
+function buildHeader(framesCount, boneIds) {
+    const header = new ArrayBuffer(8 + 2 + 4 + 4 + boneIds.length * 2);
+    const dv = new DataView(header);
+    dv.setBigUint64(0, MAGIC, true);
+    dv.setInt16(8, 0, true);
+    dv.setInt32(10, framesCount, true);
+    dv.setInt32(14, boneIds.length, true);
+    boneIds.forEach((id, i) => dv.setInt16(18 + i * 2, id, true));
+    return header;
+}
+
+function eventRecord(frame, value) {
+    return { frame, fields: [{ type: 'i32', value }], tail: new Uint8Array(0) };
+}
+
+// framesCount frames of every known bone, each turning a little further about its own axis, with
+// a footer event on each of `events` unless a decoded `footer` is given
+export function sampleDocument({ framesCount = 20, events = [2, 9, 15], footer = null } = {}) {
+    const boneIds = Object.keys(BONE_MAP).map(Number);
+    const frames = [];
+    for (let f = 0; f < framesCount; f++) {
+        frames.push({
+            bones: boneIds.map(id => {
+                const axis = new THREE.Vector3(1, id % 3, (id + 1) % 4).normalize();
+                const q = new THREE.Quaternion().setFromAxisAngle(axis, 0.3 * Math.sin((f + id) / 3));
+                return { boneId: id, position: [id * 0.5, 10 + f * 0.25, -id], rotation: [q.x, q.y, q.z, q.w] };
+            })
+        });
+    }
+    return {
+        preHeader: new ArrayBuffer(0),
+        header: buildHeader(framesCount, boneIds),
+        arrayCount: 0,
+        headerArray: [],
+        boneIds,
+        bonesCount: boneIds.length,
+        originalFramesCount: framesCount,
+        frames,
+        framesCount,
+        footer: footer || { kind: 'events', records: events.map((frame, i) => eventRecord(frame, i + 1)) },
+        diagnostics: []
+    };
+}
+
+// The same document as a .bytes file
+export function sampleBytes(options) {
+    const bytes = animationParser.repack(sampleDocument(options));
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+export function eventFrames(doc) {
+    return doc.footer.records.map(r => r.frame);
+}
+
+export function assertFramesClose(assert, actual, expected, tolerance = 1e-4) {
+    const byId = new Map(expected.bones.map(b => [b.boneId, b]));
+    actual.bones.forEach(bone => {
+        const want = byId.get(bone.boneId);
+        assert.ok(want, `unexpected bone ${bone.boneId}`);
+        bone.position.forEach((v, k) => assert.ok(Math.abs(v - want.position[k]) < tolerance, `bone ${bone.boneId} position`));
+        // q and -q are the same rotation
+        const dot = bone.rotation.reduce((sum, v, k) => sum + v * want.rotation[k], 0);
+        assert.ok(Math.abs(Math.abs(dot) - 1) < tolerance, `bone ${bone.boneId} rotation`);
+    });
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { detectContacts, lockFeet } from '../foot-contact.js';
+import { PoseRig } from '../ik.js';
+import { skeletonForBones } from '../skeleton.js';
+
+const nodes = skeletonForBones([]).nodes;
+
+function restFrame() {
+    return {
+        bones: nodes.filter(node => node.boneId !== undefined && !node.placeholder).map(node => ({
+            boneId: node.boneId,
+            position: node.localPos.toArray(),
+            rotation: node.localRot.toArray()
+        }))
+    };
+}
+
+function boneOf(frame, name) {
+    const id = nodes.find(node => node.name === name).boneId;
+    return frame.bones.find(b => b.boneId === id);
+}
+
+function footTrack(frames, name) {
+    const rig = new PoseRig(nodes);
+    return frames.map(frame => {
+        rig.setFrame(frame);
+        return rig.worldPosition(rig.bone(name));
+    });
+}
+
+test('a planted foot is found and a lifted one is not', () => {
+    // The left leg hangs still for six frames, then swings forward and lifts the foot
+    const rig = new PoseRig(nodes);
+    const thigh = rig.bone('thigh_l');
+    const frames = [];
+    for (let f = 0; f < 12; f++) {
+        rig.setFrame(restFrame());
+        const swing = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), f < 6 ? 0 : (f - 5) * 0.15);
+        rig.setWorldRotation(thigh, swing.multiply(rig.worldRotation(thigh)));
+        frames.push(rig.writeBack(restFrame(), ['thigh_l']));
+    }
+
+    // Frame 5 already moves going out, so the contact ends on frame 4
+    const contacts = detectContacts(frames, nodes);
+    assert.deepEqual(contacts.foot_l, [{ start: 0, end: 4 }]);
+    assert.deepEqual(contacts.foot_r, [{ start: 0, end: 11 }]);
+});
+
+test('locking holds the ankle in place across a contact', () => {
+    // The body drifts forward and dips while both feet should stay planted, so they slide
+    const frames = [];
+    for (let f = 0; f < 8; f++) {
+        const frame = restFrame();
+        const pelvis = boneOf(frame, 'pelvis');
+        pelvis.position = [pelvis.position[0] + f * 0.5, pelvis.position[1] - 5, pelvis.position[2]];
+        frames.push(frame);
+    }
+    const contacts = detectContacts(frames, nodes);
+    assert.deepEqual(contacts.foot_l, [{ start: 0, end: 7 }]);
+
+    const before = footTrack(frames, 'foot_l');
+    assert.ok(before[0].distanceTo(before[7]) > 3, 'the foot slides before locking');
+
+    const { frames: locked, locked: counts } = lockFeet(frames, contacts, nodes);
+    assert.equal(counts.l, 8);
+    const mean = before.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(before.length);
+    footTrack(locked, 'foot_l').forEach((p, f) => assert.ok(p.distanceTo(mean) < 0.05, `frame ${f} is ${p.distanceTo(mean)} off`));
+
+    // Only the leg chains change
+    const pelvisId = boneOf(frames[0], 'pelvis').boneId;
+    locked.forEach((frame, f) => {
+        assert.deepEqual(frame.bones.find(b => b.boneId === pelvisId), frames[f].bones.find(b => b.boneId === pelvisId));
+    });
+});
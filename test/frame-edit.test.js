@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cropFrames, reverseFrames, resampleFrames, duplicateFrames } from '../frame-edit.js';
+import { sampleDocument, eventFrames } from './fixtures.js';
+
+test('resampling up keeps every footer event once', () => {
+    const doc = sampleDocument({ framesCount: 20, events: [2, 9, 15] });
+    resampleFrames(doc, 0, 19, 60);
+    assert.equal(doc.framesCount, 60);
+    assert.equal(doc.footer.records.length, 3);
+    // Each event stays at the same point in the clip, on the first frame resampled from it
+    eventFrames(doc).forEach((frame, i) => {
+        assert.equal(Math.round(frame * 19 / 59), [2, 9, 15][i], `event ${i} on frame ${frame}`);
+    });
+});
+
+test('resampling down keeps every footer event', () => {
+    const doc = sampleDocument({ framesCount: 20, events: [2, 9, 15] });
+    resampleFrames(doc, 0, 19, 7);
+    assert.equal(doc.footer.records.length, 3);
+});
+
+test('duplicating a range repeats its events on each copy', () => {
+    const doc = sampleDocument({ framesCount: 20, events: [2, 9, 15] });
+    duplicateFrames(doc, 0, 4, 2);
+    assert.deepEqual(eventFrames(doc), [2, 7, 12, 19, 25]);
+});
+
+test('cropping drops events outside the range and reversing moves them with their frames', () => {
+    const cropped = sampleDocument({ framesCount: 20, events: [2, 9, 15] });
+    assert.equal(cropFrames(cropped, 5, 12).end, 7);
+    assert.equal(cropped.framesCount, 8);
+    assert.deepEqual(eventFrames(cropped), [4]);
+
+    const reversed = sampleDocument({ framesCount: 20, events: [2, 9, 15] });
+    reverseFrames(reversed, 0, 9);
+    assert.deepEqual(eventFrames(reversed), [0, 7, 15]);
+    assert.throws(() => reverseFrames(reversed, 5, 20), /Invalid frame range 5-20 \(clip has 20 frames\)/);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import * as THREE from 'three';
+import assert from 'node:assert/strict';
+import { gltfHandler } from '../gltf-handler.js';
+import { GLB_MAGIC } from '../gltf-writer.js';
+import { sampleDocument, assertFramesClose } from './fixtures.js';
+
+function arrayBuffer(bytes) {
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+// A .gltf whose embedded buffer moved out to an external file named `name`
+function withExternalBuffer(bytes, name) {
+    const json = JSON.parse(new TextDecoder().decode(bytes));
+    const binary = atob(json.buffers[0].uri.split(',')[1]);
+    const bin = Uint8Array.from(binary, c => c.charCodeAt(0));
+    json.buffers[0].uri = name;
+    return { gltf: new TextEncoder().encode(JSON.stringify(json)), bin };
+}
+
+test('an exported clip imports back with the same poses under Node', async () => {
+    const doc = sampleDocument({ framesCount: 12 });
+    const bytes = await gltfHandler.exportGLTF(doc, 30);
+    const imported = await gltfHandler.importGLTF(arrayBuffer(bytes), { fps: 30 });
+
+    assert.equal(imported.framesCount, doc.framesCount);
+    imported.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+test('a .glb export round-trips like a .gltf one', async () => {
+    const doc = sampleDocument({ framesCount: 8 });
+    const bytes = await gltfHandler.exportGLTF(doc, 30, { binary: true });
+    assert.equal(new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true), GLB_MAGIC);
+
+    const imported = await gltfHandler.importGLTF(arrayBuffer(bytes), { fps: 30 });
+    assert.equal(imported.framesCount, doc.framesCount);
+    imported.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+test('external .bin buffers come from resolveResource', async () => {
+    const doc = sampleDocument({ framesCount: 8 });
+    const { gltf, bin } = withExternalBuffer(await gltfHandler.exportGLTF(doc, 30), 'clip%20data.bin');
+    const requested = [];
+    const resolveResource = async (uri) => {
+        requested.push(uri);
+        return uri === 'clip data.bin' ? arrayBuffer(bin) : null;
+    };
+
+    const imported = await gltfHandler.importGLTF(arrayBuffer(gltf), { fps: 30 }, { resolveResource });
+    assert.deepEqual(requested, ['clip data.bin']);
+    imported.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+
+    await assert.rejects(gltfHandler.importGLTF(arrayBuffer(gltf), { fps: 30 }), /External buffer "clip data.bin" was not provided/);
+    await assert.rejects(
+        gltfHandler.importGLTF(arrayBuffer(gltf), { fps: 30 }, { resolveResource: async () => arrayBuffer(bin.slice(0, 16)) }),
+        /is 16 bytes, expected/
+    );
+});
+
+test('every clip is listed and any one can be sampled by name or index', async () => {
+    const doc = sampleDocument({ framesCount: 12 });
+    const gltf = await gltfHandler.loadGLTF(arrayBuffer(await gltfHandler.exportGLTF(doc, 30)));
+    gltf.animations.push(THREE.AnimationUtils.subclip(gltf.animations[0], 'start', 0, 5, 30));
+
+    assert.deepEqual(gltfHandler.describeClips(gltf, { fps: 30 }).map(c => [c.index, c.name, c.framesCount]), [
+        [0, 'SF3_Animation', 12],
+        [1, 'start', 5]
+    ]);
+    assert.equal(gltfHandler.findClip(gltf, 1), gltfHandler.findClip(gltf, 'start'));
+    assert.throws(() => gltfHandler.findClip(gltf, 'walk'), /Clip "walk" not found \(available: SF3_Animation, start\)/);
+
+    const start = gltfHandler.sampleClip(gltf, gltfHandler.findClip(gltf, 'start'), { fps: 30 });
+    const whole = gltfHandler.sampleClip(gltf, gltfHandler.findClip(gltf, 0), { fps: 30 });
+    assert.equal(whole.framesCount, 12);
+    start.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+// --- Sampling options ---
+
+async function exportedClip(framesCount) {
+    const doc = sampleDocument({ framesCount });
+    const gltf = await gltfHandler.loadGLTF(arrayBuffer(await gltfHandler.exportGLTF(doc, 30)));
+    return { doc, gltf, clip: gltf.animations[0] };
+}
+
+function assertTimes(actual, expected) {
+    assert.equal(actual.length, expected.length, `${actual.length} times`);
+    actual.forEach((t, i) => assert.ok(Math.abs(t - expected[i]) < 1e-6, `time ${i}: ${t} vs ${expected[i]}`));
+}
+
+test('fps timing steps by 1/fps from start and includeEnd adds the end frame', async () => {
+    const { clip } = await exportedClip(12);
+    const grid = Array.from({ length: 11 }, (_, i) => i / 30);
+    assertTimes(gltfHandler.sampleTimes(clip, { fps: 30, includeEnd: false }), grid);
+    assertTimes(gltfHandler.sampleTimes(clip, { fps: 30 }), [...grid, 11 / 30]);
+    assertTimes(gltfHandler.sampleTimes(clip, { fps: 30, start: 0.1, end: 0.2 }), [0.1, 0.1 + 1 / 30, 0.1 + 2 / 30, 0.2]);
+});
+
+test('an end between fps steps makes the last interval shorter', async () => {
+    const { clip } = await exportedClip(12);
+    const times = gltfHandler.sampleTimes(clip, { fps: 20 });
+    assertTimes(times, [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 11 / 30]);
+    assert.ok(times[8] - times[7] < 0.05);
+    assertTimes(gltfHandler.sampleTimes(clip, { fps: 20, includeEnd: false }), times.slice(0, 8));
+});
+
+test('frames timing spreads frameCount frames over the range', async () => {
+    const { clip } = await exportedClip(12);
+    assertTimes(gltfHandler.sampleTimes(clip, { timing: 'frames', frameCount: 3 }), [0, 11 / 60, 11 / 30]);
+    assertTimes(gltfHandler.sampleTimes(clip, { timing: 'frames', frameCount: 2, includeEnd: false }), [0, 11 / 60]);
+});
+
+test('keys timing samples exactly the source keyframes', async () => {
+    const { doc, gltf, clip } = await exportedClip(12);
+    const keys = Array.from({ length: 12 }, (_, i) => i / 30);
+    assertTimes(gltfHandler.sampleTimes(clip, { timing: 'keys' }), keys);
+    assertTimes(gltfHandler.sampleTimes(clip, { timing: 'keys', includeEnd: false }), keys.slice(0, 11));
+    assertTimes(gltfHandler.sampleTimes(clip, { timing: 'keys', start: 0.05, end: 0.2 }), [0.05, ...keys.slice(2, 7)]);
+
+    const sampled = gltfHandler.sampleClip(gltf, clip, { timing: 'keys', start: 2 / 30, end: 5 / 30 });
+    assert.equal(sampled.framesCount, 4);
+    sampled.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f + 2]));
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { History, captureFrames, FrameListCommand, CompositeCommand, BonePoseCommand } from '../history.js';
+import { createKeyLayer, toggleKey } from '../keyframes.js';
+import { cropFrames } from '../frame-edit.js';
+import { sampleDocument, eventFrames } from './fixtures.js';
+
+// A command that appends its name to `log` when redone and removes it when undone
+function logCommand(log, name) {
+    return { label: name, redo: () => log.push(name), undo: () => log.splice(log.lastIndexOf(name), 1) };
+}
+
+test('undo and redo walk the stack and a new command drops what was undone', () => {
+    const log = [];
+    const history = new History();
+    ['a', 'b', 'c'].forEach(name => history.execute(logCommand(log, name)));
+    assert.deepEqual(log, ['a', 'b', 'c']);
+
+    assert.equal(history.undo().label, 'c');
+    assert.equal(history.undo().label, 'b');
+    assert.deepEqual(log, ['a']);
+    assert.equal(history.redo().label, 'b');
+    assert.ok(history.canRedo());
+
+    history.execute(logCommand(log, 'd'));
+    assert.deepEqual(log, ['a', 'b', 'd']);
+    assert.ok(!history.canRedo());
+    assert.equal(history.redo(), null);
+    assert.deepEqual(history.commands.map(c => c.label), ['a', 'b', 'd']);
+});
+
+test('jumpTo undoes or redoes to a point and the limit drops the oldest commands', () => {
+    const log = [];
+    const history = new History({ limit: 3 });
+    ['a', 'b', 'c', 'd'].forEach(name => history.execute(logCommand(log, name)));
+    assert.deepEqual(history.commands.map(c => c.label), ['b', 'c', 'd']);
+
+    history.jumpTo(0);
+    assert.deepEqual(log, ['a']);
+    assert.ok(!history.canUndo());
+    assert.equal(history.undo(), null);
+    history.jumpTo(2);
+    assert.deepEqual(log, ['a', 'b', 'c']);
+});
+
+test('a frame list command restores frames, count and footer', () => {
+    const doc = sampleDocument({ framesCount: 20, events: [2, 9, 15] });
+    const frames = doc.frames;
+    const before = captureFrames(doc);
+    cropFrames(doc, 5, 12);
+    const history = new History();
+    history.record(new FrameListCommand('Crop', doc, before));
+
+    history.undo();
+    assert.equal(doc.frames, frames);
+    assert.equal(doc.framesCount, 20);
+    assert.deepEqual(eventFrames(doc), [2, 9, 15]);
+
+    history.redo();
+    assert.equal(doc.framesCount, 8);
+    assert.deepEqual(eventFrames(doc), [4]);
+});
+
+test('a bone pose command swaps single bones in place', () => {
+    const doc = sampleDocument({ framesCount: 3 });
+    const bone = doc.frames[1].bones[4];
+    const before = { position: bone.position.slice(), rotation: bone.rotation.slice() };
+    const after = { position: [1, 2, 3], rotation: [0, 0, 0, 1] };
+    const history = new History();
+    history.execute(new BonePoseCommand('Move', doc, [{ frame: 1, boneId: bone.boneId, before, after }]));
+
+    assert.deepEqual(doc.frames[1].bones[4].position, [1, 2, 3]);
+    history.undo();
+    assert.deepEqual(doc.frames[1].bones[4], { boneId: bone.boneId, ...before });
+});
+
+test('a composite command is one step, undone in reverse order', () => {
+    const log = [];
+    const order = [];
+    const tracked = (name) => {
+        const command = logCommand(log, name);
+        return { ...command, undo: () => { order.push(name); command.undo(); } };
+    };
+    const history = new History();
+    history.execute(new CompositeCommand('Both', [tracked('a'), tracked('b')]));
+    assert.deepEqual(log, ['a', 'b']);
+    assert.equal(history.commands.length, 1);
+
+    assert.equal(history.undo().label, 'Both');
+    assert.deepEqual(order, ['b', 'a']);
+    assert.deepEqual(log, []);
+    history.redo();
+    assert.deepEqual(log, ['a', 'b']);
+});
+
+test('frame snapshots carry the key layer', () => {
+    const doc = sampleDocument({ framesCount: 10 });
+    const before = captureFrames(doc);
+    doc.keyLayer = toggleKey(createKeyLayer(), [1], 3);
+    const command = new FrameListCommand('Key', doc, before);
+
+    command.undo();
+    assert.equal(doc.keyLayer, null);
+    command.redo();
+    assert.deepEqual(doc.keyLayer.keys, { 1: [3] });
+});
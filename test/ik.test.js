@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PoseRig, solveTwoBone, effectorGoal, remapIkLayer, createIkLayer, setEffectorKey } from '../ik.js';
+import { skeletonForBones } from '../skeleton.js';
+
+const nodes = skeletonForBones([]).nodes;
+
+function restFrame() {
+    return {
+        bones: nodes.filter(node => node.boneId !== undefined && !node.placeholder).map(node => ({
+            boneId: node.boneId,
+            position: node.localPos.toArray(),
+            rotation: node.localRot.toArray()
+        }))
+    };
+}
+
+// The left arm at rest, with its joints' world positions
+function leftArm() {
+    const rig = new PoseRig(nodes);
+    rig.setFrame(restFrame());
+    const [upper, lower, end] = ['arm_l', 'forearm_l', 'hand_l'].map(name => rig.bone(name));
+    const joints = () => [upper, lower, end].map(bone => rig.worldPosition(bone));
+    return { rig, upper, lower, end, joints };
+}
+
+// Part of v at right angles to axis
+function across(v, axis) {
+    return v.clone().sub(axis.clone().multiplyScalar(v.dot(axis)));
+}
+
+test('a reachable target is hit and the bone lengths stay', () => {
+    const { rig, upper, lower, end, joints } = leftArm();
+    const [a, b, c] = joints();
+    const target = a.clone().lerp(c, 0.7).add(new THREE.Vector3(0, 0, 5));
+
+    solveTwoBone(rig, upper, lower, end, target);
+    const [a1, b1, c1] = joints();
+    assert.ok(c1.distanceTo(target) < 1e-3, `hand is ${c1.distanceTo(target)} off`);
+    assert.ok(a1.distanceTo(a) < 1e-9, 'the shoulder does not move');
+    assert.ok(Math.abs(b1.distanceTo(a1) - b.distanceTo(a)) < 1e-6);
+    assert.ok(Math.abs(c1.distanceTo(b1) - c.distanceTo(b)) < 1e-6);
+});
+
+test('an out-of-reach target gets the chain pointing at it', () => {
+    const { rig, upper, lower, end, joints } = leftArm();
+    const [a, b, c] = joints();
+    const reach = b.distanceTo(a) + c.distanceTo(b);
+    const target = a.clone().add(new THREE.Vector3(-1, 1, 2).normalize().multiplyScalar(reach * 3));
+
+    solveTwoBone(rig, upper, lower, end, target);
+    const [a1, , c1] = joints();
+    const aim = c1.clone().sub(a1);
+    assert.ok(aim.length() > reach * 0.999, 'the chain is straightened');
+    assert.ok(aim.normalize().dot(target.clone().sub(a1).normalize()) > 0.9999);
+});
+
+test('a pole turns the middle joint towards it', () => {
+    const { rig, upper, lower, end, joints } = leftArm();
+    const [a, , c] = joints();
+    const target = a.clone().lerp(c, 0.6);
+    const axis = target.clone().sub(a).normalize();
+    // Somewhere off to the side of the shoulder → target line
+    const side = across(new THREE.Vector3(0, 0, 1), axis).normalize();
+    const pole = a.clone().lerp(target, 0.5).add(side.clone().multiplyScalar(40));
+
+    solveTwoBone(rig, upper, lower, end, target, pole);
+    const [a1, b1, c1] = joints();
+    assert.ok(c1.distanceTo(target) < 1e-3);
+    const elbow = across(b1.clone().sub(a1), axis).normalize();
+    assert.ok(elbow.dot(side) > 0.9999, `elbow faces ${elbow.dot(side)} towards the pole`);
+});
+
+test('effector goals lerp between keys and stop outside them', () => {
+    const keys = [
+        { frame: 2, target: [0, 0, 0], pole: [0, 10, 0] },
+        { frame: 6, target: [8, 4, 0], pole: [4, 10, 0] },
+        { frame: 10, target: [8, 0, 0], pole: null }
+    ];
+    assert.equal(effectorGoal(keys, 1), null);
+    assert.equal(effectorGoal(keys, 11), null);
+    assert.deepEqual(effectorGoal(keys, 2), { target: [0, 0, 0], pole: [0, 10, 0] });
+    assert.deepEqual(effectorGoal(keys, 3), { target: [2, 1, 0], pole: [1, 10, 0] });
+    // Only the earlier key has a pole, so it holds
+    assert.deepEqual(effectorGoal(keys, 8), { target: [8, 2, 0], pole: [4, 10, 0] });
+    assert.deepEqual(effectorGoal(keys, 10), { target: [8, 0, 0], pole: null });
+});
+
+test('IK keys follow a range edit as frameCopies says', () => {
+    let layer = createIkLayer();
+    [1, 3, 4].forEach(frame => {
+        layer = setEffectorKey(layer, 'arm_l', { frame, target: [frame, 0, 0], pole: null });
+    });
+    layer = setEffectorKey(layer, 'head', { frame: 3, target: [0, 0, 100], pole: null });
+
+    // Frame 1 held for two frames, 2 dropped, 3 copied twice apart, 4 dropped
+    const remapped = remapIkLayer(layer, [0, 1, 1, 3, 0, 3]);
+    assert.deepEqual(remapped.effectors.arm_l.map(k => [k.frame, k.target[0]]), [[1, 1], [3, 3], [5, 3]]);
+    assert.deepEqual(remapped.effectors.head.map(k => k.frame), [3, 5]);
+    assert.deepEqual(layer.effectors.arm_l.map(k => k.frame), [1, 3, 4], 'the input layer is left alone');
+
+    // An effector whose keys all go is dropped
+    assert.deepEqual(Object.keys(remapIkLayer(layer, [0, 1]).effectors), ['arm_l']);
+});
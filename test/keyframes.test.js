@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createKeyLayer, toggleKey, hasKey, setInterpolation, remapKeyLayer, bakeKeyLayer } from '../keyframes.js';
+import { resizeFooter } from '../file-schema.js';
+import { sampleDocument, eventFrames } from './fixtures.js';
+
+const BONE = 4;
+
+function boneOf(frame, boneId = BONE) {
+    return frame.bones.find(b => b.boneId === boneId);
+}
+
+// Bone BONE keyed on frames 0 and 4, from the origin unrotated to (8, 4, 0) turned 120° about Z
+function keyedDocument() {
+    const doc = sampleDocument({ framesCount: 6 });
+    const turned = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), 2 * Math.PI / 3);
+    Object.assign(boneOf(doc.frames[0]), { position: [0, 0, 0], rotation: [0, 0, 0, 1] });
+    Object.assign(boneOf(doc.frames[4]), { position: [8, 4, 0], rotation: turned.toArray() });
+    return doc;
+}
+
+// Key layer with BONE keyed on frames 0 and 4
+function keyed(interpolation) {
+    return toggleKey(toggleKey(createKeyLayer(interpolation), [BONE], 0), [BONE], 4);
+}
+
+function angleOf(bone) {
+    return 2 * Math.acos(Math.min(1, Math.abs(bone.rotation[3])));
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} vs ${expected}`);
+}
+
+test('toggleKey adds a key where any bone lacks one and removes it where all have it', () => {
+    let layer = toggleKey(createKeyLayer(), [1, 2], 5);
+    assert.deepEqual(layer.keys, { 1: [5], 2: [5] });
+    layer = toggleKey(toggleKey(layer, [1], 2), [1, 3], 5);
+    assert.deepEqual(layer.keys, { 1: [2, 5], 2: [5], 3: [5] });
+    layer = toggleKey(layer, [1, 2, 3], 5);
+    assert.deepEqual(layer.keys, { 1: [2] });
+    assert.ok(hasKey(layer, 1, 2));
+    assert.throws(() => setInterpolation(layer, 'bounce'), /Unknown interpolation: bounce/);
+});
+
+test('keys follow frameCopies through an edit, as footer events do', () => {
+    const doc = sampleDocument({ framesCount: 6, events: [1, 4] });
+    // Frame 1 held for three frames, then frames 0-2 repeated
+    const order = [0, 1, 1, 1, 2, 0, 1, 2, 3, 4, 5];
+    const footer = resizeFooter(doc.footer, 6, order.length, i => order[i]);
+    const layer = remapKeyLayer(toggleKey(toggleKey(createKeyLayer(), [7], 1), [8], 4), order);
+
+    assert.deepEqual(footer.records.map(r => r.frame), [1, 6, 9]);
+    assert.deepEqual(layer.keys, { 7: [1, 6], 8: [9] });
+    assert.deepEqual(eventFrames(doc), [1, 4]);
+    assert.deepEqual(remapKeyLayer(layer, [0, 2, 3]).keys, {});
+});
+
+test('linear keys blend positions evenly and rotations by normalised lerp', () => {
+    const doc = keyedDocument();
+    const frames = bakeKeyLayer(doc.frames, keyed('linear'));
+    assert.deepEqual(boneOf(frames[1]).position, [2, 1, 0]);
+    assert.deepEqual(boneOf(frames[2]).position, [4, 2, 0]);
+    // Halfway is exact; a quarter of the way falls short of 30° on the chord
+    assertClose(angleOf(boneOf(frames[2])), Math.PI / 3, 'frame 2 angle');
+    assert.ok(angleOf(boneOf(frames[1])) < Math.PI / 6 - 1e-3);
+});
+
+test('slerp keys turn at a constant rate and ease keys start and end slowly', () => {
+    const doc = keyedDocument();
+    const slerp = bakeKeyLayer(doc.frames, keyed('slerp'));
+    assertClose(angleOf(boneOf(slerp[1])), Math.PI / 6, 'slerp frame 1 angle');
+    assertClose(angleOf(boneOf(slerp[3])), Math.PI / 2, 'slerp frame 3 angle');
+
+    // smoothstep(0.25) = 0.15625
+    const ease = bakeKeyLayer(doc.frames, keyed('ease'));
+    assertClose(boneOf(ease[1]).position[0], 8 * 0.15625, 'ease frame 1 x');
+    assertClose(angleOf(boneOf(ease[1])), 2 * Math.PI / 3 * 0.15625, 'ease frame 1 angle');
+    assertClose(boneOf(ease[2]).position[0], 4, 'ease frame 2 x');
+});
+
+test('baking leaves frames outside the keys, other bones and the input alone', () => {
+    const doc = keyedDocument();
+    const before = JSON.stringify(doc.frames);
+    const frames = bakeKeyLayer(doc.frames, keyed('slerp'));
+
+    assert.equal(JSON.stringify(doc.frames), before);
+    assert.deepEqual(frames[5], doc.frames[5]);
+    assert.deepEqual(boneOf(frames[2], 5), boneOf(doc.frames[2], 5));
+    assert.deepEqual(bakeKeyLayer(doc.frames, toggleKey(createKeyLayer(), [BONE], 2)), doc.frames);
+});
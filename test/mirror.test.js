@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { mirrorBoneName, mirrorBoneId, mirrorFrames, mirrorDocument } from '../mirror.js';
+import { parseSkeletonDefinition, skeletonForBones } from '../skeleton.js';
+import { createKeyLayer, toggleKey, bakeKeyLayer } from '../keyframes.js';
+import { PoseRig, createIkLayer, setEffectorKey, bakeIkLayer } from '../ik.js';
+import { NAME_TO_ID } from '../constants.js';
+import { sampleDocument, assertFramesClose } from './fixtures.js';
+
+const ID = NAME_TO_ID;
+
+// One frame holding the skeleton's rest pose
+function restFrame() {
+    const nodes = parseSkeletonDefinition();
+    return {
+        bones: nodes.filter(node => ID[node.name] !== undefined).map(node => ({
+            boneId: ID[node.name],
+            position: node.localPos.toArray(),
+            rotation: node.localRot.toArray()
+        }))
+    };
+}
+
+function boneOf(frame, name) {
+    return frame.bones.find(b => b.boneId === ID[name]);
+}
+
+function turn(bone, angle) {
+    const q = new THREE.Quaternion().fromArray(bone.rotation);
+    q.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), angle));
+    bone.rotation = q.toArray();
+}
+
+function angleBetween(a, b) {
+    const dot = Math.abs(new THREE.Quaternion().fromArray(a.rotation).dot(new THREE.Quaternion().fromArray(b.rotation)));
+    return 2 * Math.acos(Math.min(1, dot));
+}
+
+test('left and right bones pair up and centre bones stay', () => {
+    assert.equal(mirrorBoneName('arm_l'), 'arm_r');
+    assert.equal(mirrorBoneName('f_pointer2_r'), 'f_pointer2_l');
+    assert.equal(mirrorBoneName('zero_joint_pelvis_l'), 'zero_joint_pelvis_r');
+    assert.equal(mirrorBoneName('weapon_l'), 'weapons_r');
+    assert.equal(mirrorBoneName('weapons_r'), 'weapon_l');
+    assert.equal(mirrorBoneName('pelvis'), 'pelvis');
+    assert.equal(mirrorBoneName('foot_r_extra'), 'foot_r_extra');
+    assert.equal(mirrorBoneId(ID.thigh_l), ID.thigh_r);
+    assert.equal(mirrorBoneId(500), 500);
+});
+
+test('the rest pose mirrors onto itself', () => {
+    const rest = restFrame();
+    assertFramesClose(assert, mirrorFrames([rest])[0], rest);
+});
+
+test('a pose on one arm moves to the other', () => {
+    const posed = restFrame();
+    turn(boneOf(posed, 'arm_r'), 0.8);
+    const [mirrored] = mirrorFrames([posed]);
+    const rest = restFrame();
+
+    assert.ok(angleBetween(boneOf(mirrored, 'arm_r'), boneOf(rest, 'arm_r')) < 1e-4);
+    assert.ok(Math.abs(angleBetween(boneOf(mirrored, 'arm_l'), boneOf(rest, 'arm_l')) - 0.8) < 1e-4);
+    assertFramesClose(assert, { bones: [boneOf(mirrored, 'pelvis')] }, rest);
+});
+
+test('mirroring twice gives back the original frames', () => {
+    const doc = sampleDocument({ framesCount: 5 });
+    const twice = mirrorFrames(mirrorFrames(doc.frames));
+    twice.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+test('a one-sided key layer moves to the other side with its motion', () => {
+    // Everything holds still except foot_r, which sways freely, and foot_l, which is keyed on
+    // frames 0 and 6 with baked in-betweens
+    const doc = sampleDocument({ framesCount: 7, events: [] });
+    const still = doc.frames[0].bones;
+    doc.frames.forEach((frame, f) => {
+        frame.bones = frame.bones.map((bone, i) => (bone.boneId === ID.foot_r ? bone : { ...still[i] }));
+        if (f === 6) {
+            const foot = boneOf(frame, 'foot_l');
+            foot.position = foot.position.map(v => v + 3);
+            turn(foot, 1.2);
+        }
+    });
+    const layer = toggleKey(toggleKey(createKeyLayer(), [ID.foot_l], 0), [ID.foot_l], 6);
+    doc.frames = bakeKeyLayer(doc.frames, layer);
+    doc.keyLayer = layer;
+
+    mirrorDocument(doc);
+    assert.deepEqual(doc.keyLayer.keys, { [ID.foot_r]: [0, 6] });
+    bakeKeyLayer(doc.frames, doc.keyLayer).forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+test('a root motion offset is reflected across the body', () => {
+    const nodes = parseSkeletonDefinition();
+    const thigh = (name) => nodes.find(node => node.name === name).globalPos;
+    const side = thigh('thigh_l').clone().sub(thigh('thigh_r')).setY(0).normalize();
+    const forward = new THREE.Vector3(0, 1, 0).cross(side);
+
+    const frame = restFrame();
+    const offset = side.clone().multiplyScalar(2).add(forward.clone().multiplyScalar(5));
+    frame.root = [offset.x, offset.z];
+    const [mirrored] = mirrorFrames([frame]);
+    const result = new THREE.Vector3(mirrored.root[0], 0, mirrored.root[1]);
+
+    assert.ok(Math.abs(result.dot(side) + 2) < 1e-6);
+    assert.ok(Math.abs(result.dot(forward) - 5) < 1e-6);
+    mirrorFrames([mirrored])[0].root.forEach((v, k) => assert.ok(Math.abs(v - frame.root[k]) < 1e-6));
+});
+
+test('an IK layer moves to the other side and still lands on the mirrored limbs', () => {
+    const nodes = skeletonForBones([]).nodes;
+    const doc = sampleDocument({ framesCount: 5, events: [] });
+    const rig = new PoseRig(nodes);
+    rig.setFrame(doc.frames[0]);
+    // Targets within reach, so the bake lands on them and a re-bake has nothing left to do
+    const shoulder = rig.worldPosition(rig.bone('arm_l'));
+    const hand = rig.worldPosition(rig.bone('hand_l'));
+    const elbow = rig.worldPosition(rig.bone('forearm_l'));
+    let layer = createIkLayer();
+    layer = setEffectorKey(layer, 'arm_l', { frame: 0, target: shoulder.clone().lerp(hand, 0.8).toArray(), pole: elbow.toArray() });
+    layer = setEffectorKey(layer, 'arm_l', { frame: 4, target: shoulder.clone().lerp(hand, 0.6).add(new THREE.Vector3(0, 5, 0)).toArray(), pole: null });
+    doc.frames = bakeIkLayer(doc.frames, layer, nodes);
+    doc.ikLayer = layer;
+
+    mirrorDocument(doc, nodes);
+    assert.deepEqual(Object.keys(doc.ikLayer.effectors), ['arm_r']);
+    assert.deepEqual(doc.ikLayer.effectors.arm_r.map(k => [k.frame, !!k.pole]), [[0, true], [4, false]]);
+    // On the keyed frames the mirrored targets sit on the mirrored hand
+    const rebaked = bakeIkLayer(doc.frames, doc.ikLayer, nodes);
+    [0, 4].forEach(f => {
+        rig.setFrame(rebaked[f]);
+        const moved = rig.worldPosition(rig.bone('hand_r'));
+        rig.setFrame(doc.frames[f]);
+        assert.ok(moved.distanceTo(rig.worldPosition(rig.bone('hand_r'))) < 1e-3, `frame ${f}`);
+    });
+});
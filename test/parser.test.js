@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { animationParser, ParseError, formatIssue } from '../parser.js';
+import { sampleBytes, assertFramesClose } from './fixtures.js';
+
+test('a parsed file repacks to the same bytes', async () => {
+    const file = sampleBytes({ framesCount: 8 });
+    const doc = await animationParser.parse(file);
+    assert.equal(doc.framesCount, 8);
+    assert.deepEqual(animationParser.repack(doc), new Uint8Array(file));
+});
+
+test('documents do not share state through the parser', async () => {
+    const a = await animationParser.parse(sampleBytes({ framesCount: 8 }));
+    const b = await animationParser.parse(sampleBytes({ framesCount: 3 }));
+    assert.equal(a.framesCount, 8);
+    assert.equal(b.framesCount, 3);
+
+    const repacked = await animationParser.parse(animationParser.repack(a).buffer);
+    assert.equal(repacked.framesCount, 8);
+    repacked.frames.forEach((frame, f) => assertFramesClose(assert, frame, a.frames[f]));
+});
+
+// --- Problems ---
+
+const FRAME_BYTES = 66 * 12;
+
+test('a truncated file throws a ParseError unless parsed leniently', async () => {
+    const file = sampleBytes({ framesCount: 6, events: [] });
+    const truncated = file.slice(0, file.byteLength - FRAME_BYTES - 100);
+
+    await assert.rejects(animationParser.parse(truncated), (err) => {
+        assert.ok(err instanceof ParseError);
+        assert.deepEqual(err.issues.map(i => i.field), ['frames']);
+        return true;
+    });
+
+    const doc = await animationParser.parse(truncated, { lenient: true });
+    assert.equal(doc.framesCount, 4);
+    assert.equal(doc.originalFramesCount, 6);
+    assert.deepEqual(doc.diagnostics.map(i => [i.severity, i.field]), [['error', 'frames']]);
+    assert.equal(doc.footer.kind, 'empty');
+});
+
+test('an implausible frame count is reported with its offset', async () => {
+    const file = sampleBytes({ framesCount: 3, events: [] });
+    new DataView(file).setInt32(10, -5, true);
+
+    await assert.rejects(animationParser.parse(file), ParseError);
+    const doc = await animationParser.parse(file, { lenient: true });
+    const issue = doc.diagnostics.find(i => i.field === 'framesCount');
+    assert.equal(issue.offset, 10);
+    assert.match(formatIssue(issue), /^ERROR framesCount@0xa: /);
+});
+
+test('a file without the signature throws even in lenient mode', async () => {
+    const file = sampleBytes({ framesCount: 3 });
+    new DataView(file).setUint32(0, 0, true);
+    await assert.rejects(animationParser.parse(file, { lenient: true }), (err) => {
+        assert.ok(err instanceof ParseError);
+        assert.equal(err.issues[0].field, 'magic');
+        return true;
+    });
+});
+
+test('unknown and repeated bone IDs are warnings, not errors', async () => {
+    const file = sampleBytes({ framesCount: 2, events: [] });
+    const dv = new DataView(file);
+    dv.setInt16(18, 500, true);
+    dv.setInt16(20, 2, true);
+
+    const doc = await animationParser.parse(file);
+    assert.deepEqual(doc.diagnostics.map(i => [i.severity, i.field]), [
+        ['warning', 'boneIds[0]'],
+        ['warning', 'boneIds[2]']
+    ]);
+});
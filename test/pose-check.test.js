@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkExportPose, formatPoseCheck } from '../pose-check.js';
+import { skeletonForBones } from '../skeleton.js';
+import { sampleDocument } from './fixtures.js';
+
+test('the glTF export poses every frame as the viewer does', async () => {
+    const doc = sampleDocument({ framesCount: 12 });
+    const result = await checkExportPose(doc, skeletonForBones(doc.boneIds).nodes, { fps: 30 });
+    assert.ok(result.ok, formatPoseCheck(result).join('\n'));
+});
+
+test('a non-unit rotation is posed the same way by both', async () => {
+    const doc = sampleDocument({ framesCount: 6 });
+    doc.frames.forEach(frame => {
+        const pelvis = frame.bones.find(b => b.boneId === 0);
+        pelvis.rotation = pelvis.rotation.map(v => v * 1.2);
+    });
+    const result = await checkExportPose(doc, skeletonForBones(doc.boneIds).nodes, { fps: 30 });
+    assert.ok(result.ok, formatPoseCheck(result).join('\n'));
+});
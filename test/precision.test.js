@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quantizeFrame, precisionReport, formatPrecisionReport } from '../precision.js';
+import { animationParser } from '../parser.js';
+import { sampleDocument } from './fixtures.js';
+
+function bone(position, rotation = [0, 0, 0, 1], boneId = 0) {
+    return { boneId, position, rotation };
+}
+
+test('quantizeFrame matches what a compiled file reads back as', async () => {
+    const doc = sampleDocument({ framesCount: 4 });
+    const compiled = await animationParser.parse(animationParser.repack(doc).buffer);
+    doc.frames.forEach((frame, f) => assert.deepEqual(quantizeFrame(frame).bones, compiled.frames[f].bones));
+});
+
+test('the report measures the compile loss per bone and an already stored clip loses nothing', () => {
+    const doc = sampleDocument({ framesCount: 6 });
+    const report = precisionReport(doc);
+    assert.equal(report.bones.length, doc.bonesCount);
+    assert.deepEqual(report.issues, []);
+    report.bones.forEach(b => {
+        assert.equal(b.samples, 6);
+        assert.ok(b.maxPos < 0.02 && b.meanPos <= b.maxPos, `${b.name} position error ${b.maxPos}`);
+        assert.ok(b.maxAngle < 0.1 && b.meanAngle <= b.maxAngle, `${b.name} angle error ${b.maxAngle}`);
+    });
+    assert.ok(report.bones.some(b => b.maxAngle > 0));
+
+    const stored = { ...doc, frames: doc.frames.map(quantizeFrame) };
+    precisionReport(stored).bones.forEach(b => {
+        assert.equal(b.maxPos, 0);
+        assert.ok(b.maxAngle < 1e-3);
+    });
+});
+
+test('values that cannot be stored are issues and tiny ones count as flushed', () => {
+    const doc = sampleDocument({ framesCount: 1, events: [] });
+    doc.frames[0].bones = [
+        bone([NaN, 70000, 1e-9], [0, 0, 0, 1], 0),
+        bone([0, 0, 0], [0, 0, 0, 2], 1),
+        bone([0, 0, 0], [0, 0, 0, 0], 2)
+    ];
+    const report = precisionReport(doc);
+    assert.deepEqual(report.issues.map(i => [i.severity, i.field]), [
+        ['error', 'frames[0].pelvis.position.x'],
+        ['error', 'frames[0].pelvis.position.y'],
+        ['warning', 'frames[0].stomach.rotation'],
+        ['error', 'frames[0].chest.rotation']
+    ]);
+    assert.match(report.issues[1].message, /overflows float16/);
+    assert.equal(report.bones[0].flushed, 1);
+    // A non-unit rotation is measured after normalising
+    assert.ok(report.bones[1].maxAngle < 0.01);
+});
+
+test('a broken track is capped at 20 issues and the rest counted', () => {
+    const doc = sampleDocument({ framesCount: 1, events: [] });
+    doc.frames[0].bones = Array.from({ length: 25 }, (_, id) => bone([Infinity, 0, 0], [0, 0, 0, 1], id));
+    const { issues } = precisionReport(doc);
+    assert.equal(issues.length, 21);
+    assert.equal(issues[20].message, '5 more value problem(s) not listed');
+});
+
+test('the formatted report leads with the worst bones and lists issues last', () => {
+    const doc = sampleDocument({ framesCount: 1, events: [] });
+    doc.frames[0].bones = [bone([0.1, 0, 0], [0, 0, 0, 1], 0), bone([1000.3, 0, 0], [0, 0, 0, 3], 4)];
+    const lines = formatPrecisionReport(precisionReport(doc));
+    assert.match(lines[0], /^Worst position error: 0\.[0-9]+ \(head\)$/);
+    assert.match(lines[1], /^Worst angular error: +0\.[0-9]+° \((pelvis|head)\)$/);
+    assert.match(lines[lines.length - 1], /^WARNING frames\[0\]\.head\.rotation: length 3\.0000 is not 1/);
+});
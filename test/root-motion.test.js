@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractRootMotion, bakeRootMotion, rootMotionDocument, hasRootMotion } from '../root-motion.js';
+import { NAME_TO_ID } from '../constants.js';
+import { sampleDocument, assertFramesClose } from './fixtures.js';
+
+function pelvisOf(frame) {
+    return frame.bones.find(b => b.boneId === NAME_TO_ID.pelvis);
+}
+
+// A document whose pelvis walks 1.5 along X and 0.5 along Z per frame
+function walkingDocument(framesCount = 8) {
+    const doc = sampleDocument({ framesCount });
+    doc.frames.forEach((frame, f) => {
+        const pelvis = pelvisOf(frame);
+        pelvis.position = [pelvis.position[0] + f * 1.5, pelvis.position[1], pelvis.position[2] + f * 0.5];
+    });
+    return doc;
+}
+
+test('extracting pins the pelvis and keeps the travel per frame', () => {
+    const doc = walkingDocument();
+    const { frames, distance } = extractRootMotion(doc.frames);
+    const [x0, , z0] = pelvisOf(doc.frames[0]).position;
+
+    frames.forEach((frame, f) => {
+        const pelvis = pelvisOf(frame);
+        assert.equal(pelvis.position[0], x0);
+        assert.equal(pelvis.position[1], pelvisOf(doc.frames[f]).position[1]);
+        assert.equal(pelvis.position[2], z0);
+        assert.ok(Math.abs(frame.root[0] - f * 1.5) < 1e-9);
+        assert.ok(Math.abs(frame.root[1] - f * 0.5) < 1e-9);
+    });
+    assert.ok(Math.abs(distance - 7 * Math.hypot(1.5, 0.5)) < 1e-9);
+    assert.ok(!hasRootMotion(doc.frames), 'the input frames are left alone');
+});
+
+test('baking extracted motion gives back the original pelvis track', () => {
+    const doc = walkingDocument();
+    const baked = bakeRootMotion(extractRootMotion(doc.frames).frames);
+    assert.ok(!hasRootMotion(baked));
+    baked.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+test('in-place output drops the travel for both formats', () => {
+    const doc = walkingDocument();
+    const x0 = pelvisOf(doc.frames[0]).position[0];
+    ['gltf', 'bytes'].forEach(format => {
+        const { doc: out, trajectory } = rootMotionDocument(doc, 'in-place', format);
+        assert.equal(trajectory, null);
+        assert.ok(!hasRootMotion(out.frames));
+        out.frames.forEach(frame => assert.equal(pelvisOf(frame).position[0], x0));
+    });
+});
+
+test('separate output keeps the travel on its own curve for glTF only', () => {
+    const doc = walkingDocument();
+    const { frames } = extractRootMotion(doc.frames);
+
+    const gltf = rootMotionDocument({ ...doc, frames }, 'separate', 'gltf');
+    assert.equal(gltf.trajectory.length, frames.length);
+    gltf.trajectory.forEach((root, f) => assert.deepEqual(root, frames[f].root));
+    assert.ok(!hasRootMotion(gltf.doc.frames));
+
+    // .bytes has no root track, so the travel goes back into the pelvis
+    const bytes = rootMotionDocument({ ...doc, frames }, 'separate', 'bytes');
+    assert.equal(bytes.trajectory, null);
+    bytes.doc.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+});
+
+test('pelvis output bakes stored offsets and rejects unknown modes', () => {
+    const doc = walkingDocument();
+    const { frames } = extractRootMotion(doc.frames);
+    const { doc: out } = rootMotionDocument({ ...doc, frames }, 'pelvis');
+    out.frames.forEach((frame, f) => assertFramesClose(assert, frame, doc.frames[f]));
+    assert.throws(() => rootMotionDocument(doc, 'sideways'), /Unknown root motion mode/);
+});